@@ -6,26 +6,60 @@
  * Generates bilingual versions (English and Chinese).
  * 
  * Usage: node build.js
+ *        node build.js --source csv --data-file donations.csv [--seo-file seo-pages.csv]
+ *        node build.js --source json --data-file data.json
+ *        node build.js --strict   (fail on data errors, see src/validation.js)
+ * 
+ * See src/data-sources.js for the available data sources.
  * 
  * Output: dist/ folder with generated HTML files
  */
 
 const fs = require('fs');
 const path = require('path');
-const { fetchDonations, fetchSeoPages } = require('./src/sheets-api');
+const { createDataSource, resolveDataSourceOptions } = require('./src/data-sources');
 const { 
   processDonations, 
+  assignDonationIds,
+  processDisbursements,
+  applyDisbursements,
   calculateStats, 
+  calculateTimeline,
   parseSeoPageConfig, 
   applyFilter,
-  translateDonations 
+  translateDonations,
+  formatAmount,
+  isExactAmount,
+  parseReceivers,
+  FIRE_DATE
 } = require('./src/data-processor');
+const ENTITY_TRANSLATIONS = require('./src/i18n/entities');
+const { translateCategory } = require('./src/i18n/categories');
+const {
+  CHART_CSS,
+  limitItems,
+  renderBarChart,
+  renderShareBar,
+  renderLineChart
+} = require('./src/charts');
+const { getRowKey, buildChangeSet, mergeHistory, getFirstSeen, loadPrevious } = require('./src/changelog');
+const { tagUri, buildAtomFeed, buildRssFeed } = require('./src/feeds');
+const { toCsv } = require('./src/csv');
+const { buildXlsx } = require('./src/xlsx');
+const { getExportLabels, getExportRows, getExportRecords } = require('./src/export');
+const { API_VERSION, buildApiFiles } = require('./src/api');
+const { validateDonationRows, collisionIssues, buildQualityReport } = require('./src/validation');
+const { processRecipientInfo, getRecipientKey, buildRecipients } = require('./src/recipients');
+const { buildDonors, assignDonorSlugs } = require('./src/donors');
 const { generateOgImages } = require('./src/og-image-generator');
 
 const DIST_DIR = path.join(__dirname, 'dist');
 const TEMPLATE_PATH = path.join(__dirname, 'template.html');
 const I18N_DIR = path.join(__dirname, 'src', 'i18n');
 
+// Modules the page script uses for downloads, inlined so they work offline
+const BROWSER_MODULES = ['csv', 'xlsx', 'export'];
+
 const LANGUAGES = ['en', 'zh'];
 const DEFAULT_LANG = 'zh';
 const SITE_URL = 'https://taipo-big-donations-watcher.github.io';
@@ -33,6 +67,9 @@ const SITE_URL = 'https://taipo-big-donations-watcher.github.io';
 // Google Sheets URL for raw data badge
 const SHEETS_URL = 'https://docs.google.com/spreadsheets/d/1Bi2WDSCOLrxYh2E46ZDfpGMSfWyYWC0slThLGF3Dg-k/edit';
 
+// Fail the build when the data has errors (see src/validation.js)
+const STRICT = process.argv.includes('--strict') || process.env.STRICT_VALIDATION === '1';
+
 // Track all generated pages for sitemap
 const generatedPages = [];
 
@@ -100,6 +137,215 @@ function injectData(html, donations) {
   );
 }
 
+/**
+ * Inline the download modules and column headers into the template
+ * Each module is wrapped so its module.exports ends up on window.siteModules.
+ * @param {string} html 
+ * @param {Object} i18n 
+ * @returns {string}
+ */
+function injectExportSupport(html, i18n) {
+  const modules = BROWSER_MODULES.map(name => {
+    const source = fs.readFileSync(path.join(__dirname, 'src', `${name}.js`), 'utf-8');
+    return `window.siteModules.${name} = (function (module) {\n${source}\nreturn module.exports;\n})({ exports: {} });`;
+  }).join('\n');
+  
+  return html
+    .replace(
+      /<script id="browser-modules"><\/script>/,
+      () => `<script id="browser-modules">\nwindow.siteModules = {};\n${modules}\n    </script>`
+    )
+    .replace(
+      /<script type="application\/json" id="export-labels">[\s\S]*?<\/script>/,
+      () => `<script type="application/json" id="export-labels">${JSON.stringify(getExportLabels(i18n))}</script>`
+    );
+}
+
+/**
+ * Write donations.csv, donations.xlsx and donations.json for a page
+ * @param {string} pageDir - Directory under dist/, e.g. "en" or "en/korean-artists"
+ * @param {Object[]} donations - Translated donations, in table order
+ * @param {Object} i18n 
+ * @param {string} lang 
+ * @param {string} buildTime 
+ */
+function writeDownloads(pageDir, donations, i18n, lang, buildTime) {
+  const outputDir = path.join(DIST_DIR, pageDir);
+  ensureDir(outputDir);
+  const rows = getExportRows(donations, getExportLabels(i18n));
+  
+  // BOM so Excel reads the CSV as UTF-8
+  fs.writeFileSync(path.join(outputDir, 'donations.csv'), '\uFEFF' + toCsv(rows));
+  fs.writeFileSync(path.join(outputDir, 'donations.xlsx'), Buffer.from(buildXlsx(rows, { sheetName: i18n.download_sheet_name })));
+  fs.writeFileSync(
+    path.join(outputDir, 'donations.json'),
+    JSON.stringify({ buildTime, lang, donations: getExportRecords(donations) }, null, 2)
+  );
+}
+
+/**
+ * Shared styles for static content pages (about, recipients)
+ */
+const STATIC_PAGE_CSS = `<style>
+      .page-content {
+        max-width: 800px;
+        margin: 0 auto 40px;
+        line-height: 1.8;
+      }
+      .page-content.wide {
+        max-width: 1000px;
+      }
+      .page-content h2 {
+        margin-top: 0;
+        margin-bottom: 20px;
+        color: var(--heading-color);
+      }
+      .page-content h3 {
+        margin-top: 30px;
+        margin-bottom: 15px;
+        color: var(--accent-color);
+      }
+      .page-content p {
+        margin-bottom: 15px;
+      }
+      .page-content ul {
+        padding-left: 25px;
+        margin-bottom: 20px;
+      }
+      .page-content li {
+        margin-bottom: 10px;
+      }
+      .page-content a {
+        color: var(--accent-color);
+      }
+      .page-content .table-container {
+        margin-bottom: 20px;
+      }
+      .page-content .muted {
+        color: var(--muted-text);
+        font-size: 0.85em;
+      }
+      .page-content .pledge {
+        border: 1px solid var(--border-color);
+        border-radius: 12px;
+        background: var(--card-bg);
+        padding: 15px 20px;
+        margin-bottom: 15px;
+      }
+      .page-content dl {
+        display: grid;
+        grid-template-columns: max-content 1fr;
+        gap: 4px 16px;
+        margin: 0;
+      }
+      .page-content dt {
+        color: var(--muted-text);
+      }
+      .page-content dd {
+        margin: 0;
+        word-break: break-word;
+      }
+    </style>`;
+
+/**
+ * Build a static content page from the main template
+ * The filter controls and donation table are replaced with the given
+ * content, and the summary heading is filled in at build time.
+ * @param {string} template 
+ * @param {Object} i18n 
+ * @param {Object} options
+ * @param {string} options.lang
+ * @param {string} options.pagePath - Path below the language folder, e.g. 'about' or 'recipients/hong-kong-red-cross'
+ * @param {string} options.title - Page title (prefixed to the site title)
+ * @param {string} options.description - Meta description
+ * @param {string} options.summaryHtml - Content of the summary heading
+ * @param {string} options.contentHtml - Page body
+ * @param {string} options.buildTime
+ * @param {string} [options.headHtml] - Extra tags for <head> (e.g. JSON-LD)
+ * @returns {string}
+ */
+function buildStaticPage(template, i18n, options) {
+  const { lang, pagePath, title, description, summaryHtml, contentHtml, buildTime, headHtml = '' } = options;
+  const otherLang = lang === 'en' ? 'zh' : 'en';
+  
+  // Relative path back to the site root (works with file:// and http://)
+  const rootPrefix = '../'.repeat(pagePath.split('/').length + 1);
+  
+  const pageVars = {
+    base_url: SITE_URL,
+    sheets_url: SHEETS_URL,
+    favicon_path: `${rootPrefix}favicon.png`,
+    build_time: buildTime,
+    fire_date: FIRE_DATE,
+    switch_language_url: `${rootPrefix}${otherLang}/${pagePath}/index.html`,
+    footer_disclaimer: i18n.footer_disclaimer_pre + ' ' + i18n.footer_corrections,
+    page_description: description,
+    site_title: `${title} - ${i18n.site_title}`,
+    og_image_url: `${SITE_URL}/og-image-${lang}.png`,
+  };
+  
+  let html = applyI18n(template, i18n, pageVars);
+  
+  // Point language alternates at this page and add its canonical URL
+  html = html
+    .replace(/(<link rel="alternate" hreflang="en" href=")[^"]*"/, `$1${SITE_URL}/en/${encodeURI(pagePath)}/"`)
+    .replace(/(<link rel="alternate" hreflang="zh-Hant" href=")[^"]*"/, `$1${SITE_URL}/zh/${encodeURI(pagePath)}/"`);
+  const canonicalHtml = `<link rel="canonical" href="${SITE_URL}/${lang}/${encodeURI(pagePath)}/">`;
+  
+  // Inject static summary into the h2#dynamic-summary
+  html = html.replace(
+    /<h2 class="summary-text" id="dynamic-summary"><\/h2>/,
+    () => `<h2 class="summary-text" id="dynamic-summary">${summaryHtml}</h2>`
+  );
+  
+  // Replace controls and table-container with page content
+  html = html.replace(
+    /<div class="controls">[\s\S]*?<\/div>\s*<div class="table-container">[\s\S]*?<\/table>\s*<\/div>/,
+    () => contentHtml
+  );
+  
+  // Hide no-results div
+  html = html.replace(
+    /<div id="no-results"[^>]*>[\s\S]*?<\/div>/,
+    ''
+  );
+  
+  return html.replace('</head>', () => canonicalHtml + headHtml + STATIC_PAGE_CSS + '</head>');
+}
+
+/**
+ * Write a static page to /{lang}/{pagePath}/index.html and track it for the sitemap
+ * @param {string} lang 
+ * @param {string} pagePath 
+ * @param {string} html 
+ * @param {{priority: string, changefreq: string}} sitemap 
+ */
+function writeStaticPage(lang, pagePath, html, sitemap) {
+  const outputDir = path.join(DIST_DIR, lang, ...pagePath.split('/'));
+  ensureDir(outputDir);
+  fs.writeFileSync(path.join(outputDir, 'index.html'), html);
+  
+  generatedPages.push({
+    path: `/${lang}/${pagePath}/`,
+    ...sitemap,
+  });
+}
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {string} str 
+ * @returns {string}
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Generate pages for a specific language
  */
@@ -127,6 +373,7 @@ function generateLangPages(template, donations, stats, lang, buildTime) {
     sheets_url: SHEETS_URL,
     favicon_path: '../favicon.png',
     build_time: buildTime,
+    fire_date: FIRE_DATE,
     switch_language_url: `../${otherLang}/index.html`,
     footer_disclaimer: lang === 'zh' 
       ? '資料來源於公開宣佈。如有錯誤，歡迎指正。'
@@ -140,11 +387,16 @@ function generateLangPages(template, donations, stats, lang, buildTime) {
   // Apply i18n and inject data
   let html = applyI18n(template, i18n, pageVars);
   html = injectData(html, sortedDonations);
+  html = injectExportSupport(html, i18n);
+  html = html.replace('</head>', () => getFeedLinksHtml(lang, i18n.site_title) + '</head>');
   
   // Write index.html for this language
   fs.writeFileSync(path.join(langDir, 'index.html'), html);
   console.log(`  ✓ /${lang}/index.html (${donations.length} donations)`);
   
+  writeDownloads(lang, sortedDonations, i18n, lang, buildTime);
+  console.log(`  ✓ /${lang}/donations.csv, .xlsx, .json`);
+  
   // Track for sitemap
   generatedPages.push({
     path: `/${lang}/`,
@@ -163,7 +415,6 @@ function generateAboutPages(template, donations, stats, buildTime) {
   
   for (const lang of LANGUAGES) {
     const i18n = loadI18n(lang);
-    const otherLang = lang === 'en' ? 'zh' : 'en';
     
     // Calculate default summary (no filters)
     const count = donations.length;
@@ -183,7 +434,7 @@ function generateAboutPages(template, donations, stats, buildTime) {
     
     // About Content (Bilingual)
     const contentEn = `
-      <div class="about-content">
+      <div class="page-content about-content">
         <h2>About This Project</h2>
         <p>The <strong>Tai Po Fire Donations Watcher</strong> is a community-driven initiative to track and consolidate pledged donations regarding the Tai Po Wang Fuk Court fire on November 26, 2025.</p>
         
@@ -199,7 +450,7 @@ function generateAboutPages(template, donations, stats, buildTime) {
         
         <h3>Data Source & Disclaimer</h3>
         <p>All data is sourced from public announcements and news reports. The database is hosted on Google Sheets and syncs every 6 hours. The source data is collected semi-manually, so there's bound to be something missing or incorrect.</p>
-        <p><strong>Note on potential duplicates:</strong> Some donations may overlap due to the nature of how organizations collect and pass around funds. For example, China Red Cross collects money from various entities (which are listed here individually), and there's also an entry for China Red Cross transferring the collected money to Hong Kong Red Cross. I don't have a perfect solution to avoid these types of duplication yet—if you have suggestions, please let me know!</p>
+        <p><strong>Note on potential duplicates:</strong> Some donations may overlap due to the nature of how organizations collect and pass around funds. For example, China Red Cross collects money from various entities (which are listed here individually), and there's also an entry for China Red Cross transferring the collected money to Hong Kong Red Cross. Entries like this are marked as transfers in the sheet, and the "Net" view on the main page subtracts the money they pass on, so each dollar is only counted once. The "Gross" view shows every announcement as reported. If you spot a transfer that isn't marked yet, please let me know!</p>
         
         <h3>Contact & Corrections</h3>
         <p>If you notice something missing, incorrect, or duplicated—or if you want to provide a source or additional information—please reach out:</p>
@@ -214,7 +465,7 @@ function generateAboutPages(template, donations, stats, buildTime) {
     `;
     
     const contentZh = `
-      <div class="about-content">
+      <div class="page-content about-content">
         <h2>關於本項目</h2>
         <p><strong>大埔火災捐款追蹤器</strong>是一個民間發起的項目，旨在追蹤及整合各界就 2025 年 11 月 26 日大埔宏福苑火災的承諾捐款。</p>
         
@@ -230,7 +481,7 @@ function generateAboutPages(template, donations, stats, buildTime) {
         
         <h3>數據來源及免責聲明</h3>
         <p>所有數據均源自公開的新聞報導及官方聲明。數據庫存放於 Google Sheets，每 6 小時自動同步。由於數據是半人手收集，難免會有遺漏或錯誤。</p>
-        <p><strong>關於可能的重複項目：</strong> 由於各機構收集及轉交善款的方式，部分捐款可能會重複計算。例如，中國紅十字會從不同機構收集善款（這些機構會分別列出），而中國紅十字會將善款轉交香港紅十字會時又會有另一個條目。我暫時未有完美的方法避免這類重複——如果你有建議，歡迎聯絡我！</p>
+        <p><strong>關於可能的重複項目：</strong> 由於各機構收集及轉交善款的方式，部分捐款可能會重複計算。例如，中國紅十字會從不同機構收集善款（這些機構會分別列出），而中國紅十字會將善款轉交香港紅十字會時又會有另一個條目。這類條目已在資料表中標記為「轉交」，主頁的「淨額」檢視會扣除轉交的款項，令每一筆善款只計算一次；「總額」檢視則按公佈金額顯示所有條目。如果你發現有未標記的轉交，歡迎聯絡我！</p>
         
         <h3>聯絡與更正</h3>
         <p>如果你發現有遺漏、錯誤或重複的資料，或者想提供來源或補充資訊，請透過以下方式聯絡我：</p>
@@ -246,86 +497,604 @@ function generateAboutPages(template, donations, stats, buildTime) {
     
     const aboutContent = lang === 'zh' ? contentZh : contentEn;
     
-    const pageVars = {
-      base_url: SITE_URL,
-      sheets_url: SHEETS_URL,
-      favicon_path: '../../favicon.png',
-      build_time: buildTime,
-      switch_language_url: `../../${otherLang}/about/index.html`,
-      footer_disclaimer: i18n.footer_disclaimer_pre + ' ' + i18n.footer_corrections,
-      page_description: lang === 'zh' ? '關於大埔火災捐款追蹤器項目' : 'About the Tai Po Fire Donations Watcher project',
-      site_title: (lang === 'zh' ? '關於 - ' : 'About - ') + i18n.site_title,
-      og_image_url: `${SITE_URL}/og-image-${lang}.png`,
-    };
+    const html = buildStaticPage(template, i18n, {
+      lang,
+      pagePath: 'about',
+      title: lang === 'zh' ? '關於' : 'About',
+      description: lang === 'zh' ? '關於大埔火災捐款追蹤器項目' : 'About the Tai Po Fire Donations Watcher project',
+      summaryHtml: staticSummary,
+      contentHtml: aboutContent,
+      buildTime,
+    });
     
-    let html = applyI18n(template, i18n, pageVars);
+    writeStaticPage(lang, 'about', html, { priority: '0.5', changefreq: 'monthly' });
+    console.log(`  ✓ /${lang}/about/index.html`);
+  }
+}
+
+/**
+ * Fill {placeholders} in an i18n string
+ * @param {string} text 
+ * @param {Object} values 
+ * @returns {string}
+ */
+function formatI18n(text, values) {
+  return Object.entries(values).reduce(
+    (result, [key, value]) => result.split(`{${key}}`).join(value),
+    text || ''
+  );
+}
+
+/**
+ * Generate the recipients index and one page per receiving fund
+ * @param {string} template 
+ * @param {Object[]} recipients - From buildRecipients()
+ * @param {string} buildTime 
+ */
+function generateRecipientPages(template, recipients, buildTime) {
+  if (recipients.length === 0) {
+    console.log('No recipients to generate pages for.');
+    return;
+  }
+  
+  console.log(`Generating ${recipients.length} recipient pages...`);
+  
+  for (const lang of LANGUAGES) {
+    const i18n = loadI18n(lang);
+    const nameOf = r => (lang === 'en' && r.nameEn) ? r.nameEn : r.name;
+    const donorNameOf = d => (lang === 'en' && d.entityEn) ? d.entityEn : d.entity;
+    const money = value => formatAmount(value, lang);
     
-    // Inject static summary into the h2#dynamic-summary
-    html = html.replace(
-      /<h2 class="summary-text" id="dynamic-summary"><\/h2>/,
-      `<h2 class="summary-text" id="dynamic-summary">${staticSummary}</h2>`
-    );
+    const disclosureHtml = r => r.disclosureUrl
+      ? `<a href="${escapeHtml(r.disclosureUrl)}" target="_blank" rel="noopener">${i18n.recipients_disclosure_link}</a>`
+      : `<span class="muted">-</span>`;
     
-    // Replace controls and table-container with about content
-    html = html.replace(
-      /<div class="controls">[\s\S]*?<\/div>\s*<div class="table-container">[\s\S]*?<\/table>\s*<\/div>/,
-      aboutContent
-    );
+    // Index page
+    const totalPledged = recipients.reduce((sum, r) => sum + r.pledgedRaw, 0);
+    const indexRows = recipients.map(r => `
+            <tr>
+              <td><a href="./${encodeURIComponent(r.slug)}/index.html">${escapeHtml(nameOf(r))}</a></td>
+              <td class="amount">${money(r.pledgedRaw)}</td>
+              <td class="amount">${money(r.verifiedRaw)}</td>
+              <td>${r.donorCount}</td>
+              <td>${disclosureHtml(r)}</td>
+            </tr>`).join('');
     
-    // Hide no-results div
-    html = html.replace(
-      /<div id="no-results"[^>]*>[\s\S]*?<\/div>/,
-      ''
-    );
+    const indexContent = `
+      <div class="page-content wide">
+        <h2>${i18n.recipients_title}</h2>
+        <p>${i18n.recipients_intro}</p>
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th class="no-sort">${i18n.recipients_col_fund}</th>
+                <th class="no-sort">${i18n.recipients_col_pledged}</th>
+                <th class="no-sort">${i18n.recipients_col_verified}</th>
+                <th class="no-sort">${i18n.recipients_col_donors}</th>
+                <th class="no-sort">${i18n.recipients_col_disclosure}</th>
+              </tr>
+            </thead>
+            <tbody>${indexRows}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
     
-    // Add about page styles
-    const aboutCss = `<style>
-      .about-content {
-        max-width: 800px;
-        margin: 0 auto 40px;
-        line-height: 1.8;
-      }
-      .about-content h2 {
-        margin-top: 0;
-        margin-bottom: 20px;
-        color: var(--heading-color);
-      }
-      .about-content h3 {
-        margin-top: 30px;
-        margin-bottom: 15px;
-        color: var(--accent-color);
-      }
-      .about-content p {
-        margin-bottom: 15px;
-      }
-      .about-content ul {
-        padding-left: 25px;
-        margin-bottom: 20px;
-      }
-      .about-content li {
-        margin-bottom: 10px;
+    const indexHtml = buildStaticPage(template, i18n, {
+      lang,
+      pagePath: 'recipients',
+      title: i18n.recipients_title,
+      description: i18n.recipients_description,
+      summaryHtml: formatI18n(i18n.recipients_summary, {
+        count: `<strong>${recipients.length}</strong>`,
+        amount: `<strong>${money(totalPledged)}</strong>`,
+      }),
+      contentHtml: indexContent,
+      buildTime,
+    });
+    writeStaticPage(lang, 'recipients', indexHtml, { priority: '0.7', changefreq: 'daily' });
+    console.log(`  ✓ /${lang}/recipients/index.html`);
+    
+    // Per-fund pages
+    recipients.forEach(r => {
+      const donorRows = r.donors.map(d => {
+        let amountHtml;
+        if (d.amountRaw === null) {
+          amountHtml = money(null);
+        } else if (d.allocatedRaw === null) {
+          amountHtml = `${money(d.amountRaw)}<br><span class="muted">${i18n.recipients_shared}</span>`;
+        } else if (d.share !== 1) {
+          amountHtml = `${money(d.allocatedRaw)}<br><span class="muted">${formatI18n(i18n.recipients_share_of, {
+            share: `${Math.round(d.share * 100)}%`,
+            amount: money(d.amountRaw),
+          })}</span>`;
+        } else {
+          amountHtml = money(d.allocatedRaw);
+        }
+        
+        const verifiedHtml = d.verified
+          ? `<a href="${escapeHtml(d.verificationLink)}" target="_blank" rel="noopener" class="verification-icon" title="Verified Payment" aria-label="Verified Payment"><svg viewBox="0 0 24 24"><polyline points="20 6 9 17 4 12"></polyline></svg></a>`
+          : '';
+        const sourceHtml = d.source
+          ? `<a href="${escapeHtml(d.source)}" target="_blank" rel="noopener" class="source-link">${i18n.table_source}</a>`
+          : '';
+        
+        return `
+            <tr>
+              <td><span class="entity-name">${d.donorSlug
+                ? `<a href="../../donor/${encodeURIComponent(d.donorSlug)}/index.html" class="entity-link">${escapeHtml(donorNameOf(d))}</a>`
+                : escapeHtml(donorNameOf(d))}</span>${sourceHtml}</td>
+              <td class="amount">${amountHtml}</td>
+              <td>${verifiedHtml}</td>
+            </tr>`;
+      }).join('');
+      
+      const notes = [];
+      if (r.aliases.length > 1) {
+        notes.push(`${i18n.recipients_aliases}: ${r.aliases.map(escapeHtml).join('、')}`);
       }
-      .about-content a {
-        color: var(--accent-color);
+      if (r.sharedRaw > 0) {
+        notes.push(formatI18n(i18n.recipients_shared_note, { amount: money(r.sharedRaw) }));
       }
-    </style>`;
-    html = html.replace('</head>', aboutCss + '</head>');
+      
+      const content = `
+      <div class="page-content wide">
+        <p><a href="../index.html">${i18n.recipients_back}</a></p>
+        <h2>${escapeHtml(nameOf(r))}</h2>
+        ${lang === 'en' && r.nameEn ? `<p class="muted">${escapeHtml(r.name)}</p>` : ''}
+        <p>${r.disclosureUrl
+          ? `<a href="${escapeHtml(r.disclosureUrl)}" target="_blank" rel="noopener">${i18n.recipients_disclosure_link} ↗</a>`
+          : `<span class="muted">${i18n.recipients_no_disclosure}</span>`}</p>
+        ${notes.map(note => `<p class="muted">${note}</p>`).join('\n        ')}
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th class="no-sort">${i18n.recipients_col_donor}</th>
+                <th class="no-sort">${i18n.recipients_col_pledged}</th>
+                <th class="no-sort">${i18n.recipients_col_verification}</th>
+              </tr>
+            </thead>
+            <tbody>${donorRows}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+      
+      const html = buildStaticPage(template, i18n, {
+        lang,
+        pagePath: `recipients/${r.slug}`,
+        title: nameOf(r),
+        description: formatI18n(i18n.recipient_description, { name: nameOf(r) }),
+        summaryHtml: formatI18n(i18n.recipient_summary, {
+          name: escapeHtml(nameOf(r)),
+          amount: `<strong>${money(r.pledgedRaw)}</strong>`,
+          donors: `<strong>${r.donorCount}</strong>`,
+          verified: `<strong>${money(r.verifiedRaw)}</strong>`,
+        }),
+        contentHtml: content,
+        buildTime,
+      });
+      writeStaticPage(lang, `recipients/${r.slug}`, html, { priority: '0.6', changefreq: 'daily' });
+    });
+    console.log(`  ✓ /${lang}/recipients/{slug}/ (${recipients.length} funds)`);
+  }
+}
+
+/**
+ * Build schema.org JSON-LD for a donor page
+ * The donor is an Organization (or Person for individuals and celebrities),
+ * and each pledge is a MonetaryGrant funded by it.
+ * @param {Object} donor - From buildDonors()
+ * @param {string} pageUrl - Canonical URL of the donor page
+ * @returns {string} - <script> tag
+ */
+function buildDonorJsonLd(donor, pageUrl) {
+  const donorId = `${pageUrl}#donor`;
+  const isPerson = ['個人', '藝人'].includes(donor.type);
+  
+  const entity = {
+    '@type': isPerson ? 'Person' : 'Organization',
+    '@id': donorId,
+    name: donor.name,
+    url: pageUrl,
+  };
+  if (donor.nameEn) {
+    entity.alternateName = donor.nameEn;
+  }
+  
+  const grants = donor.pledges.map((p, index) => {
+    const grant = {
+      '@type': 'MonetaryGrant',
+      '@id': `${pageUrl}#pledge-${p.id}`,
+      name: `${donor.nameEn || donor.name} - Tai Po Wang Fuk Court fire relief`,
+      funder: { '@id': donorId },
+    };
+    if (p.amountRaw !== null && !isExactAmount(p.amountRange)) {
+      grant.amount = { '@type': 'MonetaryAmount', currency: 'HKD', minValue: p.amountRaw };
+      if (p.amountRange.max !== null) grant.amount.maxValue = p.amountRange.max;
+    } else if (p.amountRaw !== null) {
+      grant.amount = { '@type': 'MonetaryAmount', currency: 'HKD', value: p.amountRaw };
+    }
+    const receivers = parseReceivers(p.through);
+    if (receivers.length > 0) {
+      grant.fundedItem = receivers.map(r => ({ '@type': 'Organization', name: r.name }));
+    }
+    if (p.note) {
+      grant.description = p.note;
+    }
+    const sources = [p.primarySource, p.secondarySource, p.verificationLink].filter(Boolean);
+    if (sources.length > 0) {
+      grant.subjectOf = sources.map(url => ({ '@type': 'CreativeWork', url }));
+    }
+    return grant;
+  });
+  
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@graph': [entity, ...grants],
+  };
+  
+  // Escape "<" so notes can't close the script tag
+  return `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>`;
+}
+
+/**
+ * Generate one page per donor with all their pledges and sources
+ * @param {string} template 
+ * @param {Object[]} donors - From buildDonors()
+ * @param {Object[]} recipients - From buildRecipients(), for linking receivers
+ * @param {string} buildTime 
+ */
+function generateDonorPages(template, donors, recipients, buildTime) {
+  console.log(`Generating ${donors.length} donor pages...`);
+  
+  const recipientSlugs = new Map(recipients.map(r => [getRecipientKey(r.name), r.slug]));
+  
+  for (const lang of LANGUAGES) {
+    const i18n = loadI18n(lang);
+    const money = value => formatAmount(value, lang);
+    const link = (url, label) => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${label}</a>`;
     
-    // Output
-    const outputDir = path.join(DIST_DIR, lang, 'about');
-    ensureDir(outputDir);
-    fs.writeFileSync(path.join(outputDir, 'index.html'), html);
-    console.log(`  ✓ /${lang}/about/index.html`);
+    donors.forEach(donor => {
+      const pagePath = `donor/${donor.slug}`;
+      const pageUrl = `${SITE_URL}/${lang}/${encodeURI(pagePath)}/`;
+      const name = lang === 'en' && donor.nameEn ? donor.nameEn : donor.name;
+      const pledges = translateDonations(donor.pledges, lang);
+      const first = pledges[0];
+      
+      const pledgeHtml = pledges.map((p, index) => {
+        const rows = [];
+        const addRow = (label, value) => {
+          if (value) rows.push(`<dt>${label}</dt><dd>${value}</dd>`);
+        };
+        
+        addRow(i18n.table_amount, isExactAmount(p.amountRange) || !p.amountRange
+          ? p.amountDisplay
+          : `${p.amountDisplay}<br><span class="muted">${escapeHtml(formatI18n(i18n.amount_announced, { raw: p.amountRange.raw }))}</span>`);
+        if (p.originalCurrency) {
+          addRow(i18n.donor_original_amount, escapeHtml(formatI18n(i18n.currency_original, {
+            amount: `${p.originalCurrency} ${p.originalAmountRaw.toLocaleString('en-HK')}`,
+            currency: p.originalCurrency,
+            rate: p.fxRate,
+            date: p.fxDate,
+          })));
+        }
+        if (p.amountRaw !== null) {
+          addRow(i18n.table_amount_cash, p.cashAmountRaw !== null ? money(p.cashAmountRaw) : '');
+          addRow(i18n.table_amount_goods, p.goodsAmountRaw !== null ? money(p.goodsAmountRaw) : '');
+        }
+        
+        const receivers = parseReceivers(donor.pledges[index].through).map(r => {
+          const slug = recipientSlugs.get(getRecipientKey(r.name));
+          const label = escapeHtml(lang === 'en' && ENTITY_TRANSLATIONS[r.name] ? ENTITY_TRANSLATIONS[r.name] : r.name)
+            + (r.share !== null ? ` (${Math.round(r.share * 100)}%)` : '');
+          return slug ? `<a href="../../recipients/${encodeURIComponent(slug)}/index.html">${label}</a>` : label;
+        });
+        addRow(i18n.donor_receiver, receivers.join('<br>'));
+        addRow(i18n.table_date, escapeHtml(p.date || p.dateRaw));
+        addRow(i18n.donor_note, escapeHtml(p.note));
+        addRow(i18n.donor_primary_source, p.primarySource ? link(p.primarySource, escapeHtml(p.primarySource)) : '');
+        addRow(i18n.donor_secondary_source, p.secondarySource ? link(p.secondarySource, escapeHtml(p.secondarySource)) : '');
+        addRow(i18n.donor_verification, p.verificationLink
+          ? link(p.verificationLink, escapeHtml(p.verificationLink))
+          : `<span class="muted">${i18n.donor_unverified}</span>`);
+        if (p.disbursedRaw > 0) {
+          addRow(i18n.fulfilment_progress, money(p.disbursedRaw));
+        }
+        if (p.passThroughRaw > 0) {
+          addRow(i18n.transfer_passed_on, money(p.passThroughRaw));
+        }
+        
+        const heading = pledges.length > 1 ? `<h3>${i18n.donor_pledge} ${index + 1}</h3>` : '';
+        return `
+        <div class="pledge" id="pledge-${escapeHtml(p.id)}">
+          ${heading}
+          <dl>${rows.join('\n            ')}</dl>
+          <p><a href="../../index.html?id=${encodeURIComponent(p.id)}">${i18n.donor_show_in_table}</a></p>
+        </div>`;
+      }).join('');
+      
+      const relatedHtml = donor.relatedEntities.length > 0 ? `
+        <h3>${i18n.donor_related}</h3>
+        <ul>
+          ${donor.relatedEntities.map(r => {
+            const label = escapeHtml(lang === 'en' && r.nameEn ? r.nameEn : r.name);
+            return `<li>${r.slug ? `<a href="../${encodeURIComponent(r.slug)}/index.html">${label}</a>` : label}</li>`;
+          }).join('\n          ')}
+        </ul>` : '';
+      
+      const tags = [first.typeDisplay, first.capitalDisplay, first.industryDisplay]
+        .filter(Boolean)
+        .map(tag => `<span class="tag">${escapeHtml(tag)}</span>`)
+        .join(' ');
+      
+      const content = `
+      <div class="page-content">
+        <p><a href="../../index.html">${i18n.donor_back}</a></p>
+        <h2>${escapeHtml(name)}</h2>
+        ${lang === 'en' && donor.nameEn ? `<p class="muted">${escapeHtml(donor.name)}</p>` : ''}
+        <p>${tags}</p>
+        ${pledgeHtml}
+        ${relatedHtml}
+      </div>
+    `;
+      
+      const summaryKey = donor.verified ? 'donor_summary_verified' : 'donor_summary';
+      const html = buildStaticPage(template, i18n, {
+        lang,
+        pagePath,
+        title: name,
+        description: formatI18n(i18n.donor_description, { name, amount: money(donor.amountRaw) }),
+        summaryHtml: formatI18n(i18n[summaryKey], {
+          name: escapeHtml(name),
+          amount: `<strong>${money(donor.amountRaw)}</strong>`,
+        }),
+        contentHtml: content,
+        buildTime,
+        headHtml: buildDonorJsonLd(donor, pageUrl),
+      });
+      writeStaticPage(lang, pagePath, html, { priority: '0.6', changefreq: 'weekly' });
+    });
+    console.log(`  ✓ /${lang}/donor/{slug}/ (${donors.length} donors)`);
+  }
+}
+
+/**
+ * Generate the statistics page with build-time SVG charts
+ * @param {string} template 
+ * @param {Object[]} donations 
+ * @param {Object} stats - From calculateStats()
+ * @param {Object[]} donors - From buildDonors()
+ * @param {string} buildTime 
+ */
+function generateStatsPages(template, donations, stats, donors, buildTime) {
+  console.log('Generating statistics pages...');
+  
+  const timeline = calculateTimeline(donations);
+  const TOP_CATEGORIES = 10;
+  const TOP_DONORS = 15;
+  
+  for (const lang of LANGUAGES) {
+    const i18n = loadI18n(lang);
+    const money = value => formatAmount(value, lang);
+    
+    // Category breakdowns (stats keys are the original Chinese values)
+    const categoryItems = (category, byCategory) => limitItems(
+      Object.entries(byCategory)
+        .filter(([, group]) => group.amount > 0)
+        .map(([key, group]) => ({
+          label: key === 'Unknown' ? i18n.stats_unknown : translateCategory(category, key, lang),
+          value: group.amount,
+        })),
+      TOP_CATEGORIES,
+      i18n.stats_other
+    );
+    
+    const topDonors = donors
+      .filter(d => d.amountRaw > 0)
+      .slice(0, TOP_DONORS)
+      .map(d => ({
+        label: lang === 'en' && d.nameEn ? d.nameEn : d.name,
+        value: d.amountRaw,
+        href: `../donor/${encodeURIComponent(d.slug)}/index.html`,
+      }));
+    
+    const section = (heading, description, chart) => `
+        <h3>${heading}</h3>
+        ${description ? `<p class="muted">${description}</p>` : ''}
+        ${chart}`;
+    
+    const content = `
+      <div class="page-content wide">
+        <h2>${i18n.stats_title}</h2>
+        <p>${i18n.stats_intro}</p>
+        ${stats.rangeCount > 0 ? `<p class="muted">${formatI18n(i18n.stats_ranges, {
+          count: stats.rangeCount,
+          upper: money(stats.totalAmountUpper),
+          open: stats.lowerBoundCount,
+        })}</p>` : ''}
+        ${section(i18n.stats_by_capital, '', renderBarChart(categoryItems('capital', stats.byCapital), { title: i18n.stats_by_capital, lang }))}
+        ${section(i18n.stats_by_industry, '', renderBarChart(categoryItems('industry', stats.byIndustry), { title: i18n.stats_by_industry, lang }))}
+        ${section(i18n.stats_by_type, '', renderBarChart(categoryItems('type', stats.byType), { title: i18n.stats_by_type, lang }))}
+        ${section(i18n.stats_cash_goods, '', renderShareBar([
+          { label: i18n.stats_cash, value: stats.totalCash },
+          { label: i18n.stats_goods, value: stats.totalGoods },
+        ], { title: i18n.stats_cash_goods, lang }))}
+        ${section(i18n.stats_verification, i18n.stats_verification_description, renderShareBar([
+          { label: i18n.stats_verified, value: stats.totalVerified },
+          { label: i18n.stats_unverified, value: stats.totalAmount - stats.totalVerified },
+        ], { title: i18n.stats_verification, lang }))}
+        ${section(formatI18n(i18n.stats_top_donors, { count: topDonors.length }), '', renderBarChart(topDonors, { title: formatI18n(i18n.stats_top_donors, { count: topDonors.length }), lang, showPercent: false }))}
+        ${section(i18n.stats_timeline, formatI18n(i18n.stats_timeline_undated, {
+          count: timeline.undatedCount,
+          amount: money(timeline.undatedAmount),
+        }), renderLineChart(timeline.points, { title: i18n.stats_timeline, lang }))}
+      </div>
+    `;
+    
+    const html = buildStaticPage(template, i18n, {
+      lang,
+      pagePath: 'stats',
+      title: i18n.stats_title,
+      description: i18n.stats_description,
+      summaryHtml: formatI18n(i18n.stats_summary, {
+        count: `<strong>${stats.totalCount}</strong>`,
+        amount: `<strong>${money(stats.totalAmount)}</strong>`,
+        known: `<strong>${stats.withKnownAmount}</strong>`,
+      }),
+      contentHtml: content,
+      buildTime,
+      headHtml: CHART_CSS,
+    });
+    writeStaticPage(lang, 'stats', html, { priority: '0.7', changefreq: 'daily' });
+    console.log(`  ✓ /${lang}/stats/index.html`);
+  }
+}
+
+/**
+ * Format a build timestamp for display, in Hong Kong time
+ * @param {string} isoTime 
+ * @param {string} lang 
+ * @returns {string}
+ */
+function formatBuildDate(isoTime, lang) {
+  return new Date(isoTime).toLocaleString(lang === 'zh' ? 'zh-HK' : 'en-GB', {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Hong_Kong',
+  });
+}
+
+/**
+ * Render one change set as HTML (shared by the What's new page and its feed)
+ * @param {Object} changeSet - From buildChangeSet()
+ * @param {Object} i18n 
+ * @param {string} lang 
+ * @param {function(string): string} donorUrl - Maps a donor slug to a link
+ * @returns {string}
+ */
+function renderChangeSetHtml(changeSet, i18n, lang, donorUrl) {
+  const money = value => formatAmount(value, lang);
+  const name = d => {
+    const label = escapeHtml(lang === 'en' && d.entityEn ? d.entityEn : d.entity);
+    return d.donorSlug ? `<a href="${donorUrl(d.donorSlug)}">${label}</a>` : label;
+  };
+  const section = (heading, items, renderItem) => items.length === 0 ? '' : `
+          <h4>${heading} (${items.length})</h4>
+          <ul>${items.map(item => `<li>${renderItem(item)}</li>`).join('')}</ul>`;
+  
+  return [
+    section(i18n.changes_new_donors, changeSet.added.filter(d => d.newDonor), d => `${name(d)}: ${money(d.amountRaw)}`),
+    section(i18n.changes_new_pledges, changeSet.added.filter(d => !d.newDonor), d => `${name(d)}: ${money(d.amountRaw)}`),
+    section(i18n.changes_amount_changed, changeSet.amountChanged, d => `${name(d)}: ${money(d.previousAmountRaw)} → ${money(d.amountRaw)}`),
+    section(i18n.changes_verified, changeSet.verified, d => `${name(d)}: ${money(d.amountRaw)} (<a href="${escapeHtml(d.verificationLink)}" target="_blank" rel="noopener">${i18n.donor_verification}</a>)`),
+    section(i18n.changes_removed, changeSet.removed, d => `${escapeHtml(lang === 'en' && d.entityEn ? d.entityEn : d.entity)}: ${money(d.amountRaw)}`),
+  ].join('');
+}
+
+/**
+ * Summarise a change set in one line, e.g. "New donors (3) · Amount revisions (1)"
+ * @param {Object} changeSet 
+ * @param {Object} i18n 
+ * @returns {string}
+ */
+function getChangeSetTitle(changeSet, i18n) {
+  const { counts } = changeSet;
+  return [
+    [i18n.changes_new_donors, counts.newDonors],
+    [i18n.changes_new_pledges, counts.added - counts.newDonors],
+    [i18n.changes_amount_changed, counts.amountChanged],
+    [i18n.changes_verified, counts.verified],
+    [i18n.changes_removed, counts.removed],
+  ]
+    .filter(([, count]) => count > 0)
+    .map(([label, count]) => `${label} (${count})`)
+    .join(' · ');
+}
+
+/**
+ * Generate the What's new page and its Atom feed for each language
+ * @param {string} template 
+ * @param {Object[]} history - Change sets, newest first (from mergeHistory())
+ * @param {string} buildTime 
+ */
+function generateChangesPages(template, history, buildTime) {
+  console.log('Generating What\'s new pages...');
+  
+  // The page shows recent builds; the full history stays in changes.json
+  const shown = history.slice(0, 30);
+  
+  for (const lang of LANGUAGES) {
+    const i18n = loadI18n(lang);
+    const feedUrl = `${SITE_URL}/${lang}/changes/feed.xml`;
     
-    // Track for sitemap
-    generatedPages.push({
-      path: `/${lang}/about/`,
-      priority: '0.5',
-      changefreq: 'monthly',
+    const entriesHtml = shown.map(changeSet => `
+        <section class="change-set">
+          <h3>${escapeHtml(formatBuildDate(changeSet.buildTime, lang))}</h3>
+          <p class="muted">${formatI18n(i18n.changes_delta, {
+            delta: (changeSet.totalAmountDelta >= 0 ? '+' : '−') + formatAmount(Math.abs(changeSet.totalAmountDelta), lang),
+          })}</p>
+          ${renderChangeSetHtml(changeSet, i18n, lang, slug => `../donor/${encodeURIComponent(slug)}/index.html`)}
+        </section>`).join('');
+    
+    const content = `
+      <div class="page-content">
+        <h2>${i18n.changes_title}</h2>
+        <p>${i18n.changes_intro} <a href="feed.xml">${i18n.changes_feed}</a></p>
+        ${entriesHtml || `<p class="muted">${i18n.changes_none}</p>`}
+      </div>
+    `;
+    
+    const html = buildStaticPage(template, i18n, {
+      lang,
+      pagePath: 'changes',
+      title: i18n.changes_title,
+      description: i18n.changes_description,
+      summaryHtml: shown.length > 0
+        ? formatI18n(i18n.changes_summary, { date: `<strong>${escapeHtml(formatBuildDate(shown[0].buildTime, lang))}</strong>` })
+        : i18n.changes_none,
+      contentHtml: content,
+      buildTime,
+      headHtml: `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(i18n.changes_title)}" href="${feedUrl}">`,
+    });
+    writeStaticPage(lang, 'changes', html, { priority: '0.6', changefreq: 'hourly' });
+    
+    const feed = buildAtomFeed({
+      id: tagUri(SITE_URL, `${lang}/changes`),
+      title: `${i18n.changes_title} - ${i18n.site_title}`,
+      link: `${SITE_URL}/${lang}/changes/`,
+      selfUrl: feedUrl,
+      updated: shown.length > 0 ? shown[0].buildTime : buildTime,
+      lang: lang === 'zh' ? 'zh-Hant' : 'en',
+      entries: shown.map(changeSet => ({
+        id: tagUri(SITE_URL, `${lang}/changes/${changeSet.id}`),
+        title: getChangeSetTitle(changeSet, i18n),
+        link: `${SITE_URL}/${lang}/changes/`,
+        updated: changeSet.buildTime,
+        contentHtml: renderChangeSetHtml(changeSet, i18n, lang, slug => `${SITE_URL}/${lang}/donor/${encodeURIComponent(slug)}/`),
+      })),
     });
+    fs.writeFileSync(path.join(DIST_DIR, lang, 'changes', 'feed.xml'), feed);
+    console.log(`  ✓ /${lang}/changes/index.html, /${lang}/changes/feed.xml (${shown.length} builds)`);
   }
 }
 
+/**
+ * Generate changes.json: the latest change set plus the history carried over
+ * @param {Object | null} changeSet - null if there was no previous build to compare with
+ * @param {Object[]} history 
+ * @param {string} buildTime 
+ */
+function generateChangesJson(changeSet, history, buildTime) {
+  fs.writeFileSync(
+    path.join(DIST_DIR, 'changes.json'),
+    JSON.stringify({ buildTime, latest: changeSet, history }, null, 2)
+  );
+  console.log(`  ✓ changes.json (${history.length} change sets)`);
+}
+
 /**
  * Generate root redirect page
  */
@@ -378,6 +1147,7 @@ function generateSeoPages(template, donations, seoConfigs, buildTime) {
         sheets_url: SHEETS_URL,
         favicon_path: '../../favicon.png',
         build_time: buildTime,
+        fire_date: FIRE_DATE,
         site_title: title || i18n.site_title,
         page_description: description || i18n.page_description,
         switch_language_url: `../../${otherLang}/${config.slug}/index.html`,
@@ -389,12 +1159,15 @@ function generateSeoPages(template, donations, seoConfigs, buildTime) {
       
       let html = applyI18n(template, i18n, pageVars);
       html = injectData(html, translatedDonations);
+      html = injectExportSupport(html, i18n);
+      html = html.replace('</head>', () => getFeedLinksHtml(`${lang}/${config.slug}`, title || i18n.site_title) + '</head>');
       
-      // Write to /{lang}/{slug}/index.html
+      // Write to /{lang}/{slug}/index.html, with its downloads alongside
       const outputDir = path.join(DIST_DIR, lang, config.slug);
       ensureDir(outputDir);
       fs.writeFileSync(path.join(outputDir, 'index.html'), html);
-      console.log(`  ✓ /${lang}/${config.slug}/ (${filteredDonations.length} donations)`);
+      writeDownloads(`${lang}/${config.slug}`, translatedDonations, i18n, lang, buildTime);
+      console.log(`  ✓ /${lang}/${config.slug}/ (${filteredDonations.length} donations, with downloads)`);
       
       // Track for sitemap
       generatedPages.push({
@@ -406,6 +1179,148 @@ function generateSeoPages(template, donations, seoConfigs, buildTime) {
   }
 }
 
+// Most recent donors listed in each donation feed
+const FEED_ENTRY_LIMIT = 50;
+
+/**
+ * Get <link> tags advertising a page's donation feeds
+ * @param {string} feedDir - Directory of the feeds under the site root, e.g. "en" or "en/korean-artists"
+ * @param {string} title 
+ * @returns {string}
+ */
+function getFeedLinksHtml(feedDir, title) {
+  const base = `${SITE_URL}/${encodeURI(feedDir)}`;
+  return `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(title)} (Atom)" href="${base}/feed.xml">`
+    + `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(title)} (RSS)" href="${base}/rss.xml">`;
+}
+
+/**
+ * Get the date a donation is listed under in feeds
+ * The announcement date if known, else when the row first appeared in a
+ * build, else the fire date. Never the build time, so unchanged entries
+ * keep their date and feed readers don't show them again.
+ * @param {Object} donation 
+ * @param {Map<string, string>} firstSeen - From getFirstSeen()
+ * @returns {string} - ISO timestamp
+ */
+function getFeedDate(donation, firstSeen) {
+  if (donation.date) return `${donation.date}T00:00:00.000Z`;
+  return firstSeen.get(getRowKey(donation)) || `${FIRE_DATE}T00:00:00.000Z`;
+}
+
+/**
+ * Build one feed entry per donor, newest first
+ * Entry ids are per donor, so a donor's entry only moves up when it gets a new pledge.
+ * @param {Object[]} donations - Donations to include (already filtered)
+ * @param {string} lang 
+ * @param {Map<string, string>} firstSeen 
+ * @returns {Object[]} - Entries for buildAtomFeed()/buildRssFeed()
+ */
+function buildDonationFeedEntries(donations, lang, firstSeen) {
+  const i18n = loadI18n(lang);
+  const money = value => formatAmount(value, lang);
+  const byDonor = new Map();
+  
+  translateDonations(donations, lang).forEach(d => {
+    const key = d.donorSlug || d.entity;
+    if (!byDonor.has(key)) byDonor.set(key, []);
+    byDonor.get(key).push(d);
+  });
+  
+  const entries = [...byDonor.entries()].map(([key, pledges]) => {
+    const first = pledges[0];
+    const updated = pledges.map(p => getFeedDate(p, firstSeen)).sort().pop();
+    const known = pledges.filter(p => p.amountRaw !== null);
+    const total = known.length > 0 ? known.reduce((sum, p) => sum + p.amountRaw, 0) : null;
+    const link = first.donorSlug
+      ? `${SITE_URL}/${lang}/donor/${encodeURIComponent(first.donorSlug)}/`
+      : `${SITE_URL}/${lang}/`;
+    
+    const contentHtml = `<ul>${pledges.map(p => {
+      const parts = [p.amountDisplay];
+      if (p.through) parts.push(`${i18n.donor_receiver}: ${escapeHtml(p.through)}`);
+      if (p.date) parts.push(`${i18n.table_date}: ${p.date}`);
+      const source = p.primarySource || p.secondarySource;
+      if (source) parts.push(`<a href="${escapeHtml(source)}">${i18n.table_source}</a>`);
+      return `<li>${parts.join(' · ')}</li>`;
+    }).join('')}</ul>`;
+    
+    return {
+      id: tagUri(SITE_URL, `${lang}/donor/${encodeURIComponent(key)}`),
+      title: `${first.entityDisplay}: ${money(total)}`,
+      link,
+      updated,
+      contentHtml,
+    };
+  });
+  
+  return entries
+    .sort((a, b) => b.updated.localeCompare(a.updated) || a.title.localeCompare(b.title))
+    .slice(0, FEED_ENTRY_LIMIT);
+}
+
+/**
+ * Write Atom (feed.xml) and RSS 2.0 (rss.xml) feeds into a directory under dist/
+ * @param {string} feedDir - e.g. "en" or "en/korean-artists"
+ * @param {Object} feed - Title, link, description, lang and entries
+ */
+function writeFeeds(feedDir, feed) {
+  const outputDir = path.join(DIST_DIR, feedDir);
+  ensureDir(outputDir);
+  const base = `${SITE_URL}/${encodeURI(feedDir)}`;
+  // Feed-level date follows the newest entry, not the build time
+  const updated = feed.entries.length > 0 ? feed.entries[0].updated : `${FIRE_DATE}T00:00:00.000Z`;
+  
+  fs.writeFileSync(path.join(outputDir, 'feed.xml'), buildAtomFeed({
+    ...feed, id: tagUri(SITE_URL, `${encodeURI(feedDir)}/donations`), selfUrl: `${base}/feed.xml`, updated,
+  }));
+  fs.writeFileSync(path.join(outputDir, 'rss.xml'), buildRssFeed({
+    ...feed, id: tagUri(SITE_URL, `${encodeURI(feedDir)}/donations`), selfUrl: `${base}/rss.xml`, updated,
+  }));
+}
+
+/**
+ * Generate donation feeds for each language and each SEO page
+ * @param {Object[]} donations 
+ * @param {Object[]} seoConfigs - From parseSeoPageConfig()
+ * @param {Object[]} history - Change history (for when undated rows first appeared)
+ */
+function generateDonationFeeds(donations, seoConfigs, history) {
+  console.log('Generating donation feeds...');
+  const firstSeen = getFirstSeen(history);
+  
+  for (const lang of LANGUAGES) {
+    const i18n = loadI18n(lang);
+    const feedLang = lang === 'zh' ? 'zh-Hant' : 'en';
+    
+    writeFeeds(lang, {
+      title: i18n.site_title,
+      description: i18n.feed_description,
+      link: `${SITE_URL}/${lang}/`,
+      lang: feedLang,
+      entries: buildDonationFeedEntries(donations, lang, firstSeen),
+    });
+    console.log(`  ✓ /${lang}/feed.xml, /${lang}/rss.xml`);
+    
+    seoConfigs.forEach(config => {
+      if (!config || !config.slug) return;
+      const title = (lang === 'en' ? config.titleEn : config.titleZh) || i18n.site_title;
+      const description = (lang === 'en' ? config.descriptionEn : config.descriptionZh) || i18n.feed_description;
+      
+      writeFeeds(`${lang}/${config.slug}`, {
+        title,
+        description,
+        link: `${SITE_URL}/${lang}/${encodeURI(config.slug)}/`,
+        lang: feedLang,
+        entries: buildDonationFeedEntries(applyFilter(donations, config.filterConfig), lang, firstSeen),
+      });
+    });
+    if (seoConfigs.length > 0) {
+      console.log(`  ✓ /${lang}/{slug}/feed.xml, rss.xml (${seoConfigs.length} SEO pages)`);
+    }
+  }
+}
+
 /**
  * Generate sitemap.xml for SEO
  */
@@ -415,7 +1330,7 @@ function generateSitemap(buildTime) {
   const lastmod = buildTime.split('T')[0]; // YYYY-MM-DD format
   
   const urls = generatedPages.map(page => `  <url>
-    <loc>${SITE_URL}${page.path}</loc>
+    <loc>${SITE_URL}${encodeURI(page.path)}</loc>
     <lastmod>${lastmod}</lastmod>
     <changefreq>${page.changefreq}</changefreq>
     <priority>${page.priority}</priority>
@@ -446,10 +1361,76 @@ Sitemap: ${SITE_URL}/sitemap.xml
   console.log('  ✓ robots.txt');
 }
 
+/**
+ * Write the data quality report (data-quality.json and data-quality.html)
+ * The page is for editors: one table row per issue, with the sheet row to fix.
+ * @param {Object} report - From buildQualityReport()
+ */
+function generateQualityReport(report) {
+  fs.writeFileSync(path.join(DIST_DIR, 'data-quality.json'), JSON.stringify(report, null, 2));
+  
+  const sections = ['error', 'warning', 'info'].map(severity => {
+    const issues = report.issues.filter(issue => issue.severity === severity);
+    if (issues.length === 0) return '';
+    
+    const rows = issues.map(issue => `
+        <tr>
+          <td>${issue.sheetRow}</td>
+          <td>${escapeHtml(issue.entity)}</td>
+          <td>${escapeHtml(issue.column)}</td>
+          <td><code>${escapeHtml(issue.value)}</code></td>
+          <td>${escapeHtml(issue.message)} <span class="code">${issue.code}</span></td>
+        </tr>`).join('');
+    
+    return `
+    <h2 class="${severity}">${severity} (${issues.length})</h2>
+    <table>
+      <thead><tr><th>Row</th><th>Donor</th><th>Column</th><th>Value</th><th>Problem</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+  }).join('');
+  
+  const summary = Object.entries(report.byCode)
+    .sort((a, b) => b[1] - a[1])
+    .map(([code, count]) => `<li><span class="code">${code}</span>: ${count}</li>`)
+    .join('');
+  
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>Data quality report</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 20px; color: #333; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 30px; font-size: 0.9em; }
+    th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f8f9fa; position: sticky; top: 0; }
+    code { word-break: break-all; }
+    .code { color: #888; font-size: 0.85em; }
+    h2 { text-transform: capitalize; }
+    h2.error { color: #c0392b; }
+    h2.warning { color: #b9770e; }
+    h2.info { color: #5d7a99; }
+  </style>
+</head>
+<body>
+  <h1>Data quality report</h1>
+  <p>Build ${escapeHtml(report.buildTime)}: ${report.counts.error} errors, ${report.counts.warning} warnings, ${report.counts.info} info.
+  Row numbers refer to the <a href="${SHEETS_URL}">捐款 tab</a> (row 1 is the header).</p>
+  <ul>${summary}</ul>${sections}
+</body>
+</html>
+`;
+  fs.writeFileSync(path.join(DIST_DIR, 'data-quality.html'), html);
+}
+
 /**
  * Generate a JSON data file for potential API use
  */
-function generateDataJson(donations, stats, buildTime) {
+function generateDataJson(donations, stats, recipients, buildTime) {
   console.log('Generating data.json...');
   
   const data = {
@@ -457,13 +1438,19 @@ function generateDataJson(donations, stats, buildTime) {
     stats: {
       totalCount: stats.totalCount,
       totalAmount: stats.totalAmount,
+      netTotalAmount: stats.netTotalAmount,
+      doubleCountedAmount: stats.doubleCountedAmount,
       totalCash: stats.totalCash,
       totalGoods: stats.totalGoods,
       withKnownAmount: stats.withKnownAmount,
+      totalDisbursed: stats.totalDisbursed,
     },
     byCapital: stats.byCapital,
     byIndustry: stats.byIndustry,
     byType: stats.byType,
+    byFulfilment: stats.byFulfilment,
+    // Recipient totals (donor lists are on the recipient pages)
+    recipients: recipients.map(({ donors, ...summary }) => summary),
     donations,
   };
   
@@ -474,6 +1461,27 @@ function generateDataJson(donations, stats, buildTime) {
   console.log('  ✓ data.json');
 }
 
+/**
+ * Generate the versioned JSON API under /api/{version}/
+ * @param {Object[]} donations 
+ * @param {Object[]} recipients 
+ * @param {Object} stats 
+ * @param {string} buildTime 
+ */
+function generateApi(donations, recipients, stats, buildTime) {
+  console.log(`Generating /api/${API_VERSION}/...`);
+  
+  const apiDir = path.join(DIST_DIR, 'api', API_VERSION);
+  const files = buildApiFiles({ donations, recipients, stats, buildTime }, `${SITE_URL}/api/${API_VERSION}`);
+  
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(apiDir, file);
+    ensureDir(path.dirname(filePath));
+    fs.writeFileSync(filePath, JSON.stringify(content, null, 2));
+  }
+  console.log(`  ✓ /api/${API_VERSION}/ (${Object.keys(files).length} files)`);
+}
+
 /**
  * Main build function
  */
@@ -492,19 +1500,84 @@ async function build() {
     const template = readTemplate();
     console.log('✓ Template loaded\n');
     
-    // Fetch data from Google Sheets
-    console.log('Fetching data from Google Sheets...');
-    const { headers, rows } = await fetchDonations();
+    // Fetch data from the configured source (Google Sheets by default)
+    const sourceOptions = resolveDataSourceOptions();
+    const dataSource = createDataSource(sourceOptions);
+    console.log(`Fetching data from ${dataSource.name}...`);
+    const { headers, rows } = await dataSource.fetchDonations();
     console.log(`  ✓ Fetched ${rows.length} donation records\n`);
     
+    // Fetch disbursement ledger (optional 撥款 tab)
+    const disbursementData = await dataSource.fetchDisbursements();
+    if (disbursementData) {
+      console.log(`  ✓ Fetched ${disbursementData.rows.length} disbursement tranches\n`);
+    }
+    
     // Process data (pass headers for dynamic column detection)
     console.log('Processing data...');
-    const donations = processDonations(rows, headers);
+    let donations = processDonations(rows, headers);
+    
+    // Stable ids for deep links, diffs and feeds
+    const identified = assignDonationIds(donations);
+    donations = identified.donations;
+    identified.collisions.forEach(c => {
+      const rowList = c.rows.map(r => `row ${r.sheetRow} "${r.entity}"`).join(', ');
+      console.warn(`  ⚠ ${c.explicit ? 'Duplicate ID' : 'Identical rows'} ${c.id}: ${rowList} (rows after the first get -2, -3, ...)`);
+    });
+    
+    // Check the sheet for values the site would show wrongly
+    const qualityReport = buildQualityReport(
+      [...validateDonationRows(rows, headers), ...collisionIssues(identified.collisions)],
+      buildTime
+    );
+    generateQualityReport(qualityReport);
+    const { counts: issueCounts } = qualityReport;
+    console.log(`  ✓ Data quality: ${issueCounts.error} errors, ${issueCounts.warning} warnings, ${issueCounts.info} info (dist/data-quality.html)`);
+    if (issueCounts.error > 0) {
+      qualityReport.issues.filter(i => i.severity === 'error').slice(0, 10).forEach(i => {
+        console.warn(`  ⚠ Row ${i.sheetRow} "${i.entity}", ${i.column}: ${i.message}`);
+      });
+      if (STRICT) {
+        throw new Error(`${issueCounts.error} data errors (strict mode); see dist/data-quality.html`);
+      }
+    }
+    
+    // Fulfilment status is only meaningful once a ledger exists
+    if (disbursementData) {
+      const disbursements = processDisbursements(disbursementData.rows, disbursementData.headers);
+      const ledger = applyDisbursements(donations, disbursements);
+      donations = ledger.donations;
+      ledger.unmatched.forEach(t => {
+        console.warn(`  ⚠ Disbursement for "${t.entity}" does not match any donor`);
+      });
+    }
+    
+    // Group rows by donor so table rows can link to donor pages
+    const donors = buildDonors(donations);
+    donations = assignDonorSlugs(donations, donors);
+    
     const stats = calculateStats(donations);
     console.log(`  ✓ Processed ${donations.length} valid donations`);
     console.log(`  ✓ Total pledged: HKD ${stats.totalAmount.toLocaleString()}`);
+    if (stats.transferCount > 0) {
+      console.log(`  ✓ Net of ${stats.transferCount} pass-through transfers: HKD ${stats.netTotalAmount.toLocaleString()}`);
+    }
+    console.log(`  ✓ Total disbursed: HKD ${stats.totalDisbursed.toLocaleString()}`);
     console.log(`  ✓ Known amounts: ${stats.withKnownAmount}/${stats.totalCount}\n`);
     
+    // Compare with the previously published build (read before data.json is overwritten)
+    const previousLocation = sourceOptions.previousData || path.join(DIST_DIR, 'data.json');
+    console.log(`Comparing with previous build (${previousLocation})...`);
+    const previous = await loadPrevious(previousLocation, sourceOptions.previousChanges);
+    const changeSet = buildChangeSet(previous.snapshot, donations, buildTime);
+    const changeHistory = mergeHistory(previous.changes, changeSet);
+    if (changeSet) {
+      const { counts } = changeSet;
+      console.log(`  ✓ ${counts.added} added, ${counts.removed} removed, ${counts.amountChanged} amount changes, ${counts.verified} newly verified\n`);
+    } else {
+      console.log('  ✓ No previous build found, starting a new changelog\n');
+    }
+    
     // Generate OG Images
     console.log('Generating OG Images...');
     await generateOgImages(stats.totalAmount, DIST_DIR, buildTime);
@@ -519,22 +1592,49 @@ async function build() {
     // Generate About pages
     generateAboutPages(template, donations, stats, buildTime);
     
+    // Generate recipient pages (disclosure links from the optional 收款機構 tab)
+    console.log('');
+    const recipientInfoData = await dataSource.fetchRecipientInfo();
+    const recipientInfo = recipientInfoData
+      ? processRecipientInfo(recipientInfoData.rows, recipientInfoData.headers)
+      : [];
+    const recipients = buildRecipients(donations, recipientInfo);
+    generateRecipientPages(template, recipients, buildTime);
+    
+    // Generate donor pages
+    console.log('');
+    generateDonorPages(template, donors, recipients, buildTime);
+    
+    // Generate statistics pages
+    console.log('');
+    generateStatsPages(template, donations, stats, donors, buildTime);
+    
+    // Generate What's new pages and feeds
+    console.log('');
+    generateChangesPages(template, changeHistory, buildTime);
+    
     // Generate root redirect
     generateRootRedirect(DEFAULT_LANG);
     
     // Fetch and generate SEO pages
     console.log('\nFetching SEO page configurations...');
-    const seoData = await fetchSeoPages();
+    const seoData = await dataSource.fetchSeoPages();
+    const seoConfigs = seoData
+      ? seoData.rows.map(parseSeoPageConfig).filter(Boolean)
+      : [];
     if (seoData) {
-      const seoConfigs = seoData.rows
-        .map(parseSeoPageConfig)
-        .filter(Boolean);
       generateSeoPages(template, donations, seoConfigs, buildTime);
     }
     
+    // Generate donation feeds (per language and per SEO page)
+    console.log('');
+    generateDonationFeeds(donations, seoConfigs, changeHistory);
+    
     // Generate data.json
     console.log('');
-    generateDataJson(donations, stats, buildTime);
+    generateDataJson(donations, stats, recipients, buildTime);
+    generateApi(donations, recipients, stats, buildTime);
+    generateChangesJson(changeSet, changeHistory, buildTime);
     
     // Generate sitemap and robots.txt
     console.log('');
@@ -557,7 +1657,16 @@ async function build() {
     console.log('  /index.html        (language redirect)');
     console.log('  /en/index.html     (English version)');
     console.log('  /zh/index.html     (Chinese version)');
-    console.log('  /data.json         (JSON API)');
+    console.log('  /{lang}/recipients/ (recipient funds)');
+    console.log('  /{lang}/donor/     (one page per donor)');
+    console.log('  /{lang}/stats/     (statistics charts)');
+    console.log('  /{lang}/changes/   (What\'s new page and Atom feed)');
+    console.log('  /{lang}/feed.xml   (donation feeds, Atom and RSS, also per SEO page)');
+    console.log('  /{lang}/donations.csv, .xlsx, .json (downloads, also per SEO page)');
+    console.log('  /data.json         (full snapshot)');
+    console.log('  /data-quality.html (data quality report for editors, also .json)');
+    console.log(`  /api/${API_VERSION}/          (versioned JSON API with schema)`);
+    console.log('  /changes.json      (changes between builds)');
     console.log('  /sitemap.xml       (SEO sitemap)');
     console.log('  /robots.txt        (crawler rules)');
     console.log('  /favicon.png       (site icon)');
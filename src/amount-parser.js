@@ -0,0 +1,179 @@
+/**
+ * Amount Parser
+ *
+ * Reads money amounts as they are written in headlines, announcements and
+ * the sheet: Arabic or full-width digits with thousands separators, Chinese
+ * numerals (三千萬, 一億二千萬), mixed forms (1億2000萬, 3千萬), English units
+ * (1.5 million, HK$2bn, 500k) and currencies before or after the number
+ * (HK$, 港幣, 萬元人民币, 5億韓幣).
+ *
+ * Shared by the scrapers (through src/scrapers/base.js) and the build
+ * (src/data-processor.js). Test corpus: src/test-amount-parser.js
+ */
+
+const { CURRENCY_ALIASES, normaliseCurrency } = require('./currency');
+
+const CHINESE_DIGITS = {
+  零: 0, 〇: 0, 一: 1, 二: 2, 兩: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9,
+  // Financial forms, as on cheques and receipts
+  壹: 1, 貳: 2, 贰: 2, 參: 3, 叁: 3, 肆: 4, 伍: 5, 陸: 6, 陆: 6, 柒: 7, 捌: 8, 玖: 9,
+};
+const CHINESE_SMALL_UNITS = { 十: 10, 拾: 10, 百: 100, 佰: 100, 千: 1000, 仟: 1000 };
+const CHINESE_LARGE_UNITS = { 萬: 1e4, 万: 1e4, 億: 1e8, 亿: 1e8 };
+const ENGLISH_UNITS = {
+  thousand: 1e3, k: 1e3, million: 1e6, mil: 1e6, mn: 1e6, m: 1e6, billion: 1e9, bn: 1e9, b: 1e9,
+};
+
+const escapeRegex = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Currency names and symbols, longest first so "新台幣" wins over "台幣"
+const CURRENCY = Object.values(CURRENCY_ALIASES)
+  .flat()
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegex)
+  .join('|');
+
+const DIGIT = '[0-9０-９]';
+const NUMBER = `${DIGIT}{1,3}(?:[,，]${DIGIT}{3})+(?:[.．]${DIGIT}+)?|${DIGIT}+(?:[.．]${DIGIT}+)?`;
+const CHINESE_NUMERAL = `[${Object.keys(CHINESE_DIGITS).join('')}${Object.keys(CHINESE_SMALL_UNITS).join('')}${Object.keys(CHINESE_LARGE_UNITS).join('')}]`;
+const ENGLISH_UNIT = Object.keys(ENGLISH_UNITS).sort((a, b) => b.length - a.length).join('|');
+
+// [currency] number [unit] [元] [currency]; latin currencies and units must stand alone
+const AMOUNT_PATTERN = new RegExp(
+  `(?:(?<![a-z])(${CURRENCY}|\\$|＄)\\s*)?`
+  + `((?:${NUMBER}|${CHINESE_NUMERAL})+)`
+  + `(?:\\s*(${ENGLISH_UNIT})(?![a-z]))?`
+  + `(?:\\s*([元圓]))?`
+  + `(?:\\s*(${CURRENCY})(?![a-z]))?`,
+  'gi'
+);
+
+/**
+ * Convert full-width digits and punctuation to ASCII and drop thousands separators
+ * @param {string} str
+ * @returns {string}
+ */
+function toAsciiDigits(str) {
+  return str
+    .replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+    .replace(/．/g, '.')
+    .replace(/[,，]/g, '');
+}
+
+/**
+ * Read a number written in digits, Chinese numerals or a mix of both
+ * e.g. "3000" -> 3000, "三千萬" -> 30000000, "1億2000萬" -> 120000000, "1.5百萬" -> 1500000
+ * @param {string} numeral
+ * @returns {number | null} - null if the numeral is malformed
+ */
+function parseNumeral(numeral) {
+  const tokens = toAsciiDigits(numeral).match(/\d+(?:\.\d+)?|\D/g) || [];
+  let total = 0;
+  let section = 0;
+  let number = null;
+
+  for (const token of tokens) {
+    if (/^\d/.test(token) || CHINESE_DIGITS[token] > 0) {
+      // Two numbers in a row ("二〇二五", "3三") aren't an amount
+      if (number !== null) return null;
+      number = /^\d/.test(token) ? parseFloat(token) : CHINESE_DIGITS[token];
+    } else if (token in CHINESE_DIGITS) {
+      // 零 only marks a gap, as in 一千零五十
+    } else if (CHINESE_SMALL_UNITS[token]) {
+      section += (number === null ? 1 : number) * CHINESE_SMALL_UNITS[token];
+      number = null;
+    } else if (CHINESE_LARGE_UNITS[token]) {
+      section += number === null ? 0 : number;
+      // A large unit right after another multiplies it (萬億)
+      if (section === 0) {
+        total = (total || 1) * CHINESE_LARGE_UNITS[token];
+      } else {
+        total += section * CHINESE_LARGE_UNITS[token];
+      }
+      section = 0;
+      number = null;
+    } else {
+      return null;
+    }
+  }
+
+  return total + section + (number === null ? 0 : number);
+}
+
+/**
+ * Turn a match of AMOUNT_PATTERN into an amount
+ * @param {RegExpExecArray} match
+ * @returns {Object | null} - null if the match isn't an amount (e.g. "一" in "第一")
+ */
+function toAmount(match) {
+  const [text, prefixCurrency, numeral, englishUnit, yuan, suffixCurrency] = match;
+  const hasDigits = /[0-9０-９]/.test(numeral);
+  const chars = [...numeral];
+  const hasUnit = Boolean(englishUnit) || chars.some(c => CHINESE_SMALL_UNITS[c] || CHINESE_LARGE_UNITS[c]);
+  const hasCurrency = Boolean(prefixCurrency || yuan || suffixCurrency);
+
+  // Chinese numerals need a unit or currency to count: "一" alone is usually a word
+  if (!hasDigits && !hasUnit && !hasCurrency) return null;
+  if (!hasDigits && !chars.some(c => CHINESE_DIGITS[c] || CHINESE_SMALL_UNITS[c])) return null;
+
+  let value = parseNumeral(numeral);
+  if (value === null) return null;
+  if (englishUnit) value *= ENGLISH_UNITS[englishUnit.toLowerCase()];
+
+  const currencyName = suffixCurrency || prefixCurrency;
+  const trimmed = text.trimEnd();
+  return {
+    value: Math.round(value * 100) / 100,
+    currency: currencyName ? normaliseCurrency(currencyName) : null,
+    // Bare numbers in running text are often counts, dates or years
+    confidence: !hasUnit && !hasCurrency ? 'low' : hasDigits ? 'high' : 'medium',
+    hasUnit,
+    text: trimmed,
+    index: match.index,
+  };
+}
+
+/**
+ * Find every amount in a piece of text, in order
+ * @param {string} text - e.g. "李嘉誠捐3000萬 基金會額外5000萬後續支援"
+ * @returns {{value: number, currency: string | null, confidence: string, hasUnit: boolean, text: string, index: number}[]}
+ *   currency is an ISO code, or null if none is stated ("$" and "元" alone don't say which dollar);
+ *   confidence is 'high' (digits with a unit or currency), 'medium' (Chinese numerals)
+ *   or 'low' (a bare number, which may not be money at all)
+ */
+function findAmounts(text) {
+  if (!text || typeof text !== 'string') return [];
+  return [...text.matchAll(AMOUNT_PATTERN)].map(toAmount).filter(Boolean);
+}
+
+/**
+ * Parse text that holds a single amount and nothing else, such as a sheet cell
+ * @param {string} text - e.g. "$30,000,000", "3千萬", "HK$2bn", "100萬港元", "-5000"
+ * @returns {{value: number, currency: string | null, confidence: string, hasUnit: boolean} | null}
+ */
+function parseAmountText(text) {
+  if (text === null || text === undefined) return null;
+  const trimmed = String(text).trim();
+  const negative = /^[-−]/.test(trimmed);
+  const body = negative ? trimmed.slice(1).trim() : trimmed;
+
+  const amounts = findAmounts(body);
+  if (amounts.length !== 1 || amounts[0].index !== 0 || amounts[0].text.length !== body.length) {
+    return null;
+  }
+
+  const { value, currency, confidence, hasUnit } = amounts[0];
+  return {
+    value: negative ? -value : value,
+    currency,
+    // A cell holding only a number is unambiguous
+    confidence: confidence === 'low' ? 'high' : confidence,
+    hasUnit,
+  };
+}
+
+module.exports = {
+  parseNumeral,
+  findAmounts,
+  parseAmountText,
+};
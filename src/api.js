@@ -0,0 +1,399 @@
+/**
+ * API Module
+ *
+ * Builds the versioned public JSON API published under /api/{version}/.
+ * The record shapes are described by src/api-schema.json, which is also
+ * published so consumers can validate against it.
+ *
+ * A version's schema must not change once released. Its fingerprint is
+ * recorded in src/data/api-schema.lock.json; the build fails if the schema
+ * no longer matches, so field changes have to go out as a new version.
+ *
+ * Usage: node src/api.js --lock   (record the fingerprint of a new version)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getCategoryMap } = require('./i18n/categories');
+const { isExactAmount } = require('./data-processor');
+
+const API_VERSION = 'v1';
+const API_SCHEMA = require('./api-schema.json');
+const LOCK_PATH = path.join(__dirname, 'data', 'api-schema.lock.json');
+
+// Donations per page-{n}.json shard
+const PAGE_SIZE = 100;
+
+/**
+ * Serialise a value with object keys sorted, so the fingerprint doesn't
+ * depend on key order in the schema file
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Get the fingerprint of the API schema
+ * @param {Object} [schema]
+ * @returns {string} - sha256 hex digest
+ */
+function getSchemaFingerprint(schema = API_SCHEMA) {
+  return crypto.createHash('sha256').update(canonicalJson(schema)).digest('hex');
+}
+
+/**
+ * Read the recorded schema fingerprints
+ * @returns {Object} - Version to fingerprint
+ */
+function readSchemaLock() {
+  return fs.existsSync(LOCK_PATH) ? JSON.parse(fs.readFileSync(LOCK_PATH, 'utf-8')) : {};
+}
+
+/**
+ * Check that the schema matches the fingerprint recorded for this version
+ * @throws {Error} - If the schema changed, or the version has no fingerprint yet
+ */
+function checkSchemaLock() {
+  const locked = readSchemaLock()[API_VERSION];
+  const fingerprint = getSchemaFingerprint();
+
+  if (!locked) {
+    throw new Error(`API ${API_VERSION} has no recorded schema fingerprint. Run "npm run api:lock" to record it.`);
+  }
+  if (locked !== fingerprint) {
+    throw new Error(
+      `src/api-schema.json changed, but API ${API_VERSION} is already published. ` +
+      'Bump API_VERSION in src/api.js (and the schema\'s $id and version constants), then run "npm run api:lock".'
+    );
+  }
+}
+
+/**
+ * Resolve a local $ref such as "#/$defs/donation"
+ * @param {string} ref
+ * @returns {Object}
+ */
+function resolveRef(ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], API_SCHEMA);
+}
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node
+ * Supports the keywords used in src/api-schema.json only.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [where] - Path for error messages
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+function validate(value, schema, where = '') {
+  if (schema.$ref) return validate(value, resolveRef(schema.$ref), where);
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validate(value, option, where).length === 0);
+    return matches.length === 1 ? [] : [`${where || '/'}: matches ${matches.length} of oneOf`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${where || '/'}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`];
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [`${where || '/'}: expected ${JSON.stringify(schema.const)}`];
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      return [`${where || '/'}: expected ${types.join(' or ')}, got ${actual}`];
+    }
+  }
+
+  const problems = [];
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => problems.push(...validate(item, schema.items, `${where}/${index}`)));
+  }
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) problems.push(`${where}/${key}: missing`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.properties && schema.properties[key]) {
+        problems.push(...validate(child, schema.properties[key], `${where}/${key}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${where}/${key}: not in schema`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validate(child, schema.additionalProperties, `${where}/${key}`));
+      }
+    });
+  }
+  return problems;
+}
+
+/**
+ * Validate API records against a definition in the schema
+ * @param {Object[]} records
+ * @param {string} def - e.g. "donation"
+ * @throws {Error} - Listing the first few problems, if any
+ */
+function validateRecords(records, def) {
+  const problems = records.flatMap((record, index) => validate(record, API_SCHEMA.$defs[def], `${def}[${index}]`));
+  if (problems.length > 0) {
+    throw new Error(`API ${def} records don't match src/api-schema.json:\n  ${problems.slice(0, 10).join('\n  ')}`);
+  }
+}
+
+/**
+ * Turn an empty string into null
+ * @param {string} value
+ * @returns {string | null}
+ */
+function orNull(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+/**
+ * Split a newline or 、 separated list
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return (value || '').split(/\n|、/).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Convert a processed donation to its API record
+ * @param {Object} d - From assignDonationIds() (untranslated)
+ * @returns {Object}
+ */
+function toApiDonation(d) {
+  // v1 amounts are exact figures: ranges and minimums ("逾1000萬") are null
+  const exact = !d.amountRange || isExactAmount(d.amountRange);
+  return {
+    id: d.id,
+    entity: d.entity,
+    entityEn: orNull(d.entityEn),
+    donorSlug: d.donorSlug || '',
+    group: orNull(d.group),
+    capital: orNull(d.capital),
+    industry: orNull(d.industry),
+    type: orNull(d.type),
+    amount: exact ? d.amountRaw : null,
+    cashAmount: exact ? d.cashAmountRaw : null,
+    goodsAmount: exact ? d.goodsAmountRaw : null,
+    netAmount: !exact ? null : d.netAmountRaw === undefined ? d.amountRaw : d.netAmountRaw,
+    original: d.originalCurrency
+      ? { currency: d.originalCurrency, amount: d.originalAmountRaw, rate: d.fxRate, rateDate: d.fxDate }
+      : null,
+    receiver: orNull(d.through),
+    date: orNull(d.date),
+    dateRaw: orNull(d.dateRaw),
+    sources: [d.primarySource, d.secondarySource].filter(Boolean),
+    verificationLink: orNull(d.verificationLink),
+    verified: Boolean(d.verificationLink && d.verificationLink.trim()),
+    note: orNull(d.note),
+    transferOf: orNull(d.transferOf),
+    transferredFrom: d.transferredFrom || [],
+    transferredVia: orNull(d.transferredVia),
+    passThroughAmount: d.passThroughRaw || 0,
+    relatedEntities: splitList(d.relatedEntities),
+    fulfilment: d.fulfilmentStatus
+      ? {
+        status: d.fulfilmentStatus,
+        disbursed: d.disbursedRaw,
+        outstanding: d.outstandingRaw,
+        tranches: d.disbursements.map(t => ({
+          date: orNull(t.date),
+          amount: t.amountRaw,
+          recipient: orNull(t.recipient),
+          evidenceUrl: orNull(t.evidenceUrl),
+        })),
+      }
+      : null,
+  };
+}
+
+/**
+ * Convert a recipient summary to its API record
+ * @param {Object} r - From buildRecipients()
+ * @returns {Object}
+ */
+function toApiRecipient(r) {
+  return {
+    slug: r.slug,
+    name: r.name,
+    nameEn: orNull(r.nameEn),
+    aliases: r.aliases || [],
+    pledged: r.pledgedRaw,
+    verified: r.verifiedRaw,
+    shared: r.sharedRaw,
+    unknownAmountCount: r.unknownAmountCount,
+    donorCount: r.donorCount,
+    disclosureUrl: orNull(r.disclosureUrl),
+  };
+}
+
+/**
+ * Build the category lists with bilingual labels
+ * @param {Object} stats - From calculateStats()
+ * @returns {Object} - capital, industry and type lists, largest first
+ */
+function buildApiCategories(stats) {
+  const list = (category, totals) => Object.entries(totals)
+    .map(([key, { count, amount }]) => {
+      const labels = getCategoryMap(category)[key] || {};
+      return { key, en: labels.en || key, zh: labels.zh || key, count, amount };
+    })
+    .sort((a, b) => b.amount - a.amount || a.key.localeCompare(b.key));
+
+  return {
+    capital: list('capital', stats.byCapital),
+    industry: list('industry', stats.byIndustry),
+    type: list('type', stats.byType),
+  };
+}
+
+/**
+ * Build the stats record
+ * @param {Object} stats - From calculateStats()
+ * @returns {Object}
+ */
+function toApiStats(stats) {
+  return {
+    totalCount: stats.totalCount,
+    totalAmount: stats.totalAmount,
+    netTotalAmount: stats.netTotalAmount,
+    doubleCountedAmount: stats.doubleCountedAmount,
+    totalCash: stats.totalCash,
+    totalGoods: stats.totalGoods,
+    withKnownAmount: stats.withKnownAmount,
+    totalDisbursed: stats.totalDisbursed || 0,
+    byFulfilment: stats.byFulfilment,
+  };
+}
+
+/**
+ * Build every file of the API
+ * Records are validated against the schema, so the build fails rather
+ * than publishing data that doesn't match it.
+ * @param {Object} data
+ * @param {Object[]} data.donations - From assignDonationIds()
+ * @param {Object[]} data.recipients - From buildRecipients()
+ * @param {Object} data.stats - From calculateStats()
+ * @param {string} data.buildTime
+ * @param {string} baseUrl - Public URL of /api/{version}/ (no trailing slash)
+ * @returns {Object} - Relative file path to JSON content
+ */
+function buildApiFiles({ donations, recipients, stats, buildTime }, baseUrl) {
+  checkSchemaLock();
+
+  const apiDonations = donations.map(toApiDonation);
+  const apiRecipients = recipients.map(toApiRecipient);
+  const categories = buildApiCategories(stats);
+  const apiStats = toApiStats(stats);
+
+  validateRecords(apiDonations, 'donation');
+  validateRecords(apiRecipients, 'recipient');
+  validateRecords([...categories.capital, ...categories.industry, ...categories.type], 'category');
+  validateRecords([apiStats], 'stats');
+
+  const envelope = { version: API_VERSION, buildTime };
+  const pageCount = Math.max(1, Math.ceil(apiDonations.length / PAGE_SIZE));
+  const pageUrl = page => `${baseUrl}/donations/page-${page}.json`;
+
+  const files = {
+    'schema.json': API_SCHEMA,
+    'donations.json': { ...envelope, count: apiDonations.length, items: apiDonations },
+    'recipients.json': { ...envelope, count: apiRecipients.length, items: apiRecipients },
+    'categories.json': { ...envelope, ...categories },
+    'stats.json': { ...envelope, ...apiStats },
+  };
+
+  for (let page = 1; page <= pageCount; page++) {
+    files[`donations/page-${page}.json`] = {
+      ...envelope,
+      page,
+      pageCount,
+      pageSize: PAGE_SIZE,
+      count: apiDonations.length,
+      prev: page > 1 ? pageUrl(page - 1) : null,
+      next: page < pageCount ? pageUrl(page + 1) : null,
+      items: apiDonations.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+    };
+  }
+
+  files['index.json'] = {
+    ...envelope,
+    schema: `${baseUrl}/schema.json`,
+    schemaFingerprint: getSchemaFingerprint(),
+    endpoints: {
+      donations: `${baseUrl}/donations.json`,
+      donationPages: Array.from({ length: pageCount }, (_, index) => pageUrl(index + 1)),
+      recipients: `${baseUrl}/recipients.json`,
+      categories: `${baseUrl}/categories.json`,
+      stats: `${baseUrl}/stats.json`,
+    },
+    counts: {
+      donations: apiDonations.length,
+      recipients: apiRecipients.length,
+    },
+  };
+
+  return files;
+}
+
+/**
+ * Record the schema fingerprint for the current version
+ * Refuses to overwrite a version that's already recorded.
+ */
+function lockSchema() {
+  const lock = readSchemaLock();
+  const fingerprint = getSchemaFingerprint();
+
+  if (lock[API_VERSION] === fingerprint) {
+    console.log(`✓ API ${API_VERSION} schema already recorded`);
+    return;
+  }
+  if (lock[API_VERSION]) {
+    console.error(`❌ API ${API_VERSION} is already recorded with a different schema. Bump API_VERSION instead.`);
+    process.exit(1);
+  }
+
+  lock[API_VERSION] = fingerprint;
+  fs.writeFileSync(LOCK_PATH, JSON.stringify(lock, null, 2) + '\n');
+  console.log(`✓ Recorded API ${API_VERSION} schema fingerprint ${fingerprint.slice(0, 12)}`);
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--lock')) {
+    lockSchema();
+  } else {
+    console.log(`API ${API_VERSION}, schema fingerprint ${getSchemaFingerprint()}`);
+  }
+}
+
+module.exports = {
+  API_VERSION,
+  PAGE_SIZE,
+  getSchemaFingerprint,
+  checkSchemaLock,
+  validate,
+  toApiDonation,
+  buildApiFiles,
+};
@@ -0,0 +1,306 @@
+/**
+ * Changelog Module
+ *
+ * Compares this build's donations with the previously published data.json,
+ * so followers can see what was added, removed or changed between builds.
+ *
+ * The previous snapshot is read from a local file or a URL (the last
+ * deployed site). Its sibling changes.json carries the change history
+ * forward, since each build only sees the one snapshot before it. If it
+ * exists but can't be read, the build fails rather than publish a changes.json
+ * without its history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+
+// Non-empty change sets kept in changes.json (newest first)
+const MAX_HISTORY = 100;
+
+const FETCH_TIMEOUT_MS = 15000;
+// Extra attempts for a previous build that couldn't be fetched (not for 404)
+const FETCH_RETRIES = 2;
+const FETCH_RETRY_DELAY_MS = 2000;
+
+/**
+ * Get the key for matching donation rows across builds by donor and receiver
+ * Used for rows whose id didn't match, e.g. because the amount changed or the
+ * previous snapshot predates ids. Repeated keys are numbered in order.
+ * @param {Object} donation
+ * @returns {string}
+ */
+function getRowKey(donation) {
+  return `${(donation.entity || '').trim()}|${(donation.through || '').trim()}`;
+}
+
+/**
+ * Index donations by row key
+ * @param {Object[]} donations
+ * @returns {Map<string, Object>}
+ */
+function indexRows(donations) {
+  const index = new Map();
+  donations.forEach(d => {
+    const base = getRowKey(d);
+    let key = base;
+    for (let n = 2; index.has(key); n++) {
+      key = `${base}#${n}`;
+    }
+    index.set(key, d);
+  });
+  return index;
+}
+
+/**
+ * Keep only the fields a change entry needs
+ * @param {Object} donation
+ * @returns {Object}
+ */
+function summariseRow(donation) {
+  return {
+    id: donation.id || '',
+    entity: donation.entity || '',
+    entityEn: donation.entityEn || '',
+    donorSlug: donation.donorSlug || '',
+    through: donation.through || '',
+    amountRaw: donation.amountRaw === undefined ? null : donation.amountRaw,
+  };
+}
+
+/**
+ * @param {Object} donation
+ * @returns {boolean}
+ */
+function isVerified(donation) {
+  return Boolean(donation.verificationLink && donation.verificationLink.trim());
+}
+
+/**
+ * Diff two lists of donations
+ * @param {Object[]} previous - Donations from the previous snapshot
+ * @param {Object[]} current - Donations from this build
+ * @returns {{added: Object[], removed: Object[], amountChanged: Object[], verified: Object[]}}
+ */
+function diffDonations(previous, current) {
+  // Rows with the same id are the same donation; match the rest by donor and receiver
+  const previousIds = new Set(previous.map(d => d.id).filter(Boolean));
+  const currentIds = new Set(current.map(d => d.id).filter(Boolean));
+  const matchedIds = new Set([...currentIds].filter(id => previousIds.has(id)));
+  const isUnmatched = d => !matchedIds.has(d.id);
+  
+  const before = new Map([
+    ...previous.filter(d => matchedIds.has(d.id)).map(d => [`id:${d.id}`, d]),
+    ...indexRows(previous.filter(isUnmatched)),
+  ]);
+  const after = new Map([
+    ...current.filter(d => matchedIds.has(d.id)).map(d => [`id:${d.id}`, d]),
+    ...indexRows(current.filter(isUnmatched)),
+  ]);
+  const previousEntities = new Set(previous.map(d => (d.entity || '').trim()));
+
+  const added = [];
+  const amountChanged = [];
+  const verified = [];
+
+  after.forEach((row, key) => {
+    const old = before.get(key);
+    if (!old) {
+      added.push({ ...summariseRow(row), newDonor: !previousEntities.has((row.entity || '').trim()) });
+      return;
+    }
+    if ((old.amountRaw ?? null) !== (row.amountRaw ?? null)) {
+      amountChanged.push({ ...summariseRow(row), previousAmountRaw: old.amountRaw ?? null });
+    }
+    if (isVerified(row) && !isVerified(old)) {
+      verified.push({ ...summariseRow(row), verificationLink: row.verificationLink });
+    }
+  });
+
+  const removed = [];
+  before.forEach((row, key) => {
+    if (!after.has(key)) removed.push(summariseRow(row));
+  });
+
+  return { added, removed, amountChanged, verified };
+}
+
+/**
+ * Build the change set between the previous snapshot and this build
+ * @param {Object | null} previousSnapshot - Previously published data.json
+ * @param {Object[]} donations - This build's donations
+ * @param {string} buildTime
+ * @returns {Object | null} - null if there is no previous snapshot to compare with
+ */
+function buildChangeSet(previousSnapshot, donations, buildTime) {
+  if (!previousSnapshot || !Array.isArray(previousSnapshot.donations)) return null;
+
+  const diff = diffDonations(previousSnapshot.donations, donations);
+  const total = list => list.reduce((sum, d) => sum + (d.amountRaw || 0), 0);
+
+  return {
+    id: buildTime,
+    buildTime,
+    previousBuildTime: previousSnapshot.buildTime || null,
+    counts: {
+      added: diff.added.length,
+      newDonors: diff.added.filter(d => d.newDonor).length,
+      removed: diff.removed.length,
+      amountChanged: diff.amountChanged.length,
+      verified: diff.verified.length,
+    },
+    totalAmountDelta: total(donations) - total(previousSnapshot.donations),
+    ...diff,
+  };
+}
+
+/**
+ * Check whether a change set has no changes
+ * @param {Object | null} changeSet
+ * @returns {boolean}
+ */
+function isEmptyChangeSet(changeSet) {
+  if (!changeSet) return true;
+  const { added, removed, amountChanged, verified } = changeSet.counts;
+  return added + removed + amountChanged + verified === 0;
+}
+
+/**
+ * Add a change set to the history carried over from the previous build
+ * @param {Object | null} previousChanges - Previously published changes.json
+ * @param {Object | null} changeSet
+ * @returns {Object[]} - Non-empty change sets, newest first
+ */
+function mergeHistory(previousChanges, changeSet) {
+  const history = previousChanges && Array.isArray(previousChanges.history)
+    ? previousChanges.history.filter(c => !changeSet || c.id !== changeSet.id)
+    : [];
+
+  if (!isEmptyChangeSet(changeSet)) history.unshift(changeSet);
+  return history.slice(0, MAX_HISTORY);
+}
+
+/**
+ * Get when each donation row first appeared, from the change history
+ * Rows added before the history began are not included.
+ * @param {Object[]} history - Change sets (from mergeHistory())
+ * @returns {Map<string, string>} - Row key (without numbering) to build time
+ */
+function getFirstSeen(history) {
+  const firstSeen = new Map();
+  history.forEach(changeSet => {
+    changeSet.added.forEach(row => {
+      const key = getRowKey(row);
+      if (!firstSeen.has(key) || changeSet.buildTime < firstSeen.get(key)) {
+        firstSeen.set(key, changeSet.buildTime);
+      }
+    });
+  });
+  return firstSeen;
+}
+
+/**
+ * Fetch and parse JSON over HTTP(S)
+ * @param {string} url
+ * @returns {Promise<Object | null>} - null on 404 (nothing published yet)
+ */
+function fetchJson(url) {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https') ? https : http;
+    const req = protocol.get(url, { timeout: FETCH_TIMEOUT_MS }, (res) => {
+      if (res.statusCode === 404) {
+        res.resume();
+        resolve(null);
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode}`));
+        return;
+      }
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+  });
+}
+
+/**
+ * Read JSON from a local path or URL
+ * Network errors are retried FETCH_RETRIES times.
+ * @param {string} location
+ * @returns {Promise<Object | null>} - null if the file doesn't exist
+ * @throws {Error} - If it exists but can't be read or parsed
+ */
+async function readJson(location) {
+  if (/^https?:\/\//.test(location)) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetchJson(location);
+      } catch (error) {
+        if (error instanceof SyntaxError || attempt >= FETCH_RETRIES) throw error;
+        console.warn(`  ⚠ Could not read ${location} (${error.message}), retrying`);
+        await new Promise(resolve => setTimeout(resolve, FETCH_RETRY_DELAY_MS));
+      }
+    }
+  }
+  const resolved = path.resolve(process.cwd(), location);
+  if (!fs.existsSync(resolved)) return null;
+  return JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+}
+
+/**
+ * Load the previously published snapshot and change history
+ * Only a missing file (the first build, or a 404) counts as "no previous
+ * build". Any other failure throws: carrying on would publish a changes.json
+ * with the history lost, and every later build would start from it.
+ * @param {string | null} location - Path or URL of the previous data.json
+ * @param {string | null} [changesLocation] - Path or URL of the previous
+ *   changes.json; defaults to the one next to data.json
+ * @returns {Promise<{snapshot: Object | null, changes: Object | null}>}
+ * @throws {Error} - If the previous build exists but can't be read, or
+ *   changes.json can't be found from location
+ */
+async function loadPrevious(location, changesLocation = null) {
+  if (!location) return { snapshot: null, changes: null };
+
+  if (!changesLocation && !/data\.json$/.test(location)) {
+    throw new Error(`Can't tell where the previous build's changes.json is: ${location} isn't named data.json. `
+      + 'Not building, so the change history isn\'t lost; pass --previous-changes too');
+  }
+  const changes = changesLocation || location.replace(/data\.json$/, 'changes.json');
+  const load = async (target) => {
+    try {
+      return await readJson(target);
+    } catch (error) {
+      throw new Error(`Could not read the previous build's ${path.basename(target)} (${target}): ${error.message}. `
+        + 'Not building, so the change history isn\'t lost; try again, or point --previous-data at a copy');
+    }
+  };
+
+  return { snapshot: await load(location), changes: await load(changes) };
+}
+
+module.exports = {
+  MAX_HISTORY,
+  getRowKey,
+  diffDonations,
+  buildChangeSet,
+  isEmptyChangeSet,
+  mergeHistory,
+  getFirstSeen,
+  loadPrevious,
+};
@@ -0,0 +1,250 @@
+/**
+ * Charts Module
+ *
+ * Renders simple charts as inline SVG at build time, so the statistics
+ * page works offline and without a charting library or CDN.
+ * Colors come from the site's CSS variables where possible.
+ */
+
+const CHART_WIDTH = 800;
+const PALETTE = ['#2c3e50', '#5d7a99', '#8fa9c2', '#c0392b', '#e6a7e7', '#aee7a7', '#a0f4fa', '#eecbc7'];
+
+/**
+ * Escape text for SVG/HTML content
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return String(str === null || str === undefined ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format an amount compactly for chart labels
+ * e.g. 2,902,634,044 -> "$2.9B" (en) or "$29億" (zh)
+ * @param {number} value
+ * @param {string} lang - 'en' or 'zh'
+ * @returns {string}
+ */
+function formatCompactAmount(value, lang = 'en') {
+  const round = (n) => (n >= 100 ? Math.round(n) : Math.round(n * 10) / 10).toLocaleString('en-HK');
+
+  if (lang === 'zh') {
+    if (value >= 1e8) return `$${round(value / 1e8)}億`;
+    if (value >= 1e4) return `$${round(value / 1e4)}萬`;
+    return `$${value.toLocaleString('en-HK')}`;
+  }
+
+  if (value >= 1e9) return `$${round(value / 1e9)}B`;
+  if (value >= 1e6) return `$${round(value / 1e6)}M`;
+  if (value >= 1e3) return `$${round(value / 1e3)}K`;
+  return `$${value.toLocaleString('en-HK')}`;
+}
+
+/**
+ * Format a share as a percentage label
+ * @param {number} value
+ * @param {number} total
+ * @returns {string}
+ */
+function formatPercent(value, total) {
+  if (!total) return '0%';
+  const percent = value / total * 100;
+  return percent > 0 && percent < 1 ? '<1%' : `${Math.round(percent)}%`;
+}
+
+/**
+ * Keep the largest items and merge the rest into one "other" item
+ * @param {{label: string, value: number}[]} items
+ * @param {number} maxItems
+ * @param {string} otherLabel
+ * @returns {{label: string, value: number}[]}
+ */
+function limitItems(items, maxItems, otherLabel) {
+  const sorted = [...items].sort((a, b) => b.value - a.value);
+  if (sorted.length <= maxItems) return sorted;
+
+  const rest = sorted.slice(maxItems - 1);
+  return [
+    ...sorted.slice(0, maxItems - 1),
+    { label: `${otherLabel} (${rest.length})`, value: rest.reduce((sum, item) => sum + item.value, 0) },
+  ];
+}
+
+/**
+ * Render a horizontal bar chart
+ * @param {{label: string, value: number, href?: string}[]} items - Already sorted and limited
+ * @param {Object} options
+ * @param {string} options.title - Accessible chart title
+ * @param {string} options.lang
+ * @param {boolean} [options.showPercent=true] - Show share of the items' total
+ * @returns {string} - SVG markup
+ */
+function renderBarChart(items, options) {
+  const { title, lang, showPercent = true } = options;
+  const labelWidth = 240;
+  const valueWidth = 130;
+  const rowHeight = 30;
+  const barHeight = 18;
+  const barArea = CHART_WIDTH - labelWidth - valueWidth;
+  const height = items.length * rowHeight + 10;
+
+  const max = Math.max(...items.map(item => item.value), 1);
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+
+  const rows = items.map((item, index) => {
+    const y = index * rowHeight + 5;
+    const barWidth = Math.max(item.value > 0 ? 2 : 0, Math.round(item.value / max * barArea));
+    const valueLabel = formatCompactAmount(item.value, lang) + (showPercent ? ` · ${formatPercent(item.value, total)}` : '');
+    const label = `<text x="${labelWidth - 10}" y="${y + barHeight - 4}" text-anchor="end" class="chart-label">${escapeXml(item.label)}</text>`;
+
+    return `
+      <g>
+        <title>${escapeXml(item.label)}: $${item.value.toLocaleString('en-HK')}</title>
+        ${item.href ? `<a href="${escapeXml(item.href)}">${label}</a>` : label}
+        <rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3" fill="${PALETTE[0]}"></rect>
+        <text x="${labelWidth + barWidth + 8}" y="${y + barHeight - 4}" class="chart-value">${escapeXml(valueLabel)}</text>
+      </g>`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeXml(title)}" xmlns="http://www.w3.org/2000/svg">
+      <title>${escapeXml(title)}</title>${rows}
+    </svg>`;
+}
+
+/**
+ * Render a 100% stacked bar with a legend (e.g. cash vs goods)
+ * @param {{label: string, value: number}[]} segments
+ * @param {Object} options
+ * @param {string} options.title - Accessible chart title
+ * @param {string} options.lang
+ * @returns {string} - SVG markup
+ */
+function renderShareBar(segments, options) {
+  const { title, lang } = options;
+  const barHeight = 36;
+  const legendY = barHeight + 30;
+  const height = legendY + 10;
+  const total = segments.reduce((sum, s) => sum + s.value, 0);
+
+  let x = 0;
+  const bars = segments.map((segment, index) => {
+    const width = total ? segment.value / total * CHART_WIDTH : 0;
+    const rect = `<rect x="${x.toFixed(1)}" y="0" width="${width.toFixed(1)}" height="${barHeight}" fill="${PALETTE[index % PALETTE.length]}"><title>${escapeXml(segment.label)}: $${segment.value.toLocaleString('en-HK')}</title></rect>`;
+    x += width;
+    return rect;
+  }).join('');
+
+  const legendWidth = CHART_WIDTH / Math.max(segments.length, 1);
+  const legend = segments.map((segment, index) => {
+    const lx = index * legendWidth;
+    return `
+      <rect x="${lx}" y="${legendY - 12}" width="12" height="12" rx="2" fill="${PALETTE[index % PALETTE.length]}"></rect>
+      <text x="${lx + 18}" y="${legendY - 2}" class="chart-label">${escapeXml(segment.label)}: ${escapeXml(formatCompactAmount(segment.value, lang))} (${formatPercent(segment.value, total)})</text>`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeXml(title)}" xmlns="http://www.w3.org/2000/svg">
+      <title>${escapeXml(title)}</title>
+      ${bars}${legend}
+    </svg>`;
+}
+
+/**
+ * Render a cumulative line chart over dates
+ * @param {{date: string, total: number}[]} points - Sorted by date (YYYY-MM-DD)
+ * @param {Object} options
+ * @param {string} options.title - Accessible chart title
+ * @param {string} options.lang
+ * @returns {string} - SVG markup
+ */
+function renderLineChart(points, options) {
+  const { title, lang } = options;
+  const height = 300;
+  const padding = { top: 20, right: 30, bottom: 40, left: 80 };
+  const plotWidth = CHART_WIDTH - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  if (points.length === 0) return '';
+
+  const day = (date) => Date.parse(`${date}T00:00:00Z`) / 86400000;
+  const firstDay = day(points[0].date);
+  const lastDay = Math.max(day(points[points.length - 1].date), firstDay + 1);
+  const max = Math.max(...points.map(p => p.total), 1);
+
+  const xOf = (date) => padding.left + (day(date) - firstDay) / (lastDay - firstDay) * plotWidth;
+  const yOf = (value) => padding.top + plotHeight - value / max * plotHeight;
+
+  // Step line: the total only changes on announcement days
+  const path = points.map((p, index) => {
+    const x = xOf(p.date).toFixed(1);
+    const y = yOf(p.total).toFixed(1);
+    if (index === 0) return `M${x},${yOf(0).toFixed(1)} L${x},${y}`;
+    return `H${x} V${y}`;
+  }).join(' ');
+
+  const gridLines = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+    const y = yOf(max * fraction).toFixed(1);
+    return `
+      <line x1="${padding.left}" x2="${CHART_WIDTH - padding.right}" y1="${y}" y2="${y}" class="chart-grid"></line>
+      <text x="${padding.left - 8}" y="${Number(y) + 4}" text-anchor="end" class="chart-axis">${escapeXml(formatCompactAmount(max * fraction, lang))}</text>`;
+  }).join('');
+
+  const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(
+    lang === 'zh' ? 'zh-HK' : 'en-US',
+    { month: 'short', day: 'numeric', timeZone: 'UTC' }
+  );
+  const dateLabels = [points[0], points[points.length - 1]].map((p, index) => `
+      <text x="${xOf(p.date).toFixed(1)}" y="${height - 15}" text-anchor="${index === 0 ? 'start' : 'end'}" class="chart-axis">${escapeXml(formatDate(p.date))}</text>`).join('');
+
+  const dots = points.map(p => `
+      <circle cx="${xOf(p.date).toFixed(1)}" cy="${yOf(p.total).toFixed(1)}" r="4" fill="${PALETTE[0]}"><title>${escapeXml(formatDate(p.date))}: $${p.total.toLocaleString('en-HK')}</title></circle>`).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeXml(title)}" xmlns="http://www.w3.org/2000/svg">
+      <title>${escapeXml(title)}</title>${gridLines}
+      <path d="${path}" fill="none" stroke="${PALETTE[0]}" stroke-width="2.5"></path>${dots}${dateLabels}
+    </svg>`;
+}
+
+/**
+ * Styles for chart text, shared by all charts on a page
+ */
+const CHART_CSS = `<style>
+      .chart {
+        width: 100%;
+        height: auto;
+        display: block;
+        margin: 10px 0 30px;
+        font-family: inherit;
+      }
+      .chart-label, .chart-value {
+        font-size: 13px;
+        fill: var(--text-color);
+      }
+      .chart-value, .chart-axis {
+        fill: var(--muted-text);
+      }
+      .chart-axis {
+        font-size: 11px;
+      }
+      .chart-grid {
+        stroke: var(--border-color);
+        stroke-width: 1;
+      }
+      .chart a .chart-label {
+        fill: var(--accent-color);
+        text-decoration: underline;
+      }
+    </style>`;
+
+module.exports = {
+  CHART_CSS,
+  formatCompactAmount,
+  formatPercent,
+  limitItems,
+  renderBarChart,
+  renderShareBar,
+  renderLineChart,
+};
@@ -0,0 +1,97 @@
+/**
+ * CSV Module
+ *
+ * Minimal RFC 4180 CSV parsing and writing, compatible with Google Sheets
+ * "Download as CSV". Handles quoted cells containing commas, quotes and line breaks.
+ *
+ * Also runs in the browser (inlined into the page by build.js), so it must
+ * not require() anything.
+ */
+
+/**
+ * Parse CSV text into an array of rows
+ * Blank rows are kept, as the Sheets API keeps empty rows, so callers skip them.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM (added by Excel and some Sheets exports)
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          // Escaped quote
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  // Last row (file may not end with a newline)
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop trailing blank lines only: blank rows in between stay, so row
+  // numbers (index + 2 with the header) still point at the file's rows
+  while (rows.length > 0 && rows[rows.length - 1].every(c => c.trim() === '')) rows.pop();
+  return rows;
+}
+
+/**
+ * Format one CSV cell, quoting it if needed
+ * @param {string | number | null} value
+ * @returns {string}
+ */
+function formatCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) || str !== str.trim()
+    ? `"${str.replace(/"/g, '""')}"`
+    : str;
+}
+
+/**
+ * Format rows as CSV text (CRLF line breaks, as in RFC 4180)
+ * Callers writing a file for Excel should prepend a UTF-8 BOM ("\uFEFF"),
+ * or Excel will misread Chinese text.
+ * @param {Array<Array<string | number | null>>} rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(formatCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
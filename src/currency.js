@@ -0,0 +1,120 @@
+/**
+ * Currency Module
+ *
+ * Converts pledges announced in other currencies to HKD using the dated
+ * exchange-rate table in src/data/fx-rates.json, so the build and the
+ * scrapers all use the same rates.
+ */
+
+const FX_RATES = require('./data/fx-rates.json');
+
+// Aliases seen in announcements and the sheet, mapped to ISO 4217 codes
+const CURRENCY_ALIASES = {
+  HKD: ['hkd', 'hk$', '港幣', '港币', '港元', '港圓'],
+  CNY: ['cny', 'rmb', '人民幣', '人民币'],
+  USD: ['usd', 'us$', '美元', '美金'],
+  EUR: ['eur', '€', '歐元', '欧元'],
+  GBP: ['gbp', '£', '英鎊', '英镑'],
+  JPY: ['jpy', '日圓', '日元', '日幣', '日币'],
+  KRW: ['krw', '韓幣', '韓元', '韓圜', '韩币', '韩元'],
+  TWD: ['twd', 'nt$', '新台幣', '新台币', '台幣', '台币', '台元'],
+  MOP: ['mop', '澳門幣', '澳门币', '澳門元', '葡幣'],
+  SGD: ['sgd', 's$', '新加坡元', '新幣', '新币'],
+  MYR: ['myr', 'rm', '馬幣', '马币', '令吉'],
+  AUD: ['aud', 'a$', '澳元', '澳幣'],
+  CAD: ['cad', 'c$', '加元', '加幣'],
+};
+
+/**
+ * Normalise a currency name or symbol to its ISO code
+ * e.g. "人民幣" -> "CNY", "rmb" -> "CNY", "HKD" -> "HKD"
+ * @param {string} value
+ * @returns {string | null} - null if the currency is not recognised
+ */
+function normaliseCurrency(value) {
+  const str = (value || '').trim().toLowerCase();
+  if (!str) return null;
+
+  for (const [code, aliases] of Object.entries(CURRENCY_ALIASES)) {
+    if (str === code.toLowerCase() || aliases.includes(str)) return code;
+  }
+  return null;
+}
+
+/**
+ * Find the currency mentioned in a piece of text
+ * Longer aliases are tried first, so "新台幣" wins over "台幣".
+ * Latin aliases must stand alone, so "RM" doesn't match inside "FIRM".
+ * @param {string} text - e.g. "5億韓幣", "30万元人民币"
+ * @returns {string | null} - ISO code, or null if no currency is mentioned
+ */
+function detectCurrency(text) {
+  const lower = (text || '').toLowerCase();
+  if (!lower) return null;
+
+  const candidates = Object.entries(CURRENCY_ALIASES)
+    .flatMap(([code, aliases]) => aliases.map(alias => ({ code, alias })))
+    .sort((a, b) => b.alias.length - a.alias.length);
+
+  const found = candidates.find(({ alias }) => {
+    if (!/^[a-z]/.test(alias)) return lower.includes(alias);
+    const escaped = alias.replace(/[$]/g, '\\$');
+    return new RegExp(`(^|[^a-z])${escaped}(?![a-z])`).test(lower);
+  });
+  return found ? found.code : null;
+}
+
+/**
+ * Get the exchange-rate table in effect on a date
+ * Uses the latest table dated on or before the date, or the earliest
+ * table for dates before it. Undated pledges use the latest table.
+ * @param {string} [date] - YYYY-MM-DD
+ * @returns {{date: string, source: string, rates: Object}}
+ */
+function getRateTable(date) {
+  const tables = [...FX_RATES.tables].sort((a, b) => a.date.localeCompare(b.date));
+  if (!date) return tables[tables.length - 1];
+
+  const applicable = tables.filter(t => t.date <= date);
+  return applicable.length > 0 ? applicable[applicable.length - 1] : tables[0];
+}
+
+/**
+ * Get the HKD rate for a currency on a date
+ * @param {string} currency - ISO code or alias
+ * @param {string} [date] - YYYY-MM-DD
+ * @returns {{currency: string, rate: number, rateDate: string} | null} - null if no rate is known
+ */
+function getRate(currency, date) {
+  const code = normaliseCurrency(currency);
+  if (!code) return null;
+  if (code === 'HKD') return { currency: code, rate: 1, rateDate: '' };
+
+  const table = getRateTable(date);
+  const rate = table.rates[code];
+  return rate ? { currency: code, rate, rateDate: table.date } : null;
+}
+
+/**
+ * Convert an amount to HKD, rounded to the dollar
+ * @param {number} amount
+ * @param {string} currency - ISO code or alias
+ * @param {string} [date] - YYYY-MM-DD announcement date
+ * @returns {{amount: number, currency: string, rate: number, rateDate: string} | null}
+ */
+function convertToHKD(amount, currency, date) {
+  if (amount === null || amount === undefined || isNaN(amount)) return null;
+  const rate = getRate(currency, date);
+  if (!rate) return null;
+
+  return { ...rate, amount: Math.round(amount * rate.rate) };
+}
+
+module.exports = {
+  CURRENCY_ALIASES,
+  normaliseCurrency,
+  detectCurrency,
+  getRateTable,
+  getRate,
+  convertToHKD,
+};
@@ -5,8 +5,11 @@
  * Supports bilingual output (English and Chinese).
  */
 
+const crypto = require('crypto');
 const { translateCategory, getCategoryIcon } = require('./i18n/categories');
 const ENTITY_TRANSLATIONS = require('./i18n/entities');
+const { convertToHKD, normaliseCurrency } = require('./currency');
+const { parseAmountText } = require('./amount-parser');
 
 /**
  * Default column name to index mapping
@@ -28,6 +31,51 @@ const DEFAULT_COLUMN_MAP = {
   verificationLink: 12,
   dateOfAnnouncement: 13,
   entityEn: -1, // Optional column, -1 means not present
+  transferOf: -1, // Optional column for pass-through donations
+  relatedEntities: -1, // Optional column: parent company, foundation, etc.
+  originalCurrency: -1, // Optional column for pledges announced in another currency
+  originalAmount: -1, // Optional column: the pledge in that currency
+  id: -1, // Optional column: explicit donation id, overrides the generated one
+};
+
+// "Transfer Of" prefix selecting every row listed with a given receiver,
+// e.g. "through:中國紅十字會". A bare "*" means this row's own entity.
+const TRANSFER_THROUGH_PATTERN = /^(?:through|經)\s*[:：]\s*(.+)$/i;
+
+/**
+ * Default column mapping for the 撥款 (disbursement ledger) sheet
+ * Each row is one tranche paid out against a pledge.
+ */
+const DEFAULT_DISBURSEMENT_COLUMN_MAP = {
+  entity: 0,
+  date: 1,
+  amount: 2,
+  recipient: 3,
+  evidenceUrl: 4,
+};
+
+// Date of the Wang Fuk Court fire (start of the pledge period)
+const FIRE_DATE = '2025-11-26';
+
+// A pledge with nothing paid out this many days after announcement is overdue
+const OVERDUE_AFTER_DAYS = 90;
+
+const FULFILMENT_STATUSES = ['pledged', 'partial', 'paid', 'overdue'];
+
+// Wording around an amount that makes it a minimum ("逾1000萬", "over 5M", "500萬以上")
+const LOWER_BOUND_PREFIX = /^(?:逾|超過|超过|多於|多于|不少於|不少于|至少|最少|起碼|over|morethan|atleast|above|>=|>|≥)/;
+const LOWER_BOUND_SUFFIX = /(?:以上|或以上|多|\+)$/;
+// ... or a maximum ("up to 5M", "最多300萬")
+const UPPER_BOUND_PREFIX = /^(?:最多|不多於|不多于|不超過|不超过|upto|under|below|<=|<|≤)/;
+const UPPER_BOUND_SUFFIX = /(?:以內|以内|以下)$/;
+// Approximate wording, read as the amount itself
+const APPROXIMATE_PREFIX = /^(?:約|约|大約|大约|about|around|approximately|approx\.?|~)/;
+// Between two amounts ("1000萬至2000萬", "1-2M")
+const RANGE_SEPARATOR = /(?:至|到|to|-|–|—|~)/;
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
 };
 
 /**
@@ -42,10 +90,20 @@ function buildColumnMap(headers) {
   headers.forEach((header, index) => {
     const h = header.toLowerCase().trim();
     
-    if (h === 'entity' || h === '捐款者') {
+    if (h === 'id' || h === '編號') {
+      map.id = index;
+    } else if (h === 'entity' || h === '捐款者') {
       map.entity = index;
     } else if (h === 'entity (en)' || h === 'entity_en' || h === '捐款者 (英文)') {
       map.entityEn = index;
+    } else if (h.includes('transfer of') || h.includes('轉交自')) {
+      map.transferOf = index;
+    } else if (h.includes('related') || h.includes('相關機構')) {
+      map.relatedEntities = index;
+    } else if (h === 'original currency' || h === '原幣') {
+      map.originalCurrency = index;
+    } else if (h === 'original amount' || h === '原幣金額') {
+      map.originalAmount = index;
     } else if (h === 'group' || h === '類別') {
       map.group = index;
     } else if (h.includes('promised donation value') || h.includes('總捐款')) {
@@ -79,21 +137,184 @@ function buildColumnMap(headers) {
 }
 
 /**
- * Parse a monetary value string to a number
- * Handles formats like: "$30,000,000", "30000000", "unclear", ""
+ * Build column map for the 撥款 sheet from headers
+ * @param {string[]} headers 
+ * @returns {Object}
+ */
+function buildDisbursementColumnMap(headers) {
+  const map = { ...DEFAULT_DISBURSEMENT_COLUMN_MAP };
+  
+  headers.forEach((header, index) => {
+    const h = header.toLowerCase().trim();
+    
+    if (h === 'entity' || h === '捐款者') {
+      map.entity = index;
+    } else if (h.includes('date') || h.includes('日期')) {
+      map.date = index;
+    } else if (h.includes('amount') || h.includes('金額')) {
+      map.amount = index;
+    } else if (h.includes('recipient') || h.includes('收款')) {
+      map.recipient = index;
+    } else if (h.includes('evidence') || h.includes('證明')) {
+      map.evidenceUrl = index;
+    }
+  });
+  
+  return map;
+}
+
+/**
+ * Build a UTC date, rejecting out-of-range values like 31/2/2025
+ * @param {number} year 
+ * @param {number} month - 1-12
+ * @param {number} day 
+ * @returns {Date | null}
+ */
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Parse a date string as entered in the sheet
+ * Handles formats like: "26/11/2025", "26-11-2025", "26.11.2025", "2025-11-26",
+ * "2025/11/26", "Dec 1, 2025", "1 Dec 2025", "2025年11月26日"
  * @param {string} value 
- * @returns {number | null}
+ * @returns {Date | null} UTC midnight of the date
  */
-function parseAmount(value) {
-  if (!value || value.toLowerCase() === 'unclear' || value.trim() === '') {
+function parseSheetDate(value) {
+  if (!value || !value.trim()) return null;
+  const str = value.trim();
+  let match;
+  
+  // Year first: 2025-11-26, 2025/11/26, 2025年11月26日
+  if ((match = str.match(/^(\d{4})\s*[-\/.年]\s*(\d{1,2})\s*[-\/.月]\s*(\d{1,2})/))) {
+    return utcDate(+match[1], +match[2], +match[3]);
+  }
+  
+  // Day first (HK convention): 26/11/2025, 26-11-2025, 26.11.2025
+  if ((match = str.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{4})$/))) {
+    return utcDate(+match[3], +match[2], +match[1]);
+  }
+  
+  // English month: Dec 1, 2025
+  if ((match = str.match(/^([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/))) {
+    const month = MONTHS[match[1].toLowerCase()];
+    if (month) {
+      return utcDate(+match[3], month, +match[2]);
+    }
+  }
+  
+  // English month, day first: 1 Dec 2025
+  if ((match = str.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3})[a-z]*\.?,?\s+(\d{4})$/))) {
+    const month = MONTHS[match[2].toLowerCase()];
+    if (month) {
+      return utcDate(+match[3], month, +match[1]);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Normalise a sheet date to ISO format
+ * @param {string} value 
+ * @returns {string} YYYY-MM-DD, or '' if the date can't be parsed
+ */
+function toIsoDate(value) {
+  const date = parseSheetDate(value);
+  return date ? date.toISOString().slice(0, 10) : '';
+}
+
+/**
+ * Parse a single amount, e.g. "30000000", "1000萬", "1.5m", "三千萬"
+ * Any currency is ignored: the amount columns are in HKD (see src/validation.js).
+ * @param {string} text - Lowercased, without commas or spaces
+ * @returns {{value: number, hasUnit: boolean} | null}
+ */
+function parseAmountNumber(text) {
+  const parsed = parseAmountText(text);
+  return parsed ? { value: parsed.value, hasUnit: parsed.hasUnit } : null;
+}
+
+/**
+ * Parse a monetary value string to a range
+ * Handles exact amounts ("$30,000,000", "1000萬", "一億二千萬"; see
+ * src/amount-parser.js), minimums ("逾1000萬",
+ * "at least $5M", "500萬以上"), maximums ("up to 5M") and ranges
+ * ("1000萬至2000萬", "1-2M"). A minimum has no max; a maximum has a min of 0.
+ * @param {string} value 
+ * @returns {{min: number, max: number | null, isLowerBound: boolean, raw: string} | null} - null if unclear
+ */
+function parseAmountRange(value) {
+  if (!value || value.trim() === '' || value.trim().toLowerCase() === 'unclear') {
     return null;
   }
   
-  // Remove currency symbols, commas, spaces
-  const cleaned = value.replace(/[$,\s]/g, '');
-  const parsed = parseFloat(cleaned);
+  const raw = value.trim();
+  const text = raw.toLowerCase()
+    .replace(/[,\s]/g, '')
+    .replace(APPROXIMATE_PREFIX, '');
+  
+  const exact = parseAmountNumber(text);
+  if (exact) {
+    return { min: exact.value, max: exact.value, isLowerBound: false, raw };
+  }
   
-  return isNaN(parsed) ? null : parsed;
+  const lowerText = text.replace(LOWER_BOUND_PREFIX, '').replace(LOWER_BOUND_SUFFIX, '');
+  if (lowerText !== text) {
+    const lower = parseAmountNumber(lowerText);
+    return lower ? { min: lower.value, max: null, isLowerBound: true, raw } : null;
+  }
+  
+  const upperText = text.replace(UPPER_BOUND_PREFIX, '').replace(UPPER_BOUND_SUFFIX, '');
+  if (upperText !== text) {
+    const upper = parseAmountNumber(upperText);
+    return upper ? { min: 0, max: upper.value, isLowerBound: false, raw } : null;
+  }
+  
+  const parts = text.split(RANGE_SEPARATOR);
+  if (parts.length === 2) {
+    const to = parseAmountNumber(parts[1]);
+    let from = parseAmountNumber(parts[0]);
+    // "1000-2000萬": the unit on the second amount applies to both
+    if (from && !from.hasUnit && to && to.hasUnit) {
+      from = parseAmountNumber(parts[0] + parts[1].replace(/^\d+(?:\.\d+)?/, ''));
+    }
+    if (from && to) {
+      return {
+        min: Math.min(from.value, to.value),
+        max: Math.max(from.value, to.value),
+        isLowerBound: false,
+        raw,
+      };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Parse a monetary value string to a number
+ * Ranges and minimums give their conservative (lowest) value; see parseAmountRange().
+ * @param {string} value 
+ * @returns {number | null}
+ */
+function parseAmount(value) {
+  const range = parseAmountRange(value);
+  return range ? range.min : null;
+}
+
+/**
+ * Check whether a parsed amount is a single figure rather than a range or minimum
+ * @param {Object | null} range - From parseAmountRange()
+ * @returns {boolean}
+ */
+function isExactAmount(range) {
+  return Boolean(range) && range.min === range.max;
 }
 
 /**
@@ -110,6 +331,20 @@ function formatAmount(value, lang = 'en') {
   return '$' + value.toLocaleString('en-HK');
 }
 
+/**
+ * Format a parsed amount, e.g. "$10,000,000", "≥ $10,000,000", "$1,000,000 – $2,000,000"
+ * @param {Object | null} range - From parseAmountRange()
+ * @param {string} lang - 'en' or 'zh'
+ * @returns {string}
+ */
+function formatAmountRange(range, lang = 'en') {
+  if (!range) return formatAmount(null, lang);
+  if (isExactAmount(range)) return formatAmount(range.min, lang);
+  if (range.isLowerBound) return `≥ ${formatAmount(range.min, lang)}`;
+  if (range.min === 0) return `≤ ${formatAmount(range.max, lang)}`;
+  return `${formatAmount(range.min, lang)} – ${formatAmount(range.max, lang)}`;
+}
+
 /**
  * Transform a single row of sheet data into a donation object
  * @param {string[]} row 
@@ -122,9 +357,31 @@ function transformRow(row, columnMap) {
     return (idx >= 0 && row[idx]) ? row[idx] : '';
   };
   
-  const totalValue = parseAmount(getValue('totalValue'));
+  // Ranges and minimums count at their lowest value; the range is kept for display
+  const amountRange = parseAmountRange(getValue('totalValue'));
+  let totalValue = amountRange ? amountRange.min : null;
   let cashValue = parseAmount(getValue('cashValue'));
   let goodsValue = parseAmount(getValue('goodsValue'));
+  const date = toIsoDate(getValue('dateOfAnnouncement'));
+  
+  // Pledges in another currency: the HKD total always comes from the FX table,
+  // with any cash/goods split entered in HKD scaled to match
+  const originalCurrency = normaliseCurrency(getValue('originalCurrency'));
+  const originalAmount = parseAmount(getValue('originalAmount'));
+  const conversion = originalCurrency && originalCurrency !== 'HKD'
+    ? convertToHKD(originalAmount, originalCurrency, date)
+    : null;
+  if (conversion) {
+    const scale = totalValue ? conversion.amount / totalValue : null;
+    if (scale !== null) {
+      if (cashValue !== null) cashValue = Math.round(cashValue * scale);
+      if (goodsValue !== null) goodsValue = Math.round(goodsValue * scale);
+    } else {
+      cashValue = null;
+      goodsValue = null;
+    }
+    totalValue = conversion.amount;
+  }
   
   // Sanitization logic:
   // 1. If neither cash nor goods is filled, assume all is cash
@@ -143,6 +400,9 @@ function transformRow(row, columnMap) {
   // If only one is filled and total is unavailable, don't attempt to calculate
   
   return {
+    // Explicit id from the sheet ('' if none; see assignDonationIds)
+    id: getValue('id').trim(),
+    
     // Entity names (Chinese is primary, English is optional)
     entity: getValue('entity'),
     entityEn: getValue('entityEn') || '', // Empty if column doesn't exist
@@ -153,9 +413,10 @@ function transformRow(row, columnMap) {
     industry: getValue('industry'),
     type: getValue('type'),
     
-    // Amounts
-    amount: formatAmount(totalValue),
+    // Amounts (amountRange is null if unclear, or if converted from another currency)
+    amount: conversion || !amountRange ? formatAmount(totalValue) : formatAmountRange(amountRange),
     amountRaw: totalValue,
+    amountRange: conversion ? null : amountRange,
     cashAmount: formatAmount(cashValue),
     cashAmountRaw: cashValue,
     goodsAmount: formatAmount(goodsValue),
@@ -167,10 +428,172 @@ function transformRow(row, columnMap) {
     primarySource: getValue('primarySource'),
     secondarySource: getValue('secondarySource'),
     verificationLink: getValue('verificationLink'),
-    date: getValue('dateOfAnnouncement'),
+    
+    // Announcement date as YYYY-MM-DD ('' if missing or unparseable), plus the value as entered
+    date,
+    dateRaw: getValue('dateOfAnnouncement'),
+    
+    // Original currency (only set when converted) and the rate used
+    originalCurrency: conversion ? conversion.currency : '',
+    originalAmountRaw: conversion ? originalAmount : null,
+    fxRate: conversion ? conversion.rate : null,
+    fxDate: conversion ? conversion.rateDate : '',
+    
+    // Pass-through: funds previously listed under other donors (see resolveTransfers)
+    transferOf: getValue('transferOf'),
+    
+    // Related entities listed by editors (newline or 、 separated)
+    relatedEntities: getValue('relatedEntities'),
   };
 }
 
+/**
+ * Split a receiver ("through") value into individual receivers
+ * Handles multi-line values with optional shares, e.g.
+ * "大埔宏福苑援助基金（50%）\n受影響客戶（50%）" or "樂善堂、救世軍、仁濟醫院"
+ * @param {string} through 
+ * @returns {{name: string, share: number | null}[]}
+ */
+function parseReceivers(through) {
+  if (!through || !through.trim()) return [];
+  
+  return through
+    .split(/\n|、/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      let share = null;
+      const shareMatch = part.match(/[（(]\s*([\d.]+)\s*%\s*[）)]/);
+      if (shareMatch) {
+        share = parseFloat(shareMatch[1]) / 100;
+      }
+      const name = part
+        .replace(/[（(][^（()）]*[）)]\s*$/, '') // Trailing (50%) or (？)
+        .replace(/^[“”"']+|[“”"']+$/g, '')
+        .trim();
+      return { name, share };
+    })
+    .filter(r => r.name);
+}
+
+/**
+ * Convert a name into a URL slug
+ * Latin text is lowercased and hyphenated; Chinese characters are kept
+ * as-is (browsers display them, and the sitemap percent-encodes them).
+ * @param {string} text 
+ * @returns {string}
+ */
+function slugify(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9\u3400-\u9fff]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Check whether two names refer to the same entity
+ * Names match if identical, or if they share an English translation
+ * (e.g. 香港紅十字會 and 中國香港紅十字會).
+ * @param {string} a 
+ * @param {string} b 
+ * @returns {boolean}
+ */
+function isSameEntity(a, b) {
+  const nameA = (a || '').trim();
+  const nameB = (b || '').trim();
+  if (!nameA || !nameB) return false;
+  if (nameA === nameB) return true;
+  
+  const enA = ENTITY_TRANSLATIONS[nameA];
+  return Boolean(enA) && enA === ENTITY_TRANSLATIONS[nameB];
+}
+
+/**
+ * Resolve pass-through donations to avoid double counting
+ * A row with a "Transfer Of" value forwards money already listed under other
+ * donors (e.g. 中國紅十字會 transferring what it collected to 香港紅十字會).
+ * The value is a list of donor names and/or "through:<receiver>" entries
+ * selecting every row given to that receiver ("*" = this row's entity).
+ * The forwarded amount is subtracted from the transfer row to give its
+ * net new money. A row selected by receiver only counts that receiver's share
+ * of it when the receiver has one, e.g. "中國紅十字會（50%）".
+ * @param {Object[]} donations 
+ * @returns {Object[]}
+ */
+function resolveTransfers(donations) {
+  const result = donations.map(d => ({
+    ...d,
+    transferredFrom: [],
+    transferredVia: '',
+    passThroughRaw: 0,
+    netAmountRaw: d.amountRaw,
+    netCashAmountRaw: d.cashAmountRaw,
+    netGoodsAmountRaw: d.goodsAmountRaw,
+  }));
+  
+  result.forEach(parent => {
+    const spec = (parent.transferOf || '').trim();
+    if (!spec) return;
+    
+    const donors = [];
+    const receivers = [];
+    spec.split(/\n|、|,|，/).map(n => n.trim()).filter(Boolean).forEach(item => {
+      const throughMatch = item.match(TRANSFER_THROUGH_PATTERN);
+      if (item === '*') {
+        receivers.push(parent.entity);
+      } else if (throughMatch) {
+        receivers.push(throughMatch[1].trim());
+      } else {
+        donors.push(item);
+      }
+    });
+    
+    // How much of each selected row went through this transfer
+    const forwarded = new Map();
+    result.forEach(d => {
+      if (d === parent) return;
+      if (donors.some(name => isSameEntity(name, d.entity))) {
+        forwarded.set(d, d.amountRaw || 0);
+        return;
+      }
+      const matched = parseReceivers(d.through).filter(r => receivers.some(name => isSameEntity(name, r.name)));
+      if (matched.length === 0) return;
+      // A receiver without a share got the whole row
+      const share = matched.some(r => r.share === null)
+        ? 1
+        : Math.min(1, matched.reduce((sum, r) => sum + r.share, 0));
+      forwarded.set(d, (d.amountRaw || 0) * share);
+    });
+    const children = [...forwarded.keys()];
+    
+    children.forEach(child => {
+      child.transferredVia = parent.entity;
+    });
+    parent.transferredFrom = children.map(child => child.entity);
+    
+    if (parent.amountRaw === null) return;
+    
+    const childTotal = children.reduce((sum, child) => sum + forwarded.get(child), 0);
+    const passThrough = Math.min(childTotal, parent.amountRaw);
+    parent.passThroughRaw = passThrough;
+    parent.netAmountRaw = parent.amountRaw - passThrough;
+    
+    // Deduct from cash first, then goods
+    const fromCash = Math.min(parent.cashAmountRaw || 0, passThrough);
+    if (parent.cashAmountRaw !== null) {
+      parent.netCashAmountRaw = parent.cashAmountRaw - fromCash;
+    }
+    if (parent.goodsAmountRaw !== null) {
+      parent.netGoodsAmountRaw = Math.max(0, parent.goodsAmountRaw - (passThrough - fromCash));
+    }
+  });
+  
+  return result;
+}
+
 /**
  * Process all donation rows
  * @param {string[][]} rows - Data rows (without header)
@@ -180,9 +603,192 @@ function transformRow(row, columnMap) {
 function processDonations(rows, headers = null) {
   const columnMap = headers ? buildColumnMap(headers) : DEFAULT_COLUMN_MAP;
   
+  const donations = rows
+    // Sheet row number (row 1 is the header), for pointing editors at a row
+    .map((row, index) => ({ row, sheetRow: index + 2 }))
+    .filter(({ row }) => row[columnMap.entity]) // Filter out empty rows
+    .map(({ row, sheetRow }) => ({ ...transformRow(row, columnMap), sheetRow }));
+  
+  return resolveTransfers(donations);
+}
+
+/**
+ * Generate a donation's id from its content
+ * A hash of the donor and receiver names as entered (trimmed), date and
+ * amount, so the id doesn't depend on the row's position in the sheet. Names
+ * aren't normalised: different donors that normalise alike must not share an id.
+ * @param {Object} donation 
+ * @returns {string} - 12 hex characters
+ */
+function getDonationHash(donation) {
+  const key = [
+    String(donation.entity || '').trim(),
+    String(donation.through || '').trim(),
+    donation.date || '',
+    donation.amountRaw === null || donation.amountRaw === undefined ? '' : donation.amountRaw,
+  ].join('|');
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+}
+
+// Fields that tell apart rows with the same id, in order of precedence
+const ID_TIE_BREAK_FIELDS = [
+  'note', 'primarySource', 'secondarySource', 'verificationLink',
+  'cashAmountRaw', 'goodsAmountRaw', 'entityEn', 'group', 'dateRaw',
+];
+
+/**
+ * Give every donation a unique, stable id
+ * Uses the sheet's ID column where filled, otherwise getDonationHash().
+ * When an id is already taken (a repeated explicit id, or rows alike in
+ * donor, receiver, date and amount), the rows sharing it are ordered by their
+ * other content (ID_TIE_BREAK_FIELDS), not their position, and all but the
+ * first get "-2", "-3", ... appended; re-sorting the sheet keeps every id.
+ * These are reported so editors can fix or remove them.
+ * @param {Object[]} donations 
+ * @returns {{donations: Object[], collisions: {id: string, explicit: boolean, rows: {entity: string, sheetRow: number}[]}[]}}
+ */
+function assignDonationIds(donations) {
+  const groups = new Map();
+  donations.forEach((d, index) => {
+    const explicit = Boolean(d.id);
+    const base = explicit ? d.id : getDonationHash(d);
+    if (!groups.has(base)) groups.set(base, { id: base, explicit, members: [] });
+    groups.get(base).members.push(index);
+  });
+  
+  const tieBreak = index => JSON.stringify(ID_TIE_BREAK_FIELDS.map(field => {
+    const value = donations[index][field];
+    return value === null || value === undefined ? '' : String(value).trim();
+  }));
+  const ids = new Array(donations.length);
+  const used = new Set(groups.keys());
+  const collisions = [];
+  
+  // Sorted, so which group gets a suffix that another id also has doesn't depend on row order
+  [...groups.values()].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)).forEach(group => {
+    const members = group.members.length > 1
+      ? [...group.members].sort((a, b) => {
+        const ka = tieBreak(a);
+        const kb = tieBreak(b);
+        return ka < kb ? -1 : ka > kb ? 1 : a - b;
+      })
+      : group.members;
+    ids[members[0]] = group.id;
+    members.slice(1).forEach(index => {
+      let n = 2;
+      while (used.has(`${group.id}-${n}`)) n++;
+      ids[index] = `${group.id}-${n}`;
+      used.add(ids[index]);
+    });
+    if (members.length > 1) {
+      collisions.push({
+        id: group.id,
+        explicit: group.explicit,
+        rows: members.map(index => ({ entity: donations[index].entity, sheetRow: donations[index].sheetRow })),
+      });
+    }
+  });
+  
+  return { donations: donations.map((d, index) => ({ ...d, id: ids[index] })), collisions };
+}
+
+/**
+ * Process disbursement ledger rows into tranche records
+ * @param {string[][]} rows - Data rows (without header)
+ * @param {string[]} headers - Header row
+ * @returns {Object[]}
+ */
+function processDisbursements(rows, headers = null) {
+  const columnMap = headers ? buildDisbursementColumnMap(headers) : DEFAULT_DISBURSEMENT_COLUMN_MAP;
+  const getValue = (row, col) => {
+    const idx = columnMap[col];
+    return (idx >= 0 && row[idx]) ? row[idx].trim() : '';
+  };
+  
   return rows
-    .filter(row => row[columnMap.entity]) // Filter out empty rows
-    .map(row => transformRow(row, columnMap));
+    .filter(row => getValue(row, 'entity'))
+    .map(row => ({
+      entity: getValue(row, 'entity'),
+      date: getValue(row, 'date'),
+      amountRaw: parseAmount(getValue(row, 'amount')),
+      recipient: getValue(row, 'recipient'),
+      evidenceUrl: getValue(row, 'evidenceUrl'),
+    }));
+}
+
+/**
+ * Determine the fulfilment status of a pledge
+ * - paid: disbursed amount covers the pledged amount
+ * - overdue: money still outstanding OVERDUE_AFTER_DAYS after announcement
+ * - partial: some tranches paid
+ * - pledged: nothing recorded yet
+ * @param {Object} donation - With disbursedRaw/outstandingRaw populated
+ * @param {Date} asOf 
+ * @returns {string}
+ */
+function getFulfilmentStatus(donation, asOf) {
+  const { amountRaw, disbursedRaw } = donation;
+  
+  if (amountRaw !== null && amountRaw > 0 && disbursedRaw >= amountRaw) {
+    return 'paid';
+  }
+  
+  const announced = parseSheetDate(donation.date) || parseSheetDate(FIRE_DATE);
+  const deadline = new Date(announced.getTime() + OVERDUE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+  
+  // Pledges of unknown value can't be judged overdue
+  if (amountRaw !== null && donation.outstandingRaw > 0 && asOf > deadline) {
+    return 'overdue';
+  }
+  
+  return disbursedRaw > 0 ? 'partial' : 'pledged';
+}
+
+/**
+ * Attach disbursement tranches to their pledges
+ * Tranches are matched to donations by entity name; if an entity has several
+ * rows, tranches are attached to the first one.
+ * @param {Object[]} donations 
+ * @param {Object[]} disbursements - From processDisbursements()
+ * @param {Date} asOf - Reference date for overdue status
+ * @returns {{donations: Object[], unmatched: Object[]}}
+ */
+function applyDisbursements(donations, disbursements = [], asOf = new Date()) {
+  const byEntity = new Map();
+  donations.forEach(d => {
+    const key = d.entity.trim();
+    if (!byEntity.has(key)) byEntity.set(key, []);
+  });
+  
+  const unmatched = [];
+  disbursements.forEach(t => {
+    const tranches = byEntity.get(t.entity);
+    if (tranches) {
+      tranches.push(t);
+    } else {
+      unmatched.push(t);
+    }
+  });
+  
+  const seen = new Set();
+  const result = donations.map(d => {
+    const key = d.entity.trim();
+    const tranches = seen.has(key) ? [] : (byEntity.get(key) || []);
+    seen.add(key);
+    
+    const disbursedRaw = tranches.reduce((sum, t) => sum + (t.amountRaw || 0), 0);
+    const outstandingRaw = d.amountRaw !== null ? Math.max(0, d.amountRaw - disbursedRaw) : null;
+    const donation = {
+      ...d,
+      disbursements: tranches.map(({ entity, ...t }) => t),
+      disbursedRaw,
+      outstandingRaw,
+    };
+    donation.fulfilmentStatus = getFulfilmentStatus(donation, asOf);
+    return donation;
+  });
+  
+  return { donations: result, unmatched };
 }
 
 /**
@@ -219,7 +825,9 @@ function translateDonation(donation, lang) {
     industryIcon: getCategoryIcon('industry', donation.industry),
     typeDisplay: translateCategory('type', donation.type, lang),
     // Translated amount
-    amountDisplay: formatAmount(donation.amountRaw, lang),
+    amountDisplay: donation.amountRange
+      ? formatAmountRange(donation.amountRange, lang)
+      : formatAmount(donation.amountRaw, lang),
   };
 }
 
@@ -242,19 +850,50 @@ function calculateStats(donations) {
   const stats = {
     totalCount: donations.length,
     totalAmount: 0,
+    // Ranges at their highest value; minimums ("逾1000萬") can't be bounded and count at their lowest
+    totalAmountUpper: 0,
+    rangeCount: 0,
+    lowerBoundCount: 0,
+    netTotalAmount: 0,
+    doubleCountedAmount: 0,
+    transferCount: 0,
     totalCash: 0,
     totalGoods: 0,
     byCapital: {},
     byIndustry: {},
     byType: {},
+    byFulfilment: {},
     withKnownAmount: 0,
+    totalVerified: 0,
+    verifiedCount: 0,
+    totalDisbursed: 0,
   };
   
+  FULFILMENT_STATUSES.forEach(status => {
+    stats.byFulfilment[status] = { count: 0, amount: 0, disbursed: 0 };
+  });
+  
   donations.forEach(d => {
     // Totals
     if (d.amountRaw !== null) {
       stats.totalAmount += d.amountRaw;
       stats.withKnownAmount++;
+      
+      const range = d.amountRange;
+      if (range && !isExactAmount(range)) {
+        stats.rangeCount++;
+        if (range.isLowerBound) stats.lowerBoundCount++;
+      }
+      stats.totalAmountUpper += range && range.max !== null ? range.max : d.amountRaw;
+    }
+    
+    // Net of pass-through transfers (see resolveTransfers)
+    if (d.netAmountRaw !== null && d.netAmountRaw !== undefined) {
+      stats.netTotalAmount += d.netAmountRaw;
+    }
+    if (d.passThroughRaw) {
+      stats.doubleCountedAmount += d.passThroughRaw;
+      stats.transferCount++;
     }
     if (d.cashAmountRaw !== null) {
       stats.totalCash += d.cashAmountRaw;
@@ -263,6 +902,12 @@ function calculateStats(donations) {
       stats.totalGoods += d.goodsAmountRaw;
     }
     
+    // Verified (has a payment receipt or official confirmation)
+    if (d.verificationLink && d.verificationLink.trim()) {
+      stats.verifiedCount++;
+      stats.totalVerified += d.amountRaw || 0;
+    }
+    
     // By Capital
     const capital = d.capital || 'Unknown';
     if (!stats.byCapital[capital]) {
@@ -292,11 +937,56 @@ function calculateStats(donations) {
     if (d.amountRaw !== null) {
       stats.byType[type].amount += d.amountRaw;
     }
+    
+    // By Fulfilment (only present once disbursements are applied)
+    if (d.fulfilmentStatus) {
+      const fulfilment = stats.byFulfilment[d.fulfilmentStatus];
+      fulfilment.count++;
+      fulfilment.amount += d.amountRaw || 0;
+      fulfilment.disbursed += d.disbursedRaw || 0;
+      stats.totalDisbursed += d.disbursedRaw || 0;
+    }
   });
   
   return stats;
 }
 
+/**
+ * Calculate cumulative pledges over time, by announcement date
+ * @param {Object[]} donations 
+ * @returns {{points: {date: string, amount: number, count: number, total: number}[], undatedCount: number, undatedAmount: number}}
+ */
+function calculateTimeline(donations) {
+  const byDate = {};
+  let undatedCount = 0;
+  let undatedAmount = 0;
+  
+  donations.forEach(d => {
+    const date = parseSheetDate(d.date);
+    if (!date) {
+      undatedCount++;
+      undatedAmount += d.amountRaw || 0;
+      return;
+    }
+    const key = date.toISOString().slice(0, 10);
+    if (!byDate[key]) {
+      byDate[key] = { date: key, amount: 0, count: 0, total: 0 };
+    }
+    byDate[key].amount += d.amountRaw || 0;
+    byDate[key].count++;
+  });
+  
+  let total = 0;
+  const points = Object.values(byDate)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(point => {
+      total += point.amount;
+      return { ...point, total };
+    });
+  
+  return { points, undatedCount, undatedAmount };
+}
+
 /**
  * Parse SEO page configuration from sheet row
  * Expected columns: Slug | Title (EN) | Title (ZH) | Description (EN) | Description (ZH) | Filter Config
@@ -379,6 +1069,8 @@ function applyFilter(donations, filterConfig) {
         aVal = a.entity;
         bVal = b.entity;
       } else if (field === 'date') {
+        // Undated donations always sort last
+        if (!a.date || !b.date) return (a.date ? 0 : 1) - (b.date ? 0 : 1);
         aVal = a.date;
         bVal = b.date;
       } else {
@@ -403,14 +1095,34 @@ function applyFilter(donations, filterConfig) {
 
 module.exports = {
   DEFAULT_COLUMN_MAP,
+  DEFAULT_DISBURSEMENT_COLUMN_MAP,
+  FIRE_DATE,
+  OVERDUE_AFTER_DAYS,
+  FULFILMENT_STATUSES,
   buildColumnMap,
+  buildDisbursementColumnMap,
+  parseSheetDate,
+  toIsoDate,
+  parseAmountRange,
   parseAmount,
+  isExactAmount,
   formatAmount,
+  formatAmountRange,
   transformRow,
+  parseReceivers,
+  slugify,
+  isSameEntity,
+  resolveTransfers,
   processDonations,
+  getDonationHash,
+  assignDonationIds,
+  processDisbursements,
+  getFulfilmentStatus,
+  applyDisbursements,
   translateDonation,
   translateDonations,
   calculateStats,
+  calculateTimeline,
   parseSeoPageConfig,
   applyFilter,
 };
@@ -0,0 +1,392 @@
+/**
+ * Data Source Module
+ *
+ * Pluggable data sources for the build. Every source exposes the same
+ * interface as sheets-api.js, returning raw sheet-shaped data:
+ * - fetchDonations(): Promise<{headers: string[], rows: string[][]}>
+ * - fetchSeoPages(): Promise<{headers: string[], rows: string[][]} | null>
+ * - fetchDisbursements(): Promise<{headers: string[], rows: string[][]} | null>
+ * - fetchRecipientInfo(): Promise<{headers: string[], rows: string[][]} | null>
+ *
+ * Available sources:
+ * - sheets: live Google Sheets (requires .env.local credentials)
+ * - csv:    local CSV export of the 捐款 tab
+ * - json:   local JSON in the dist/data.json shape
+ *
+ * Selected with CLI flags or environment variables:
+ *   --source <sheets|csv|json>   or DATA_SOURCE
+ *   --data-file <path>           or DATA_FILE
+ *   --seo-file <path>            or SEO_PAGES_FILE (CSV/JSON of the SEO頁面 tab)
+ *   --disbursements-file <path>  or DISBURSEMENTS_FILE (CSV of the 撥款 tab)
+ *   --recipients-file <path>     or RECIPIENTS_FILE (CSV of the 收款機構 tab)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+
+const SOURCE_TYPES = ['sheets', 'csv', 'json'];
+const DEFAULT_SOURCE = 'sheets';
+
+/**
+ * Donation fields written back to sheet columns when reading JSON snapshots.
+ * Header names are chosen so buildColumnMap() detects them.
+ */
+const JSON_COLUMNS = [
+  { field: 'id', header: 'ID' },
+  { field: 'entity', header: 'Entity' },
+  { field: 'entityEn', header: 'Entity (EN)' },
+  { field: 'group', header: 'Group' },
+  { field: 'amountRaw', header: 'Promised Donation Value' },
+  { field: 'cashAmountRaw', header: 'Promised Cash' },
+  { field: 'goodsAmountRaw', header: 'Promised Goods' },
+  { field: 'capital', header: 'Capital (Country)' },
+  { field: 'industry', header: 'Industry' },
+  { field: 'type', header: 'Type' },
+  { field: 'note', header: 'Note' },
+  { field: 'through', header: 'Through' },
+  { field: 'primarySource', header: 'Primary Source' },
+  { field: 'secondarySource', header: 'Secondary Source' },
+  { field: 'verificationLink', header: 'Verification Link' },
+  { field: 'date', header: 'Date of Announcement' },
+  { field: 'transferOf', header: 'Transfer Of' },
+  { field: 'relatedEntities', header: 'Related Entities' },
+  { field: 'originalCurrency', header: 'Original Currency' },
+  { field: 'originalAmountRaw', header: 'Original Amount' },
+];
+
+/**
+ * SEO page fields in the column order expected by parseSeoPageConfig()
+ */
+const SEO_COLUMNS = [
+  { field: 'slug', header: 'Slug' },
+  { field: 'titleEn', header: 'Title (EN)' },
+  { field: 'titleZh', header: 'Title (ZH)' },
+  { field: 'descriptionEn', header: 'Description (EN)' },
+  { field: 'descriptionZh', header: 'Description (ZH)' },
+  { field: 'filterConfig', header: 'Filter Config' },
+];
+
+/**
+ * Disbursement tranche fields in the column order of the 撥款 tab
+ */
+const DISBURSEMENT_COLUMNS = [
+  { field: 'entity', header: 'Entity' },
+  { field: 'date', header: 'Date' },
+  { field: 'amountRaw', header: 'Amount' },
+  { field: 'recipient', header: 'Recipient' },
+  { field: 'evidenceUrl', header: 'Evidence' },
+];
+
+/**
+ * Recipient info fields in the column order of the 收款機構 tab
+ */
+const RECIPIENT_INFO_COLUMNS = [
+  { field: 'name', header: 'Name' },
+  { field: 'disclosureUrl', header: 'Disclosure URL' },
+];
+
+/**
+ * Read the value of a CLI flag, supporting "--flag value" and "--flag=value"
+ * @param {string[]} argv
+ * @param {string} flag - e.g. '--source'
+ * @returns {string | undefined}
+ */
+function getArgValue(argv, flag) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag && argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(flag + '=')) {
+      return argv[i].slice(flag.length + 1);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Resolve data source options from CLI arguments and environment
+ * CLI flags take precedence over environment variables.
+ * @param {string[]} argv
+ * @param {Object} env
+ * @returns {{type: string, dataFile: string | null, seoFile: string | null, disbursementsFile: string | null, recipientsFile: string | null, previousData: string | null, previousChanges: string | null}}
+ */
+function resolveDataSourceOptions(argv = process.argv.slice(2), env = process.env) {
+  const dataFile = getArgValue(argv, '--data-file') || env.DATA_FILE || null;
+  const seoFile = getArgValue(argv, '--seo-file') || env.SEO_PAGES_FILE || null;
+  const disbursementsFile = getArgValue(argv, '--disbursements-file') || env.DISBURSEMENTS_FILE || null;
+  const recipientsFile = getArgValue(argv, '--recipients-file') || env.RECIPIENTS_FILE || null;
+  const previousData = getArgValue(argv, '--previous-data') || env.PREVIOUS_DATA || null;
+  const previousChanges = getArgValue(argv, '--previous-changes') || env.PREVIOUS_CHANGES || null;
+  let type = getArgValue(argv, '--source') || env.DATA_SOURCE;
+
+  // Infer the source from the data file extension if not given explicitly
+  if (!type && dataFile) {
+    type = path.extname(dataFile).toLowerCase() === '.csv' ? 'csv' : 'json';
+  }
+
+  return {
+    type: (type || DEFAULT_SOURCE).toLowerCase(),
+    dataFile,
+    seoFile,
+    disbursementsFile,
+    recipientsFile,
+    previousData,
+    previousChanges,
+  };
+}
+
+/**
+ * Read a local file, resolving relative paths from the working directory
+ * @param {string} filePath
+ * @returns {string}
+ */
+function readLocalFile(filePath) {
+  const resolved = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Data file not found: ${resolved}`);
+  }
+  return fs.readFileSync(resolved, 'utf-8');
+}
+
+/**
+ * Split a sheet-shaped table into headers and rows
+ * @param {string[][]} allRows
+ * @returns {{headers: string[], rows: string[][]} | null}
+ */
+function toSheetData(allRows) {
+  if (!allRows || allRows.length === 0) {
+    return null;
+  }
+  return {
+    headers: allRows[0],
+    rows: allRows.slice(1),
+  };
+}
+
+/**
+ * Convert a value from a JSON snapshot back into a sheet cell string
+ * @param {*} value
+ * @returns {string}
+ */
+function toCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Convert objects to sheet rows using a column definition
+ * @param {Object[]} items
+ * @param {{field: string, header: string}[]} columns
+ * @returns {{headers: string[], rows: string[][]}}
+ */
+function objectsToSheetData(items, columns) {
+  return {
+    headers: columns.map(c => c.header),
+    rows: items.map(item => columns.map(c => toCell(item[c.field]))),
+  };
+}
+
+/**
+ * Load SEO page configs from a local CSV or JSON file
+ * JSON may be an array of rows or an array of config objects.
+ * @param {string} filePath
+ * @returns {{headers: string[], rows: string[][]} | null}
+ */
+function loadSeoPagesFile(filePath) {
+  const content = readLocalFile(filePath);
+
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return toSheetData(parseCsv(content));
+  }
+
+  const items = JSON.parse(content);
+  if (!Array.isArray(items) || items.length === 0) return null;
+
+  if (Array.isArray(items[0])) {
+    return toSheetData(items);
+  }
+  return objectsToSheetData(items, SEO_COLUMNS);
+}
+
+/**
+ * Load the disbursement ledger from a local CSV or JSON file
+ * @param {string} filePath
+ * @returns {{headers: string[], rows: string[][]} | null}
+ */
+function loadDisbursementsFile(filePath) {
+  const content = readLocalFile(filePath);
+
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return toSheetData(parseCsv(content));
+  }
+
+  const items = JSON.parse(content);
+  if (!Array.isArray(items) || items.length === 0) return null;
+  return objectsToSheetData(items, DISBURSEMENT_COLUMNS);
+}
+
+/**
+ * Load recipient fund info from a local CSV or JSON file
+ * @param {string} filePath
+ * @returns {{headers: string[], rows: string[][]} | null}
+ */
+function loadRecipientInfoFile(filePath) {
+  const content = readLocalFile(filePath);
+
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return toSheetData(parseCsv(content));
+  }
+
+  const items = JSON.parse(content);
+  if (!Array.isArray(items) || items.length === 0) return null;
+  return objectsToSheetData(items, RECIPIENT_INFO_COLUMNS);
+}
+
+/**
+ * Google Sheets source (default)
+ * @returns {Object}
+ */
+function createSheetsSource() {
+  // Required lazily so offline builds don't need googleapis credentials
+  const sheetsApi = require('./sheets-api');
+
+  return {
+    name: 'Google Sheets',
+    fetchDonations: () => sheetsApi.fetchDonations(),
+    fetchSeoPages: () => sheetsApi.fetchSeoPages(),
+    fetchDisbursements: () => sheetsApi.fetchDisbursements(),
+    fetchRecipientInfo: () => sheetsApi.fetchRecipientInfo(),
+  };
+}
+
+/**
+ * Local CSV export of the 捐款 tab
+ * @param {Object} options
+ * @returns {Object}
+ */
+function createCsvSource(options) {
+  if (!options.dataFile) {
+    throw new Error('CSV data source requires --data-file <path> (or DATA_FILE)');
+  }
+
+  return {
+    name: `CSV (${options.dataFile})`,
+    async fetchDonations() {
+      const data = toSheetData(parseCsv(readLocalFile(options.dataFile)));
+      if (!data) {
+        throw new Error(`No data found in ${options.dataFile}`);
+      }
+      return data;
+    },
+    async fetchSeoPages() {
+      return options.seoFile ? loadSeoPagesFile(options.seoFile) : null;
+    },
+    async fetchDisbursements() {
+      return options.disbursementsFile ? loadDisbursementsFile(options.disbursementsFile) : null;
+    },
+    async fetchRecipientInfo() {
+      return options.recipientsFile ? loadRecipientInfoFile(options.recipientsFile) : null;
+    },
+  };
+}
+
+/**
+ * Local JSON snapshot in the data.json shape
+ * Accepts either the full data.json object or a bare array of donations.
+ * SEO pages may be embedded under a "seoPages" key, recipient disclosure
+ * links are read from the "recipients" key, and the disbursement ledger is
+ * rebuilt from each donation's "disbursements" array.
+ * @param {Object} options
+ * @returns {Object}
+ */
+function createJsonSource(options) {
+  if (!options.dataFile) {
+    throw new Error('JSON data source requires --data-file <path> (or DATA_FILE)');
+  }
+
+  let snapshot = null;
+  const loadSnapshot = () => {
+    if (!snapshot) {
+      snapshot = JSON.parse(readLocalFile(options.dataFile));
+    }
+    return snapshot;
+  };
+
+  return {
+    name: `JSON (${options.dataFile})`,
+    async fetchDonations() {
+      const data = loadSnapshot();
+      const donations = Array.isArray(data) ? data : data.donations;
+      if (!Array.isArray(donations) || donations.length === 0) {
+        throw new Error(`No donations found in ${options.dataFile}`);
+      }
+      // Snapshots store the ISO date and the lowest amount; re-read the values
+      // as originally entered when present
+      const records = donations.map(d => ({
+        ...d,
+        ...(d.dateRaw ? { date: d.dateRaw } : {}),
+        ...(d.amountRange ? { amountRaw: d.amountRange.raw } : {}),
+      }));
+      return objectsToSheetData(records, JSON_COLUMNS);
+    },
+    async fetchSeoPages() {
+      if (options.seoFile) {
+        return loadSeoPagesFile(options.seoFile);
+      }
+      const data = loadSnapshot();
+      if (Array.isArray(data.seoPages) && data.seoPages.length > 0) {
+        return objectsToSheetData(data.seoPages, SEO_COLUMNS);
+      }
+      return null;
+    },
+    async fetchDisbursements() {
+      if (options.disbursementsFile) {
+        return loadDisbursementsFile(options.disbursementsFile);
+      }
+      const data = loadSnapshot();
+      const donations = Array.isArray(data) ? data : (data.donations || []);
+      const tranches = [];
+      donations.forEach(d => {
+        (d.disbursements || []).forEach(t => tranches.push({ ...t, entity: d.entity }));
+      });
+      return tranches.length > 0 ? objectsToSheetData(tranches, DISBURSEMENT_COLUMNS) : null;
+    },
+    async fetchRecipientInfo() {
+      if (options.recipientsFile) {
+        return loadRecipientInfoFile(options.recipientsFile);
+      }
+      const data = loadSnapshot();
+      const recipients = (Array.isArray(data.recipients) ? data.recipients : [])
+        .filter(r => r.disclosureUrl);
+      return recipients.length > 0 ? objectsToSheetData(recipients, RECIPIENT_INFO_COLUMNS) : null;
+    },
+  };
+}
+
+/**
+ * Create the configured data source
+ * @param {Object} options - From resolveDataSourceOptions()
+ * @returns {{name: string, fetchDonations: Function, fetchSeoPages: Function, fetchDisbursements: Function, fetchRecipientInfo: Function}}
+ */
+function createDataSource(options = resolveDataSourceOptions()) {
+  switch (options.type) {
+    case 'sheets':
+      return createSheetsSource();
+    case 'csv':
+      return createCsvSource(options);
+    case 'json':
+      return createJsonSource(options);
+    default:
+      throw new Error(`Unknown data source "${options.type}". Expected one of: ${SOURCE_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  JSON_COLUMNS,
+  getArgValue,
+  resolveDataSourceOptions,
+  createDataSource,
+};
@@ -0,0 +1,189 @@
+/**
+ * Donors Module
+ *
+ * Groups donation rows by donor so each entity can get its own page with
+ * every pledge, source and related entity (parent company, foundation).
+ */
+
+const ENTITY_TRANSLATIONS = require('./i18n/entities');
+const { slugify } = require('./data-processor');
+
+// Separators inside combined names, e.g. "恒基兆業/李兆基基金"
+const NAME_PART_SEPARATOR = /[、\/,，]/;
+
+// Suffixes marking a charitable arm, stripped to find the parent's name
+const FOUNDATION_SUFFIXES = [
+  '公益慈善基金會', '慈善基金會', '公益基金會', '基金會', '慈善基金', '公益基金', '基金', '慈善信託',
+  'charitable foundation', 'charity foundation', 'foundation', 'charities trust', 'charity',
+];
+
+// Names too generic to relate two donors on their own
+const GENERIC_NAMES = ['香港', '中國', '集團', '公司', '基金', '銀行'];
+
+/**
+ * Split a donor name into its individual parts, without stock codes
+ * e.g. "和記電訊（香港）（0215）" -> ["和記電訊（香港）"]
+ * @param {string} name
+ * @returns {string[]}
+ */
+function getNameParts(name) {
+  return (name || '')
+    .split(NAME_PART_SEPARATOR)
+    .map(part => part.replace(/\s*[（(]\d+[)）]\s*/g, '').trim())
+    .filter(part => part.length >= 2);
+}
+
+/**
+ * Strip a foundation suffix to get the parent's name
+ * e.g. "騰訊公益慈善基金會" -> "騰訊", "Li Ka Shing Foundation" -> "li ka shing"
+ * @param {string} name
+ * @returns {string | null} - null if the name has no foundation suffix
+ */
+function getFoundationParent(name) {
+  const lower = name.toLowerCase();
+  const suffix = FOUNDATION_SUFFIXES.find(s => lower.endsWith(s));
+  if (!suffix) return null;
+
+  const parent = lower.slice(0, lower.length - suffix.length).replace(/(公益|慈善)+$/, '').trim();
+  return parent.length >= 2 && !GENERIC_NAMES.includes(parent) ? parent : null;
+}
+
+/**
+ * Check whether two donors are likely related by name
+ * Related if they share a name part ("恒基兆業/李兆基基金" and "恒基兆業"),
+ * or one is the other's foundation ("騰訊公益慈善基金會" and "騰訊（700）").
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isRelatedByName(a, b) {
+  const partsA = getNameParts(a).map(p => p.toLowerCase());
+  const partsB = getNameParts(b).map(p => p.toLowerCase());
+
+  if (partsA.some(p => !GENERIC_NAMES.includes(p) && partsB.includes(p))) {
+    return true;
+  }
+
+  const isFoundationOf = (parts, others) => parts.some(part => {
+    const parent = getFoundationParent(part);
+    return parent && others.some(other => other === parent);
+  });
+
+  return isFoundationOf(partsA, partsB) || isFoundationOf(partsB, partsA);
+}
+
+/**
+ * Get the grouping key for a donor
+ * @param {string} entity
+ * @returns {string}
+ */
+function getDonorKey(entity) {
+  return (entity || '').trim();
+}
+
+/**
+ * Group donations by donor
+ * @param {Object[]} donations - Processed donations
+ * @returns {Object[]} - Donors sorted by total pledged amount (highest first)
+ */
+function buildDonors(donations) {
+  const byKey = new Map();
+
+  donations.forEach(d => {
+    const key = getDonorKey(d.entity);
+    if (!key) return;
+    if (!byKey.has(key)) {
+      byKey.set(key, { key, pledges: [] });
+    }
+    byKey.get(key).pledges.push(d);
+  });
+
+  const usedSlugs = new Set();
+
+  const donors = [...byKey.values()].map(({ key, pledges }) => {
+    const first = pledges[0];
+    const nameEn = pledges.map(p => p.entityEn).find(Boolean) || ENTITY_TRANSLATIONS[key] || '';
+
+    const baseSlug = slugify(nameEn || key) || 'donor';
+    let slug = baseSlug;
+    for (let n = 2; usedSlugs.has(slug); n++) {
+      slug = `${baseSlug}-${n}`;
+    }
+    usedSlugs.add(slug);
+
+    const sum = field => {
+      const known = pledges.filter(p => p[field] !== null && p[field] !== undefined);
+      return known.length > 0 ? known.reduce((total, p) => total + p[field], 0) : null;
+    };
+
+    return {
+      slug,
+      name: key,
+      nameEn,
+      type: first.type,
+      capital: first.capital,
+      industry: first.industry,
+      amountRaw: sum('amountRaw'),
+      cashAmountRaw: sum('cashAmountRaw'),
+      goodsAmountRaw: sum('goodsAmountRaw'),
+      verified: pledges.some(p => p.verificationLink && p.verificationLink.trim()),
+      pledges,
+      relatedEntities: [],
+    };
+  });
+
+  // Related entities: listed by editors first, then guessed from names
+  const bySlugName = new Map(donors.map(d => [d.name, d]));
+  donors.forEach(donor => {
+    const related = new Map();
+
+    donor.pledges.forEach(p => {
+      (p.relatedEntities || '')
+        .split(/\n|、/)
+        .map(name => name.trim())
+        .filter(name => name && name !== donor.name)
+        .forEach(name => related.set(name, { name, source: 'listed' }));
+    });
+
+    donors.forEach(other => {
+      if (other === donor || related.has(other.name)) return;
+      if (isRelatedByName(donor.name, other.name)) {
+        related.set(other.name, { name: other.name, source: 'name' });
+      }
+    });
+
+    donor.relatedEntities = [...related.values()].map(r => {
+      const match = bySlugName.get(r.name);
+      return {
+        ...r,
+        nameEn: match ? match.nameEn : (ENTITY_TRANSLATIONS[r.name] || ''),
+        slug: match ? match.slug : null,
+      };
+    });
+  });
+
+  return donors.sort((a, b) => (b.amountRaw || 0) - (a.amountRaw || 0));
+}
+
+/**
+ * Add each donation's donor page slug (used to link table rows)
+ * @param {Object[]} donations
+ * @param {Object[]} donors - From buildDonors()
+ * @returns {Object[]}
+ */
+function assignDonorSlugs(donations, donors) {
+  const slugByKey = new Map(donors.map(d => [d.name, d.slug]));
+  return donations.map(d => ({
+    ...d,
+    donorSlug: slugByKey.get(getDonorKey(d.entity)) || '',
+  }));
+}
+
+module.exports = {
+  getNameParts,
+  getFoundationParent,
+  isRelatedByName,
+  getDonorKey,
+  buildDonors,
+  assignDonorSlugs,
+};
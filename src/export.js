@@ -0,0 +1,90 @@
+/**
+ * Export Module
+ *
+ * Turns donations into rows for the CSV, XLSX and JSON downloads. Used by the
+ * build (static files for each page) and by the page script (the table as
+ * currently filtered), so both downloads have the same columns.
+ *
+ * Also runs in the browser (inlined into the page by build.js), so it must
+ * not require() anything.
+ */
+
+// Download columns in order: JSON key, value, and i18n key of the header
+const EXPORT_COLUMNS = [
+  { key: 'donor', label: 'table_entity', value: d => d.entityDisplay || d.entity },
+  { key: 'donorOriginal', label: 'export_donor_original', value: d => d.entity },
+  { key: 'origin', label: 'table_capital', value: d => d.capitalDisplay || d.capital },
+  { key: 'industry', label: 'table_industry', value: d => d.industryDisplay || d.industry },
+  { key: 'type', label: 'table_type', value: d => d.typeDisplay || d.type },
+  // Ranges and minimums as text ("≥ $10,000,000"), so they aren't summed as exact figures
+  { key: 'amountHKD', label: 'table_amount', value: d => (d.amountRange && d.amountRange.min !== d.amountRange.max ? d.amountDisplay : d.amountRaw) },
+  { key: 'cashHKD', label: 'table_amount_cash', value: d => d.cashAmountRaw },
+  { key: 'goodsHKD', label: 'table_amount_goods', value: d => d.goodsAmountRaw },
+  { key: 'originalCurrency', label: 'export_original_currency', value: d => d.originalCurrency },
+  { key: 'originalAmount', label: 'donor_original_amount', value: d => d.originalAmountRaw },
+  { key: 'recipient', label: 'donor_receiver', value: d => d.through },
+  { key: 'date', label: 'table_date', value: d => d.date || d.dateRaw },
+  { key: 'primarySource', label: 'donor_primary_source', value: d => d.primarySource },
+  { key: 'secondarySource', label: 'donor_secondary_source', value: d => d.secondarySource },
+  { key: 'verificationLink', label: 'donor_verification', value: d => d.verificationLink },
+  { key: 'note', label: 'donor_note', value: d => d.note },
+];
+
+/**
+ * Get the column headers in a language
+ * @param {Object} i18n - Translations (only the column labels are needed)
+ * @returns {Object} - Label key to header text
+ */
+function getExportLabels(i18n) {
+  const labels = {};
+  EXPORT_COLUMNS.forEach(column => {
+    labels[column.label] = i18n[column.label] || column.key;
+  });
+  return labels;
+}
+
+/**
+ * Get a donation's export value for a column (null if empty)
+ * @param {Object} donation - Translated donation
+ * @param {Object} column
+ * @returns {string | number | null}
+ */
+function getExportValue(donation, column) {
+  const value = column.value(donation);
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Build the header and data rows for CSV and XLSX
+ * @param {Object[]} donations - Translated donations, in the order to export
+ * @param {Object} labels - From getExportLabels()
+ * @returns {Array<Array<string | number | null>>}
+ */
+function getExportRows(donations, labels) {
+  return [
+    EXPORT_COLUMNS.map(column => labels[column.label] || column.key),
+    ...donations.map(d => EXPORT_COLUMNS.map(column => getExportValue(d, column))),
+  ];
+}
+
+/**
+ * Build records for JSON, keyed by the columns' language-neutral keys
+ * @param {Object[]} donations - Translated donations, in the order to export
+ * @returns {Object[]}
+ */
+function getExportRecords(donations) {
+  return donations.map(d => {
+    const record = {};
+    EXPORT_COLUMNS.forEach(column => {
+      record[column.key] = getExportValue(d, column);
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  getExportLabels,
+  getExportRows,
+  getExportRecords,
+};
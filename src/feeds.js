@@ -0,0 +1,102 @@
+/**
+ * Feeds Module
+ *
+ * Builds Atom and RSS 2.0 feeds so followers can subscribe in a feed reader.
+ * Both formats take the same feed description; entry ids double as RSS GUIDs.
+ */
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return String(str === null || str === undefined ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a stable tag URI for a feed or entry id (RFC 4151)
+ * e.g. tag:taipo-big-donations-watcher.github.io,2025:en/changes/2025-12-01T06:00:00.000Z
+ * @param {string} siteUrl
+ * @param {string} specific - Path-like identifier, unique within the site;
+ *   percent-encoded like the matching URL, since tag URIs are ASCII only
+ * @returns {string}
+ */
+function tagUri(siteUrl, specific) {
+  const host = new URL(siteUrl).host;
+  return `tag:${host},2025:${specific}`;
+}
+
+/**
+ * Build an Atom feed
+ * @param {Object} feed
+ * @param {string} feed.id - Stable feed id
+ * @param {string} feed.title
+ * @param {string} feed.link - Page the feed belongs to
+ * @param {string} feed.selfUrl - URL of the feed itself
+ * @param {string} feed.updated - ISO timestamp
+ * @param {string} [feed.lang]
+ * @param {{id: string, title: string, link: string, updated: string, contentHtml: string}[]} feed.entries
+ * @returns {string} - Atom XML
+ */
+function buildAtomFeed(feed) {
+  const entries = feed.entries.map(entry => `
+  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link href="${escapeXml(entry.link)}"/>
+    <updated>${escapeXml(entry.updated)}</updated>
+    <content type="html">${escapeXml(entry.contentHtml)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"${feed.lang ? ` xml:lang="${escapeXml(feed.lang)}"` : ''}>
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <link href="${escapeXml(feed.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>
+  <updated>${escapeXml(feed.updated)}</updated>
+  <author><name>${escapeXml(feed.title)}</name></author>${entries}
+</feed>
+`;
+}
+
+/**
+ * Build an RSS 2.0 feed from the same description as buildAtomFeed()
+ * @param {Object} feed - See buildAtomFeed(); feed.description is used as the channel description
+ * @returns {string} - RSS XML
+ */
+function buildRssFeed(feed) {
+  const items = feed.entries.map(entry => `
+    <item>
+      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.link)}</link>
+      <pubDate>${new Date(entry.updated).toUTCString()}</pubDate>
+      <description>${escapeXml(entry.contentHtml)}</description>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description || feed.title)}</description>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>${feed.lang ? `
+    <language>${escapeXml(feed.lang)}</language>` : ''}
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+module.exports = {
+  escapeXml,
+  tagUri,
+  buildAtomFeed,
+  buildRssFeed,
+};
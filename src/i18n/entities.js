@@ -7,6 +7,8 @@ const ENTITY_TRANSLATIONS = {
   "中國紅十字會": "Red Cross Society of China",
   "保良局": "Po Leung Kuk",
   "保良局扶弱基金": "Po Leung Kuk Charity Fund",
+  "保良局扶弱基金 - 支援宏福苑火災居民專項戶口": "Po Leung Kuk Charity Fund",
+  "香港保良局": "Po Leung Kuk",
   "東華三院": "Tung Wah Group of Hospitals",
   "東華三院甘霖援急基金": "TWGHs Kam Lam Emergency Relief Fund",
   "公益金": "The Community Chest",
@@ -14,15 +16,22 @@ const ENTITY_TRANSLATIONS = {
   "馬會": "The Hong Kong Jockey Club",
   "馬會慈善信託基金": "The Hong Kong Jockey Club Charities Trust",
   "仁濟醫院": "Yan Chai Hospital",
+  "香港仁濟醫院": "Yan Chai Hospital",
   "仁濟緊急援助基金": "Yan Chai Emergency Assistance Relief Fund",
   "救世軍": "The Salvation Army",
-  "香港救世軍": "The Salvation Army Hong Kong",
+  "香港救世軍": "The Salvation Army",
   "香港明愛": "Caritas Hong Kong",
   "香港宣明會": "World Vision Hong Kong",
   "香港中聯辦": "Liaison Office of the CPG in the HKSAR",
   "中國和平統一促進會香港總會": "Hong Kong Association for Promotion of Peaceful Reunification of China",
   "消防處福利基金": "Fire Services Department Welfare Fund",
   "消防處": "Fire Services Department",
+  "李兆基基金": "Lee Shau Kee Foundation",
+  "上海復星公益基金會": "Shanghai Fosun Foundation",
+  "香港青年協會": "The Hong Kong Federation of Youth Groups",
+  "基督教家庭服務中心": "Christian Family Service Centre",
+  "樂善堂": "The Lok Sin Tong Benevolent Society",
+  "惜食堂": "Food-Co",
   "希望橋全國救災協會": "Hope Bridge Korea Disaster Relief Association",
   "韓國紅十字會": "Korean Red Cross",
   "新界校長會": "The Association of Heads of Primary Schools in the New Territories",
@@ -0,0 +1,176 @@
+/**
+ * Recipients Module
+ *
+ * Aggregates donations by receiving fund (the "Through" column), so each
+ * fund can be shown with how much it has been pledged, by whom, and how
+ * much of that is verified.
+ *
+ * Recipient names are normalised through ENTITY_TRANSLATIONS: variants that
+ * share an English name (e.g. 香港紅十字會 / 中國香港紅十字會) collapse
+ * into one fund.
+ */
+
+const ENTITY_TRANSLATIONS = require('./i18n/entities');
+const { parseReceivers, slugify } = require('./data-processor');
+
+/**
+ * Default column mapping for the 收款機構 (recipient info) sheet
+ */
+const DEFAULT_RECIPIENT_INFO_COLUMN_MAP = {
+  name: 0,
+  disclosureUrl: 1,
+};
+
+/**
+ * Build column map for the 收款機構 sheet from header row
+ * @param {string[]} headers
+ * @returns {Object}
+ */
+function buildRecipientInfoColumnMap(headers) {
+  const map = { ...DEFAULT_RECIPIENT_INFO_COLUMN_MAP };
+
+  headers.forEach((header, index) => {
+    const h = (header || '').toLowerCase().trim();
+
+    if (h === 'name' || h === 'recipient' || h === '收款機構' || h === '名稱') {
+      map.name = index;
+    } else if (h.includes('disclosure') || h.includes('披露') || h.includes('公開')) {
+      map.disclosureUrl = index;
+    }
+  });
+
+  return map;
+}
+
+/**
+ * Process 收款機構 rows into recipient info objects
+ * @param {string[][]} rows - Data rows (without header)
+ * @param {string[]} headers - Header row
+ * @returns {{name: string, disclosureUrl: string}[]}
+ */
+function processRecipientInfo(rows, headers = null) {
+  const columnMap = headers ? buildRecipientInfoColumnMap(headers) : DEFAULT_RECIPIENT_INFO_COLUMN_MAP;
+
+  return rows
+    .filter(row => row[columnMap.name] && row[columnMap.name].trim())
+    .map(row => ({
+      name: row[columnMap.name].trim(),
+      disclosureUrl: (row[columnMap.disclosureUrl] || '').trim(),
+    }));
+}
+
+/**
+ * Get the grouping key for a recipient name
+ * Names with the same English translation share a key.
+ * @param {string} name
+ * @returns {string}
+ */
+function getRecipientKey(name) {
+  const trimmed = (name || '').trim();
+  return ENTITY_TRANSLATIONS[trimmed] || trimmed;
+}
+
+/**
+ * Aggregate donations by recipient fund
+ *
+ * A donation split between several receivers is allocated by its stated
+ * percentages. If a donation names several receivers without percentages,
+ * the split is unknown: it is listed under each fund but only counted in
+ * that fund's sharedRaw, never in pledgedRaw.
+ *
+ * @param {Object[]} donations - Processed donations
+ * @param {{name: string, disclosureUrl: string}[]} recipientInfo - From processRecipientInfo()
+ * @returns {Object[]} - Recipients sorted by pledged amount (highest first)
+ */
+function buildRecipients(donations, recipientInfo = []) {
+  const byKey = new Map();
+
+  donations.forEach(d => {
+    const receivers = parseReceivers(d.through);
+    const verified = Boolean(d.verificationLink && d.verificationLink.trim());
+
+    receivers.forEach(receiver => {
+      const key = getRecipientKey(receiver.name);
+      if (!byKey.has(key)) {
+        byKey.set(key, {
+          key,
+          names: {},
+          pledgedRaw: 0,
+          verifiedRaw: 0,
+          sharedRaw: 0,
+          unknownAmountCount: 0,
+          donors: [],
+        });
+      }
+      const recipient = byKey.get(key);
+      recipient.names[receiver.name] = (recipient.names[receiver.name] || 0) + 1;
+
+      // A single receiver gets the whole amount
+      const share = receiver.share !== null ? receiver.share : (receivers.length === 1 ? 1 : null);
+      const allocatedRaw = d.amountRaw !== null && share !== null ? Math.round(d.amountRaw * share) : null;
+
+      if (d.amountRaw === null) {
+        recipient.unknownAmountCount++;
+      } else if (allocatedRaw === null) {
+        recipient.sharedRaw += d.amountRaw;
+      } else {
+        recipient.pledgedRaw += allocatedRaw;
+        if (verified) recipient.verifiedRaw += allocatedRaw;
+      }
+
+      recipient.donors.push({
+        entity: d.entity,
+        entityEn: d.entityEn || ENTITY_TRANSLATIONS[d.entity] || '',
+        donorSlug: d.donorSlug || '',
+        amountRaw: d.amountRaw,
+        share,
+        allocatedRaw,
+        verified,
+        verificationLink: d.verificationLink || '',
+        source: d.primarySource || d.secondarySource || '',
+      });
+    });
+  });
+
+  const usedSlugs = new Set();
+
+  const recipients = [...byKey.values()].map(recipient => {
+    // Display the most common spelling of the name
+    const aliases = Object.keys(recipient.names)
+      .sort((a, b) => recipient.names[b] - recipient.names[a]);
+    const name = aliases[0];
+    const nameEn = ENTITY_TRANSLATIONS[name] || '';
+
+    const info = recipientInfo.find(i => getRecipientKey(i.name) === recipient.key);
+
+    let slug = slugify(nameEn || name) || 'recipient';
+    for (let n = 2; usedSlugs.has(slug); n++) {
+      slug = `${slugify(nameEn || name) || 'recipient'}-${n}`;
+    }
+    usedSlugs.add(slug);
+
+    return {
+      slug,
+      name,
+      nameEn,
+      aliases,
+      pledgedRaw: recipient.pledgedRaw,
+      verifiedRaw: recipient.verifiedRaw,
+      sharedRaw: recipient.sharedRaw,
+      unknownAmountCount: recipient.unknownAmountCount,
+      donorCount: recipient.donors.length,
+      disclosureUrl: info ? info.disclosureUrl : '',
+      donors: recipient.donors.sort((a, b) => (b.allocatedRaw || 0) - (a.allocatedRaw || 0)),
+    };
+  });
+
+  return recipients.sort((a, b) => b.pledgedRaw - a.pledgedRaw || b.donorCount - a.donorCount);
+}
+
+module.exports = {
+  DEFAULT_RECIPIENT_INFO_COLUMN_MAP,
+  buildRecipientInfoColumnMap,
+  processRecipientInfo,
+  getRecipientKey,
+  buildRecipients,
+};
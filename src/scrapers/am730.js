@@ -2,13 +2,10 @@
  * AM730 Restaurant Donations Scraper
  * 
  * Scrapes donation list from AM730 article about restaurants donating for fire relief.
- * URL: https://www.am730.com.hk/生活/大埔宏福苑五級火-熱心捐款賑災食肆一覽-bakehouse-beans-mister-donut-華御結-持續更新-/624097
+ * Source: "am730" in sources.json
  */
 
-const { fetchHtml, parseHtml, createDonationRecord } = require('./base');
-
-const SOURCE_URL = 'https://www.am730.com.hk/%E7%94%9F%E6%B4%BB/%E5%A4%A7%E5%9F%94%E5%AE%8F%E7%A6%8F%E8%8B%91%E4%BA%94%E7%B4%9A%E7%81%AB-%E7%86%B1%E5%BF%83%E6%8D%90%E6%AC%BE%E8%B3%91%E7%81%BD%E9%A3%9F%E8%82%86%E4%B8%80%E8%A6%BD-bakehouse-beans-mister-donut-%E8%8F%AF%E5%BE%A1%E7%B5%90-%E6%8C%81%E7%BA%8C%E6%9B%B4%E6%96%B0-/624097';
-const SOURCE_NAME = 'AM730 (餐廳捐款)';
+const { fetchPage, parseHtml, findAmounts, createDonationRecord, markupError } = require('./base');
 
 /**
  * Parse donation from h2 header text
@@ -27,20 +24,15 @@ function parseDonationFromH2(text) {
   
   // Pattern: Entity捐X萬 (with optional prefix like "香港區")
   const patterns = [
-    /^(?:香港區)?(.+?)(?:捐出|捐贈|捐款|捐)\s*(\d+(?:,\d{3})*(?:\.\d+)?)\s*(萬|億|百萬)?/,
+    /^(?:香港區)?(.+?)(?:捐出|捐贈|捐款|捐)\s*(?=[\d０-９一二兩三四五六七八九十百千])/,
   ];
   
   for (const pattern of patterns) {
     const match = text.match(pattern);
     if (match) {
       let entity = match[1].trim();
-      const numPart = match[2].replace(/,/g, '');
-      const unit = match[3] || '';
-      
-      let amount = parseFloat(numPart);
-      if (unit === '萬') amount *= 10000;
-      else if (unit === '億') amount *= 100000000;
-      else if (unit === '百萬') amount *= 1000000;
+      const [parsed] = findAmounts(text.slice(match[0].length));
+      const amount = parsed && parsed.index === 0 ? parsed.value : 0;
       
       if (entity && amount > 0) {
         return {
@@ -54,51 +46,76 @@ function parseDonationFromH2(text) {
   return null;
 }
 
+/**
+ * Parse the donation headers of an AM730 article
+ * @param {string} html
+ * @param {Object} source - Source entry
+ * @param {string} url - Article the HTML is from
+ * @returns {Object[]} - One record per restaurant
+ */
+function parse(html, source, url) {
+  const $ = parseHtml(html);
+  const donations = [];
+  const seen = new Set();
+  
+  // Parse h2 headers which contain donation info
+  if (!$('h2').length) {
+    throw markupError('Could not find any headers (h2) in the article', 'h2');
+  }
+  
+  $('h2').each((i, el) => {
+    const text = $(el).text().trim();
+    
+    // Try to parse donation from h2 text
+    const parsed = parseDonationFromH2(text);
+    if (parsed && parsed.entity) {
+      const key = parsed.entity.toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        
+        // Capital, industry and type come from the source defaults
+        donations.push(createDonationRecord({
+          entity: parsed.entity,
+          totalValue: parsed.amount,
+          cashValue: parsed.amount,
+          note: '',
+          primarySource: '',
+          secondarySource: url,
+          verificationLink: '',
+        }));
+      }
+    }
+  });
+  
+  return donations;
+}
+
 /**
  * Scrape donations from AM730
+ * @param {Object} source - Source entry from sources.json
  * @returns {Promise<Object[]>}
  */
-async function scrape() {
-  console.log(`\n=== Scraping: ${SOURCE_NAME} ===`);
-  console.log(`  URL: ${SOURCE_URL}`);
+async function scrape(source) {
+  console.log(`\n=== Scraping: ${source.name} ===`);
   
   try {
-    // AM730 content is server-rendered, use regular fetch
-    const html = await fetchHtml(SOURCE_URL);
-    const $ = parseHtml(html);
-    
     const donations = [];
     const seen = new Set();
     
-    // Parse h2 headers which contain donation info
-    $('h2').each((i, el) => {
-      const text = $(el).text().trim();
+    for (const url of source.urls) {
+      console.log(`  URL: ${url}`);
+      // AM730 content is server-rendered ("static" in sources.json)
+      const html = await fetchPage(url, source);
       
-      // Try to parse donation from h2 text
-      const parsed = parseDonationFromH2(text);
-      if (parsed && parsed.entity) {
-        const key = parsed.entity.toLowerCase();
-        if (!seen.has(key)) {
-          seen.add(key);
-          
-          const donation = createDonationRecord({
-            entity: parsed.entity,
-            totalValue: parsed.amount,
-            cashValue: parsed.amount,
-            capital: '香港',
-            industry: '餐飲',
-            type: '企業',
-            note: '',
-            primarySource: '',
-            secondarySource: SOURCE_URL,
-            verificationLink: '',
-          });
-          
-          donations.push(donation);
-          console.log(`  Found: ${parsed.entity} - $${parsed.amount?.toLocaleString() || 'N/A'}`);
-        }
+      for (const donation of parse(html, source, url)) {
+        // Deduplicate across articles
+        const key = donation.entity.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        donations.push(donation);
+        console.log(`  Found: ${donation.entity} - $${donation.totalValue?.toLocaleString() || 'N/A'}`);
       }
-    });
+    }
     
     console.log(`  Total parsed: ${donations.length} donations`);
     
@@ -110,5 +127,4 @@ async function scrape() {
   }
 }
 
-module.exports = { scrape, SOURCE_NAME, SOURCE_URL };
-
+module.exports = { scrape, parse };
@@ -0,0 +1,171 @@
+/**
+ * Amount Updates
+ *
+ * Donors already in 捐款 often top up their pledge (追加) or have it reported
+ * differently. A scraped record that findMatch() matched is compared with the
+ * donor's 捐款 rows, and reported when its amount is:
+ * - Higher: more than 捐款 has, e.g. a new total
+ * - Lower: less than 捐款 has
+ * - New tranche: different, from an article about a top-up (TOP_UP_WORDS)
+ *
+ * A scraped total equal to one of the donor's rows or to their sum is not
+ * reported, nor is one in another currency equal to a row's Original Amount.
+ * 捐款 amounts may be ranges or minimums ("1000萬至2000萬", "逾1000萬"): a
+ * scraped amount within the range, or at or above the minimum, agrees with
+ * them. When the total agrees with a donor's only row, its cash and goods
+ * split is compared too.
+ */
+
+const { parseAmountRange } = require('../data-processor');
+
+const AMOUNT_CHANGE = {
+  HIGHER: 'Higher',
+  LOWER: 'Lower',
+  TRANCHE: 'New tranche',
+};
+
+// Words around a donor's name in headlines announcing a further pledge
+const TOP_UP_WORDS = ['追加', '加碼', '加码', '再捐', '增捐', '再度捐', 'additional', 'further', 'top up', 'top-up'];
+
+// Differences within this share are rounding or exchange rates, not a new amount
+const TOLERANCE = 0.02;
+
+/**
+ * Read a 捐款 amount cell
+ * @param {string | number | null} value
+ * @returns {{min: number, max: number | null} | null} - max is null for a minimum
+ */
+function readAmount(value) {
+  if (typeof value === 'number') return { min: value, max: value };
+  return parseAmountRange(value ? String(value) : '');
+}
+
+/**
+ * Check whether two amounts are the same within TOLERANCE
+ * @param {number} a
+ * @param {number} b
+ * @returns {boolean}
+ */
+function sameAmount(a, b) {
+  return Math.abs(a - b) <= Math.max(1, Math.max(a, b) * TOLERANCE);
+}
+
+/**
+ * Check whether an amount agrees with a 捐款 amount, within TOLERANCE of its bounds
+ * @param {{min: number, max: number | null}} range - From readAmount()
+ * @param {number} amount
+ * @returns {boolean}
+ */
+function inRange(range, amount) {
+  return (amount >= range.min || sameAmount(amount, range.min))
+    && (range.max === null || amount <= range.max || sameAmount(amount, range.max));
+}
+
+/**
+ * Add up 捐款 amounts
+ * @param {{min: number, max: number | null}[]} ranges
+ * @returns {{min: number, max: number | null} | null} - null if there are none
+ */
+function sumRanges(ranges) {
+  if (ranges.length === 0) return null;
+  return {
+    min: ranges.reduce((sum, r) => sum + r.min, 0),
+    max: ranges.some(r => r.max === null) ? null : ranges.reduce((sum, r) => sum + r.max, 0),
+  };
+}
+
+/**
+ * Add up a field of the donor's rows
+ * @param {Object[]} rows
+ * @param {string} field
+ * @returns {{min: number, max: number | null} | null} - null if no row has it
+ */
+function sumField(rows, field) {
+  return sumRanges(rows.map(r => readAmount(r[field])).filter(v => v !== null));
+}
+
+/**
+ * Check whether a record comes from an article about a top-up
+ * @param {Object} record
+ * @returns {boolean}
+ */
+function isTopUp(record) {
+  const text = `${record.entity || ''} ${record.note || ''}`.toLowerCase();
+  return TOP_UP_WORDS.some(word => text.includes(word));
+}
+
+/**
+ * Check whether a record's total is already in the donor's rows
+ * @param {Object} record
+ * @param {Object[]} rows
+ * @param {{min: number, max: number | null} | null} existingTotal - Sum of the rows
+ * @returns {boolean}
+ */
+function hasTotal(record, rows, existingTotal) {
+  // The same pledge, whole or one of its rows
+  const totals = rows.map(r => readAmount(r.totalValue)).filter(v => v !== null);
+  if (existingTotal !== null) totals.push(existingTotal);
+  if (totals.some(total => inRange(total, record.totalValue))) return true;
+
+  // Converted at a different rate than the editor used
+  if (!record.originalCurrency || !record.originalAmount) return false;
+  const originals = rows
+    .filter(r => String(r.originalCurrency || '').trim().toUpperCase() === record.originalCurrency)
+    .map(r => readAmount(r.originalAmount))
+    .filter(v => v !== null);
+  if (originals.length > 1) originals.push(sumRanges(originals));
+  return originals.some(amount => inRange(amount, record.originalAmount));
+}
+
+/**
+ * Compare a matched record's amounts with the donor's 捐款 rows
+ * @param {Object} record - From createDonationRecord(), after source defaults
+ * @param {Object[]} rows - The donor's 捐款 rows, as in fetchExistingDonations()
+ *   ({rowNumber, totalValue, cashValue, goodsValue, originalCurrency, originalAmount})
+ * @returns {{change: string, field: string, scraped: Object, existing: Object, rowNumbers: number[]} | null}
+ *   field is the amount that differs; scraped and existing are {totalValue,
+ *   cashValue, goodsValue} in HKD, existing summed over the rows, taking the
+ *   lowest value of ranges and minimums; null if the amounts agree or can't
+ *   be compared
+ */
+function compareAmounts(record, rows) {
+  if (!record.totalValue || rows.length === 0) return null;
+
+  const ranges = {
+    totalValue: sumField(rows, 'totalValue'),
+    cashValue: sumField(rows, 'cashValue'),
+    goodsValue: sumField(rows, 'goodsValue'),
+  };
+  const existing = Object.fromEntries(Object.entries(ranges).map(([f, range]) => [f, range ? range.min : null]));
+  const scraped = {
+    totalValue: record.totalValue,
+    cashValue: record.cashValue || null,
+    goodsValue: record.goodsValue || null,
+  };
+
+  let field = 'totalValue';
+  if (hasTotal(record, rows, ranges.totalValue)) {
+    if (rows.length > 1) return null;
+    field = ['cashValue', 'goodsValue']
+      .find(f => scraped[f] !== null && ranges[f] !== null && !inRange(ranges[f], scraped[f]));
+    if (!field) return null;
+  }
+
+  // Outside the range: above its lowest value means above all of it
+  let change;
+  if (field === 'totalValue' && isTopUp(record)) {
+    change = AMOUNT_CHANGE.TRANCHE;
+  } else if (existing[field] === null || scraped[field] > existing[field]) {
+    change = AMOUNT_CHANGE.HIGHER;
+  } else {
+    change = AMOUNT_CHANGE.LOWER;
+  }
+
+  return { change, field, scraped, existing, rowNumbers: rows.map(r => r.rowNumber) };
+}
+
+module.exports = {
+  AMOUNT_CHANGE,
+  TOP_UP_WORDS,
+  compareAmounts,
+};
@@ -8,56 +8,124 @@ const https = require('https');
 const http = require('http');
 const cheerio = require('cheerio');
 const puppeteer = require('puppeteer');
+const { findAmounts, parseAmountText } = require('../amount-parser');
+const { createScheduler, parseRetryAfter } = require('./scheduler');
+const { getCacheSettings, readEntry, writeEntry, conditionalHeaders, replay } = require('./http-cache');
+
+// Shared by every source in a run, so per-host limits hold across sources
+const scheduler = createScheduler();
 
 /**
- * Fetch HTML from a URL with custom headers to avoid bot detection
- * @param {string} url 
- * @param {Object} options 
- * @returns {Promise<string>}
+ * Create the error for a failed HTTP response
+ * statusCode and retryAfterMs tell the scheduler whether and when to retry.
+ * @param {number} statusCode
+ * @param {string} statusText
+ * @param {string} [retryAfter] - Retry-After header
+ * @returns {Error}
  */
-async function fetchHtml(url, options = {}) {
-  const defaultHeaders = {
-    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-    'Accept-Language': 'zh-HK,zh;q=0.9,en;q=0.8',
-    'Accept-Encoding': 'identity', // Don't request compression for simplicity
-    'Connection': 'keep-alive',
-    'Upgrade-Insecure-Requests': '1',
-  };
+function httpError(statusCode, statusText, retryAfter) {
+  const error = new Error(`HTTP ${statusCode}: ${statusText}`);
+  error.statusCode = statusCode;
+  error.retryAfterMs = parseRetryAfter(retryAfter);
+  return error;
+}
 
-  const headers = { ...defaultHeaders, ...options.headers };
-  
+/**
+ * Create the error for a page without the markup a parser reads
+ * run-all.js reports these as Degraded (the site changed) rather than failed.
+ * @param {string} message
+ * @param {string} selector - What the parser looked for
+ * @returns {Error}
+ */
+function markupError(message, selector) {
+  const error = new Error(message);
+  error.code = 'EMARKUP';
+  error.selector = selector;
+  return error;
+}
+
+/**
+ * Make a GET request, following redirects
+ * Resolves with 200 and 304 Not Modified responses; rejects with httpError() otherwise.
+ * @param {string} url 
+ * @param {Object} headers 
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function request(url, headers) {
   return new Promise((resolve, reject) => {
     const protocol = url.startsWith('https') ? https : http;
     
     const req = protocol.get(url, { headers, timeout: 30000 }, (res) => {
       // Handle redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.statusCode !== 304 && res.headers.location) {
+        res.resume();
         const redirectUrl = res.headers.location.startsWith('http') 
           ? res.headers.location 
           : new URL(res.headers.location, url).href;
-        return fetchHtml(redirectUrl, options).then(resolve).catch(reject);
+        return request(redirectUrl, headers).then(resolve).catch(reject);
       }
       
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
+      if (res.statusCode !== 200 && res.statusCode !== 304) {
+        res.resume();
+        reject(httpError(res.statusCode, res.statusMessage, res.headers['retry-after']));
         return;
       }
       
       let data = '';
       res.setEncoding('utf8');
       res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: data }));
     });
     
     req.on('error', reject);
     req.on('timeout', () => {
+      const error = new Error('Request timeout');
+      error.code = 'ETIMEDOUT';
       req.destroy();
-      reject(new Error('Request timeout'));
+      reject(error);
     });
   });
 }
 
+/**
+ * Fetch HTML from a URL with custom headers to avoid bot detection
+ * Uses the page cache according to its mode (see http-cache.js).
+ * @param {string} url 
+ * @param {Object} options 
+ * @returns {Promise<string>}
+ */
+async function fetchHtml(url, options = {}) {
+  const { mode } = getCacheSettings();
+  if (mode === 'replay') return replay(url, 'static');
+  
+  const defaultHeaders = {
+    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'zh-HK,zh;q=0.9,en;q=0.8',
+    'Accept-Encoding': 'identity', // Don't request compression for simplicity
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1',
+  };
+
+  // Revalidate a saved copy instead of downloading it again
+  const cached = mode === 'cache' ? readEntry(url, 'static') : null;
+  const headers = { ...defaultHeaders, ...conditionalHeaders(cached), ...options.headers };
+  
+  const res = await request(url, headers);
+  if (res.statusCode === 304 && cached) {
+    console.log(`  Not modified since ${cached.meta.fetchedAt}, using saved copy: ${url}`);
+    return cached.body;
+  }
+  if (res.statusCode === 304) {
+    throw httpError(304, 'Not Modified without a saved copy');
+  }
+  
+  if (mode !== 'off') {
+    writeEntry(url, 'static', res.body, { etag: res.headers.etag, lastModified: res.headers['last-modified'] });
+  }
+  return res.body;
+}
+
 /**
  * Parse HTML string with cheerio
  * @param {string} html 
@@ -68,34 +136,17 @@ function parseHtml(html) {
 }
 
 /**
- * Parse amount string to number (handles HKD formats)
+ * Parse amount string to number
+ * Handles "1,000,000", "3000萬", "一億二千萬", "HK$2bn" etc. (see src/amount-parser.js).
+ * Use findAmounts() for amounts inside longer text.
  * @param {string} amountStr 
  * @returns {number|null}
  */
 function parseAmount(amountStr) {
   if (!amountStr || typeof amountStr !== 'string') return null;
   
-  // Remove currency symbols, commas, spaces
-  let cleaned = amountStr.replace(/[HKD$,\s港幣元]/gi, '').trim();
-  
-  // Handle Chinese numerals for large numbers (萬 = 10,000, 億 = 100,000,000)
-  if (cleaned.includes('萬')) {
-    const num = parseFloat(cleaned.replace('萬', ''));
-    return isNaN(num) ? null : num * 10000;
-  }
-  if (cleaned.includes('億')) {
-    const num = parseFloat(cleaned.replace('億', ''));
-    return isNaN(num) ? null : num * 100000000;
-  }
-  
-  // Handle "million" / "百萬"
-  if (cleaned.includes('百萬') || amountStr.toLowerCase().includes('million')) {
-    const num = parseFloat(cleaned.replace('百萬', ''));
-    return isNaN(num) ? null : num * 1000000;
-  }
-  
-  const parsed = parseFloat(cleaned);
-  return isNaN(parsed) ? null : parsed;
+  const parsed = parseAmountText(amountStr);
+  return parsed ? parsed.value : null;
 }
 
 /**
@@ -135,6 +186,9 @@ function createDonationRecord(data) {
     secondarySource: data.secondarySource || '',
     verificationLink: data.verificationLink || '',
     dateOfAnnouncement: data.dateOfAnnouncement || '',
+    // Set for pledges announced in another currency (values above are in HKD)
+    originalCurrency: data.originalCurrency || '',
+    originalAmount: data.originalAmount || null,
   };
 }
 
@@ -159,6 +213,8 @@ function recordToRow(record) {
     record.secondarySource,
     record.verificationLink,
     record.dateOfAnnouncement,
+    record.originalCurrency,
+    record.originalAmount !== null ? record.originalAmount.toString() : '',
   ];
 }
 
@@ -171,7 +227,7 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Shared browser instance for efficiency
+// Shared browser instance for efficiency (a promise, so concurrent sources launch it once)
 let browserInstance = null;
 
 /**
@@ -180,7 +236,7 @@ let browserInstance = null;
  */
 async function getBrowser() {
   if (!browserInstance) {
-    browserInstance = await puppeteer.launch({
+    browserInstance = puppeteer.launch({
       headless: true,
       args: [
         '--no-sandbox',
@@ -188,6 +244,10 @@ async function getBrowser() {
         '--disable-dev-shm-usage',
         '--disable-gpu',
       ],
+    }).catch(error => {
+      // Let the next caller try again
+      browserInstance = null;
+      throw error;
     });
   }
   return browserInstance;
@@ -198,13 +258,16 @@ async function getBrowser() {
  */
 async function closeBrowser() {
   if (browserInstance) {
-    await browserInstance.close();
+    const browser = await browserInstance;
     browserInstance = null;
+    await browser.close();
   }
 }
 
 /**
  * Fetch HTML from a JavaScript-rendered page using Puppeteer
+ * Saved to and replayed from the page cache like fetchHtml(), but never revalidated:
+ * the browser's own requests can't be made conditional.
  * @param {string} url - URL to fetch
  * @param {Object} options - Options
  * @param {number} options.waitTime - Time to wait for JS to render (ms), default 3000
@@ -214,6 +277,9 @@ async function closeBrowser() {
  */
 async function fetchRenderedHtml(url, options = {}) {
   const { waitTime = 3000, waitForSelector = null, mobile = false } = options;
+  const variant = mobile ? 'rendered-mobile' : 'rendered';
+  const { mode } = getCacheSettings();
+  if (mode === 'replay') return replay(url, variant);
   
   const browser = await getBrowser();
   const page = await browser.newPage();
@@ -229,7 +295,10 @@ async function fetchRenderedHtml(url, options = {}) {
     }
     
     // Navigate to the page
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    if (response && response.status() >= 400) {
+      throw httpError(response.status(), response.statusText(), response.headers()['retry-after']);
+    }
     
     // Wait for content to load
     if (waitForSelector) {
@@ -244,6 +313,7 @@ async function fetchRenderedHtml(url, options = {}) {
     
     // Get the rendered HTML
     const html = await page.content();
+    if (mode !== 'off') writeEntry(url, variant, html);
     return html;
     
   } finally {
@@ -251,16 +321,38 @@ async function fetchRenderedHtml(url, options = {}) {
   }
 }
 
+/**
+ * Fetch a page the way its source is configured in sources.json
+ * (plain HTTP for fetch "static", Puppeteer with source.render for "rendered"),
+ * through the shared scheduler: per-host limits, retries and backoff.
+ * @param {string} url
+ * @param {Object} source - Source entry
+ * @param {Object} [options] - Overrides for source.render, e.g. {waitForSelector: null}
+ * @returns {Promise<string>}
+ */
+async function fetchPage(url, source, options = {}) {
+  const fetchOnce = source.fetch === 'rendered'
+    ? () => fetchRenderedHtml(url, { ...source.render, ...options })
+    : () => fetchHtml(url);
+  // Replayed pages come from disk; no need to be polite
+  if (getCacheSettings().mode === 'replay') return fetchOnce();
+  return scheduler.run(url, fetchOnce, source.id);
+}
+
 module.exports = {
   fetchHtml,
   fetchRenderedHtml,
+  fetchPage,
   parseHtml,
+  markupError,
   parseAmount,
+  findAmounts,
   normalizeEntityName,
   createDonationRecord,
   recordToRow,
   sleep,
   getBrowser,
   closeBrowser,
+  scheduler,
 };
 
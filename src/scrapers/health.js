@@ -0,0 +1,185 @@
+/**
+ * Scraper Health
+ *
+ * Keeps a history of what each source returned, run by run, and flags a source
+ * as Degraded when its output looks like the site changed rather than the news.
+ * Runs are compared with the last healthy (Success) run, so a source stays
+ * Degraded until its output recovers, or until STABLE_RUNS runs in a row agree
+ * with each other, when that output is taken as the new baseline (the site
+ * really has fewer entries):
+ * - no rows, when the last healthy run had some
+ * - less than half the rows of that run
+ * - a field that was filled in most rows is now missing from most of them
+ * - most rows have no entity or no amount
+ * - the parser couldn't find the markup it reads (markupError() in base.js)
+ *
+ * The history is kept in .cache/scraper-health.json (SCRAPER_HEALTH_FILE),
+ * the last HISTORY_LENGTH runs per source.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HEALTH_FILE = process.env.SCRAPER_HEALTH_FILE
+  || path.join(__dirname, '..', '..', '.cache', 'scraper-health.json');
+const HISTORY_LENGTH = 30;
+
+// Fields tracked for drift; "source" is primarySource or secondarySource
+const TRACKED_FIELDS = ['entity', 'totalValue', 'capital', 'industry', 'type', 'receiver', 'dateOfAnnouncement', 'source'];
+
+// Above this share of rows, a drop or a missing field counts as an anomaly
+const DROP_RATIO = 0.5;
+const MISSING_RATIO = 0.5;
+
+// Degraded runs in a row, counting the current one, whose agreeing output becomes the new baseline
+const STABLE_RUNS = 3;
+
+/**
+ * Check whether a record's field is empty
+ * @param {Object} record
+ * @param {string} field - One of TRACKED_FIELDS
+ * @returns {boolean}
+ */
+function isMissing(record, field) {
+  const value = field === 'source' ? record.primarySource || record.secondarySource : record[field];
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Measure a source's output
+ * @param {Object[]} records - After source defaults
+ * @returns {{rows: number, parseFailureRatio: number, fieldsMissing: Object}}
+ *   parseFailureRatio is the share of rows without an entity or an amount;
+ *   fieldsMissing counts the rows missing each tracked field
+ */
+function measure(records) {
+  const fieldsMissing = {};
+  TRACKED_FIELDS.forEach(field => {
+    fieldsMissing[field] = records.filter(r => isMissing(r, field)).length;
+  });
+  const incomplete = records.filter(r => isMissing(r, 'entity') || isMissing(r, 'totalValue')).length;
+
+  return {
+    rows: records.length,
+    parseFailureRatio: records.length > 0 ? Math.round((incomplete / records.length) * 100) / 100 : 0,
+    fieldsMissing,
+  };
+}
+
+/**
+ * Check whether two runs' outputs look alike: neither has less than
+ * DROP_RATIO of the other's rows, and each tracked field is filled in most
+ * rows of both or of neither
+ * @param {Object} a - From measure() or the history
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function agrees(a, b) {
+  if (Math.min(a.rows, b.rows) < Math.max(a.rows, b.rows) * DROP_RATIO) return false;
+  return TRACKED_FIELDS.every(field => {
+    const missingA = (a.fieldsMissing[field] || 0) / a.rows > MISSING_RATIO;
+    const missingB = (b.fieldsMissing[field] || 0) / b.rows > MISSING_RATIO;
+    return missingA === missingB;
+  });
+}
+
+/**
+ * Check whether a run ends a lasting change in a source's output
+ * True when it and the STABLE_RUNS - 1 runs before it are Degraded (the
+ * earlier ones) yet have rows, mostly complete ones, and agree with each
+ * other: the run is then healthy and becomes the baseline for later runs.
+ * @param {Object} metrics - From measure()
+ * @param {Object[]} history - Earlier runs of the source, oldest first
+ * @returns {boolean}
+ */
+function acceptsNewBaseline(metrics, history) {
+  const earlier = history.slice(-(STABLE_RUNS - 1));
+  if (earlier.length < STABLE_RUNS - 1 || earlier.some(run => run.status !== 'Degraded')) return false;
+  const runs = [...earlier, metrics];
+  return runs.every(run => run.rows > 0 && run.parseFailureRatio <= MISSING_RATIO)
+    && runs.every((run, i) => i === 0 || agrees(runs[i - 1], run));
+}
+
+/**
+ * Compare a run's measurements with the source's history
+ * @param {{rows: number, parseFailureRatio: number, fieldsMissing: Object}} metrics - From measure()
+ * @param {Object[]} history - Earlier runs of the source, oldest first
+ * @returns {string[]} - Anomalies, empty if the source looks healthy
+ */
+function findAnomalies(metrics, history) {
+  const anomalies = [];
+  // The most recent healthy run: a Degraded run as the baseline would clear the anomaly next time
+  const baseline = [...history].reverse().find(run => run.status === 'Success' && run.rows > 0);
+
+  if (metrics.rows > 0 && metrics.parseFailureRatio > MISSING_RATIO) {
+    anomalies.push(`${Math.round(metrics.parseFailureRatio * 100)}% of rows have no entity or amount`);
+  }
+
+  if (!baseline || acceptsNewBaseline(metrics, history)) return anomalies;
+  const since = `on ${baseline.at.slice(0, 10)}`;
+
+  if (metrics.rows === 0) {
+    anomalies.push(`no rows (${baseline.rows} ${since})`);
+    return anomalies;
+  }
+  if (metrics.rows < baseline.rows * DROP_RATIO) {
+    anomalies.push(`rows dropped from ${baseline.rows} to ${metrics.rows} (more than ${DROP_RATIO * 100}%)`);
+  }
+
+  TRACKED_FIELDS.forEach(field => {
+    const before = (baseline.fieldsMissing[field] || 0) / baseline.rows;
+    const now = metrics.fieldsMissing[field] / metrics.rows;
+    if (before <= MISSING_RATIO && now > MISSING_RATIO) {
+      anomalies.push(`${field} missing in ${metrics.fieldsMissing[field]} of ${metrics.rows} rows (${Math.round(before * 100)}% ${since})`);
+    }
+  });
+
+  return anomalies;
+}
+
+/**
+ * Read the health history
+ * @param {string} [file]
+ * @returns {Object} - Runs by source id, oldest first
+ */
+function loadHealthHistory(file = HEALTH_FILE) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).sources || {};
+  } catch (error) {
+    console.log(`⚠ Could not read scraper health history (${error.message}), starting a new one`);
+    return {};
+  }
+}
+
+/**
+ * Add a run to a source's history, keeping the last HISTORY_LENGTH
+ * @param {Object} history - From loadHealthHistory(), updated in place
+ * @param {string} sourceId
+ * @param {Object} run - {at, status, rows, parseFailureRatio, fieldsMissing, anomalies}
+ */
+function recordRun(history, sourceId, run) {
+  history[sourceId] = [...(history[sourceId] || []), run].slice(-HISTORY_LENGTH);
+}
+
+/**
+ * Write the health history
+ * @param {Object} history
+ * @param {string} [file]
+ */
+function saveHealthHistory(history, file = HEALTH_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ updatedAt: new Date().toISOString(), sources: history }, null, 2));
+}
+
+module.exports = {
+  HEALTH_FILE,
+  TRACKED_FIELDS,
+  STABLE_RUNS,
+  measure,
+  acceptsNewBaseline,
+  findAnomalies,
+  loadHealthHistory,
+  recordRun,
+  saveHealthHistory,
+};
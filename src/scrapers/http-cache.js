@@ -0,0 +1,140 @@
+/**
+ * HTTP Cache
+ *
+ * Keeps fetched pages on disk so scrapers can skip unchanged pages and parsers
+ * can be re-run offline against real captured HTML.
+ *
+ * Modes (--cache <mode> on run-all.js, or SCRAPER_CACHE):
+ * - off: fetch everything, save nothing (default)
+ * - cache: save pages; revalidate plain HTTP pages with ETag / Last-Modified
+ *   and reuse the saved copy on 304 Not Modified
+ * - record: fetch everything and save it, overwriting older copies
+ * - replay: serve saved pages only, never touch the network
+ *
+ * Pages are stored under .cache/scrapers/ (--cache-dir or SCRAPER_CACHE_DIR)
+ * as <host>/<hash>.html with a <hash>.json sidecar holding the URL, fetch
+ * time and validators.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_MODES = ['off', 'cache', 'record', 'replay'];
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '..', '.cache', 'scrapers');
+
+let settings = {
+  mode: process.env.SCRAPER_CACHE || 'off',
+  dir: process.env.SCRAPER_CACHE_DIR || DEFAULT_CACHE_DIR,
+};
+
+/**
+ * Set the cache mode and directory for this process
+ * @param {Object} options
+ * @param {string} [options.mode] - One of CACHE_MODES
+ * @param {string} [options.dir]
+ */
+function configureCache(options = {}) {
+  const next = { ...settings, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v)) };
+  if (!CACHE_MODES.includes(next.mode)) {
+    throw new Error(`Unknown cache mode "${next.mode}" (expected ${CACHE_MODES.join(', ')})`);
+  }
+  settings = { mode: next.mode, dir: path.resolve(next.dir) };
+}
+
+/**
+ * Current cache settings
+ * @returns {{mode: string, dir: string}}
+ */
+function getCacheSettings() {
+  return { ...settings };
+}
+
+/**
+ * Paths of a page's files
+ * Rendered and plain copies of a URL are kept apart, as are mobile renders.
+ * @param {string} url
+ * @param {string} variant - "static", "rendered" or "rendered-mobile"
+ * @returns {{html: string, meta: string}}
+ */
+function entryPaths(url, variant) {
+  const hash = crypto.createHash('sha1').update(`${variant} ${url}`).digest('hex').slice(0, 16);
+  const dir = path.join(settings.dir, new URL(url).hostname);
+  return {
+    html: path.join(dir, `${hash}.html`),
+    meta: path.join(dir, `${hash}.json`),
+  };
+}
+
+/**
+ * Read a saved page
+ * @param {string} url
+ * @param {string} variant
+ * @returns {{body: string, meta: Object} | null}
+ */
+function readEntry(url, variant) {
+  const files = entryPaths(url, variant);
+  if (!fs.existsSync(files.html) || !fs.existsSync(files.meta)) return null;
+  return {
+    body: fs.readFileSync(files.html, 'utf8'),
+    meta: JSON.parse(fs.readFileSync(files.meta, 'utf8')),
+  };
+}
+
+/**
+ * Save a page
+ * @param {string} url
+ * @param {string} variant
+ * @param {string} body
+ * @param {Object} [validators] - {etag, lastModified} from the response
+ */
+function writeEntry(url, variant, body, validators = {}) {
+  const files = entryPaths(url, variant);
+  fs.mkdirSync(path.dirname(files.html), { recursive: true });
+  fs.writeFileSync(files.html, body);
+  fs.writeFileSync(files.meta, JSON.stringify({
+    url,
+    variant,
+    fetchedAt: new Date().toISOString(),
+    etag: validators.etag || null,
+    lastModified: validators.lastModified || null,
+  }, null, 2));
+}
+
+/**
+ * Headers for a conditional request, if a saved copy has validators
+ * @param {{meta: Object} | null} entry
+ * @returns {Object}
+ */
+function conditionalHeaders(entry) {
+  if (!entry) return {};
+  const headers = {};
+  if (entry.meta.etag) headers['If-None-Match'] = entry.meta.etag;
+  if (entry.meta.lastModified) headers['If-Modified-Since'] = entry.meta.lastModified;
+  return headers;
+}
+
+/**
+ * Serve a page in replay mode
+ * @param {string} url
+ * @param {string} variant
+ * @returns {string}
+ */
+function replay(url, variant) {
+  const entry = readEntry(url, variant);
+  if (!entry) {
+    throw new Error(`No saved ${variant} page for ${url} in ${settings.dir} (run with --cache record first)`);
+  }
+  return entry.body;
+}
+
+module.exports = {
+  CACHE_MODES,
+  DEFAULT_CACHE_DIR,
+  configureCache,
+  getCacheSettings,
+  readEntry,
+  writeEntry,
+  conditionalHeaders,
+  replay,
+};
@@ -2,14 +2,10 @@
  * Po Leung Kuk Scraper
  * 
  * Scrapes donation list from Po Leung Kuk's Tai Po Fire Support page.
- * URL: https://www.poleungkuk.org.hk/news/taipofiresupport
+ * Source: "poleungkuk" in sources.json
  */
 
-const { fetchHtml, parseHtml, parseAmount, createDonationRecord } = require('./base');
-const { writeToAutoUpdateTab, appendLogOnly } = require('./sheet-writer');
-
-const SOURCE_URL = 'https://www.poleungkuk.org.hk/news/taipofiresupport';
-const SOURCE_NAME = 'Po Leung Kuk (保良局)';
+const { fetchPage, parseHtml, parseAmount, createDonationRecord, markupError } = require('./base');
 
 /**
  * Parse a donation entry from the text
@@ -18,9 +14,11 @@ const SOURCE_NAME = 'Po Leung Kuk (保良局)';
  * "(2) 保良局永恆愛心之星郭富城先生通過郭富城國際關愛慈善基金捐出港幣1,000,000元"
  * 
  * @param {string} text 
+ * @param {Object} source - Source entry
+ * @param {string} url - Page the entry is from
  * @returns {Object|null}
  */
-function parseDonationEntry(text) {
+function parseDonationEntry(text, source, url) {
   // Remove leading number like "(1)" or "(2）"
   let cleaned = text.replace(/^\s*\(\d+[）\)]\s*/, '').trim();
   
@@ -67,12 +65,12 @@ function parseDonationEntry(text) {
     totalValue: amount,
     cashValue: amount, // Assume all cash unless specified
     goodsValue: null,
-    capital: '香港', // Assume HK for Po Leung Kuk donations
+    capital: '',
     industry: '',
     type: type,
-    note: `via ${SOURCE_NAME}`,
+    note: `via ${source.name}`,
     receiver: receiver || '保良局扶弱基金',
-    primarySource: SOURCE_URL,
+    primarySource: url,
     secondarySource: '',
     verificationLink: '',
     dateOfAnnouncement: '',
@@ -80,116 +78,87 @@ function parseDonationEntry(text) {
 }
 
 /**
- * Scrape donations from Po Leung Kuk
- * @returns {Promise<Object[]>}
+ * Parse the donation list of a Po Leung Kuk page
+ * @param {string} html
+ * @param {Object} source - Source entry
+ * @param {string} url - Page the HTML is from
+ * @returns {Object[]}
  */
-async function scrape() {
-  console.log(`\n=== Scraping: ${SOURCE_NAME} ===`);
-  console.log(`  URL: ${SOURCE_URL}`);
+function parse(html, source, url) {
+  const $ = parseHtml(html);
   
-  try {
-    const html = await fetchHtml(SOURCE_URL);
-    const $ = parseHtml(html);
-    
-    // Find the donation list section
-    // The donations are in <p> tags after "鳴謝以下大額捐款善長："
-    const contentDiv = $('.ckec');
+  // Find the donation list section
+  // The donations are in <p> tags after "鳴謝以下大額捐款善長："
+  const contentDiv = $('.ckec');
+  
+  if (!contentDiv.length) {
+    throw markupError('Could not find content div (.ckec)', '.ckec');
+  }
+  
+  const donations = [];
+  let foundDonationSection = false;
+  
+  contentDiv.find('p').each((i, el) => {
+    const text = $(el).text().trim();
     
-    if (!contentDiv.length) {
-      throw new Error('Could not find content div (.ckec)');
+    // Start capturing after we see the donation list header
+    if (text.includes('鳴謝以下大額捐款善長')) {
+      foundDonationSection = true;
+      return;
     }
     
-    const donations = [];
-    let foundDonationSection = false;
+    // Stop if we hit the photo section
+    if (text.includes('相片連結') || text.includes('相片一')) {
+      foundDonationSection = false;
+      return;
+    }
     
-    contentDiv.find('p').each((i, el) => {
-      const text = $(el).text().trim();
-      
-      // Start capturing after we see the donation list header
-      if (text.includes('鳴謝以下大額捐款善長')) {
-        foundDonationSection = true;
-        return;
-      }
-      
-      // Stop if we hit the photo section
-      if (text.includes('相片連結') || text.includes('相片一')) {
-        foundDonationSection = false;
-        return;
-      }
+    // Parse donation entries - split by (number) pattern since multiple can be in one <p>
+    if (foundDonationSection && text.match(/\(\d+/)) {
+      // Split the text by entry markers like "(1)", "(2)", etc.
+      const entries = text.split(/(?=\(\d+[）\)])/);
       
-      // Parse donation entries - split by (number) pattern since multiple can be in one <p>
-      if (foundDonationSection && text.match(/\(\d+/)) {
-        // Split the text by entry markers like "(1)", "(2)", etc.
-        const entries = text.split(/(?=\(\d+[）\)])/);
-        
-        for (const entry of entries) {
-          if (entry.match(/^\s*\(\d+/)) {
-            const donation = parseDonationEntry(entry);
-            if (donation) {
-              donations.push(donation);
-              console.log(`  Found: ${donation.entity} - $${donation.totalValue?.toLocaleString() || 'N/A'}`);
-            }
-          }
+      for (const entry of entries) {
+        if (entry.match(/^\s*\(\d+/)) {
+          const donation = parseDonationEntry(entry, source, url);
+          if (donation) donations.push(donation);
         }
       }
-    });
-    
-    console.log(`  Total parsed: ${donations.length} donations`);
-    
-    return donations;
-    
-  } catch (error) {
-    console.error(`  Error scraping: ${error.message}`);
-    throw error;
-  }
+    }
+  });
+  
+  return donations;
 }
 
 /**
- * Run scraper and write results to sheet
+ * Scrape donations from Po Leung Kuk
+ * @param {Object} source - Source entry from sources.json
+ * @returns {Promise<Object[]>}
  */
-async function run() {
+async function scrape(source) {
+  console.log(`\n=== Scraping: ${source.name} ===`);
+  
   try {
-    const donations = await scrape();
+    const donations = [];
     
-    if (donations.length === 0) {
-      await appendLogOnly(SOURCE_NAME, {
-        sourceUrl: SOURCE_URL,
-        status: 'No donations found',
-        message: 'Page structure may have changed',
-      });
-      return { success: true, count: 0 };
+    for (const url of source.urls) {
+      console.log(`  URL: ${url}`);
+      const html = await fetchPage(url, source);
+      
+      for (const donation of parse(html, source, url)) {
+        donations.push(donation);
+        console.log(`  Found: ${donation.entity} - $${donation.totalValue?.toLocaleString() || 'N/A'}`);
+      }
     }
     
-    const result = await writeToAutoUpdateTab(donations, SOURCE_NAME, {
-      sourceUrl: SOURCE_URL,
-      status: 'Success',
-    });
+    console.log(`  Total parsed: ${donations.length} donations`);
     
-    return { success: true, ...result };
+    return donations;
     
   } catch (error) {
-    await appendLogOnly(SOURCE_NAME, {
-      sourceUrl: SOURCE_URL,
-      status: 'Error',
-      error: error.message,
-    });
-    return { success: false, error: error.message };
+    console.error(`  Error scraping: ${error.message}`);
+    throw error;
   }
 }
 
-// Allow running directly
-if (require.main === module) {
-  run()
-    .then(result => {
-      console.log('\n=== Result ===');
-      console.log(result);
-      process.exit(result.success ? 0 : 1);
-    })
-    .catch(err => {
-      console.error(err);
-      process.exit(1);
-    });
-}
-
-module.exports = { scrape, run, SOURCE_NAME, SOURCE_URL };
-
+module.exports = { scrape, parse };
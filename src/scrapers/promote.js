@@ -0,0 +1,47 @@
+/**
+ * Promote Reviewed Rows
+ *
+ * Copies the rows editors reviewed in 自動更新列表 into 捐款 (see
+ * planPromotion() in sheet-writer.js for what each Review value does).
+ * Rejected and merged rows are left in the tab, where scrape runs read them so
+ * they don't surface those donations again: the seen state lives in the
+ * workflow's cache, not here.
+ *
+ * Usage:
+ *   node src/scrapers/promote.js             # promote
+ *   node src/scrapers/promote.js --dry-run   # show what would change
+ */
+
+const { REVIEW_STATUS, promoteReviewedRows } = require('./sheet-writer');
+
+/**
+ * Promote the reviewed rows and print what changed
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Don't write to the sheet
+ * @returns {Promise<Object>} - The plan from planPromotion()
+ */
+async function promote(options = {}) {
+  const plan = await promoteReviewedRows(options);
+
+  if (plan.missingColumns.length > 0) {
+    console.log(`⚠ 捐款 has no ${plan.missingColumns.join(', ')} column; those values are left out`);
+  }
+  plan.actions.forEach(a => console.log(`✓ Row ${a.rowNumber} ${a.entity}: ${a.message}`));
+  plan.problems.forEach(p => console.log(`⚠ Row ${p.rowNumber} ${p.entity}: ${p.message}`));
+
+  const merged = plan.reviewUpdates.filter(u => u.status === REVIEW_STATUS.MERGED).length;
+  console.log(`\n${options.dryRun ? 'Dry run: would add' : 'Added'} ${plan.appends.length} rows to 捐款 and ${options.dryRun ? 'merge' : 'merged'} ${merged}; ${plan.rejected.length - merged} rejected, ${plan.problems.length} need an editor`);
+  return plan;
+}
+
+// Allow running directly
+if (require.main === module) {
+  promote({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Fatal error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { promote };
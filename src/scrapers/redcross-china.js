@@ -3,41 +3,40 @@
  * 
  * Scrapes donation articles from China Red Cross official website.
  * Uses Puppeteer to render JavaScript-loaded content on the news list page.
- * URL: https://www.redcross.org.cn/html/NewsList.html?type=news&cla=newrdjz
+ * Source: "redcross-china" in sources.json (options.pages: list pages to check)
  */
 
-const { fetchRenderedHtml, parseHtml, createDonationRecord, sleep } = require('./base');
+const { fetchPage, parseHtml, findAmounts, createDonationRecord, markupError } = require('./base');
+const { convertToHKD } = require('../currency');
 
-const SOURCE_URL = 'https://www.redcross.org.cn';
-const NEWS_LIST_URL = 'https://www.redcross.org.cn/html/NewsList.html?type=news&cla=newrdjz';
-const SOURCE_NAME = 'China Red Cross (中國紅十字會)';
-
-// Pages to check (only first 2 pages have relevant entries)
-const PAGES_TO_CHECK = 2;
+/**
+ * Check the source options this scraper reads
+ * @param {Object} source
+ * @returns {string[]}
+ */
+function validateSource(source) {
+  const pages = (source.options || {}).pages;
+  if (pages !== undefined && !(Number.isInteger(pages) && pages > 0)) {
+    return ['options.pages must be a positive whole number'];
+  }
+  return [];
+}
 
 /**
- * Find donation-related article links from the JS-rendered news list pages
- * @returns {Promise<Array<{title: string, url: string}>>}
+ * Find the Hong Kong fire donation articles linked from a news list page
+ * @param {string} html
+ * @param {string} url - List page the HTML is from, for relative links
+ * @returns {Array<{title: string, url: string}>}
  */
-async function findDonationArticles() {
-  console.log('  Fetching news list pages (with JS rendering)...');
-  
-  const articles = [];
-  
-  // Fetch the news list page with JS rendering
-  console.log(`  Loading page 1...`);
-  const html = await fetchRenderedHtml(NEWS_LIST_URL, {
-    waitTime: 3000,
-    waitForSelector: 'a[href*="NewsContent"]', // Wait for article links to load
-  });
-  
+function findDonationArticles(html, url) {
   const $ = parseHtml(html);
+  const baseUrl = new URL(url).origin;
+  const articles = [];
   
-  // Debug: check what we got
-  const allLinks = $('a').length;
-  console.log(`  Found ${allLinks} total links on page`);
+  if (!$('a[href*="NewsContent"]').length) {
+    throw markupError('Could not find any article links (a[href*="NewsContent"])', 'a[href*="NewsContent"]');
+  }
   
-  // Extract donation articles
   $('a').each((i, el) => {
     const title = $(el).attr('title') || $(el).text().trim();
     const href = $(el).attr('href');
@@ -51,9 +50,9 @@ async function findDonationArticles() {
       // Build full URL
       let fullUrl = href;
       if (href.startsWith('/')) {
-        fullUrl = SOURCE_URL + href;
+        fullUrl = baseUrl + href;
       } else if (!href.startsWith('http')) {
-        fullUrl = SOURCE_URL + '/' + href;
+        fullUrl = baseUrl + '/' + href;
       }
       
       // Avoid duplicates
@@ -63,52 +62,6 @@ async function findDonationArticles() {
     }
   });
   
-  console.log(`  Found ${articles.length} donation articles from page 1`);
-  
-  // Try to load page 2 if we haven't found many articles
-  if (PAGES_TO_CHECK > 1) {
-    try {
-      console.log(`  Loading page 2...`);
-      // Page 2 might be loaded by clicking a button or via URL parameter
-      const page2Url = `${NEWS_LIST_URL}&page=2`;
-      const html2 = await fetchRenderedHtml(page2Url, {
-        waitTime: 3000,
-      });
-      
-      const $2 = parseHtml(html2);
-      let page2Count = 0;
-      
-      $2('a').each((i, el) => {
-        const title = $2(el).attr('title') || $2(el).text().trim();
-        const href = $2(el).attr('href');
-        
-        if (!href || !title) return;
-        
-        if ((title.includes('香港') || title.includes('大埔')) && 
-            (title.includes('捐') || title.includes('火灾') || title.includes('救援') || title.includes('驰援'))) {
-          
-          let fullUrl = href;
-          if (href.startsWith('/')) {
-            fullUrl = SOURCE_URL + href;
-          } else if (!href.startsWith('http')) {
-            fullUrl = SOURCE_URL + '/' + href;
-          }
-          
-          if (!articles.some(a => a.url === fullUrl)) {
-            articles.push({ title, url: fullUrl });
-            page2Count++;
-          }
-        }
-      });
-      
-      console.log(`  Found ${page2Count} additional articles from page 2`);
-      
-    } catch (error) {
-      console.log(`  Warning: Could not fetch page 2: ${error.message}`);
-    }
-  }
-  
-  console.log(`  Total: ${articles.length} potential donation articles`);
   return articles;
 }
 
@@ -125,18 +78,9 @@ function parseDonationFromTitle(title, url) {
   // "得力集团有限公司捐赠500万元港币紧急驰援香港大埔火灾救援"
   // "奥克斯集团有限公司捐赠3000万元港币紧急驰援香港大埔火灾救援"
   
-  // Try to extract amount
-  let amount = null;
-  const amountMatch = title.match(/(\d+(?:\.\d+)?)(万|億|百万)(?:元)?(?:人民币|港[币元])?/);
-  if (amountMatch) {
-    const num = parseFloat(amountMatch[1]);
-    const unit = amountMatch[2];
-    let multiplier = 1;
-    if (unit === '万') multiplier = 10000;
-    else if (unit === '億') multiplier = 100000000;
-    else if (unit === '百万') multiplier = 1000000;
-    amount = num * multiplier;
-  }
+  // Try to extract amount (with a unit, e.g. 1000万元人民币)
+  const parsed = findAmounts(title).find(a => a.hasUnit);
+  const amount = parsed ? parsed.value : null;
   
   if (!amount) {
     return null;
@@ -149,11 +93,11 @@ function parseDonationFromTitle(title, url) {
     entity = entityMatch[1].trim();
   }
   
-  // Determine currency (RMB vs HKD)
-  const isHKD = title.includes('港币') || title.includes('港元');
+  // Determine currency (RMB unless the title says HKD)
+  const isHKD = parsed.currency === 'HKD';
   
-  // Convert RMB to HKD (approximate rate: 1 RMB ≈ 1.1 HKD)
-  const hkdAmount = isHKD ? amount : Math.round(amount * 1.1);
+  // Convert RMB to HKD with the shared FX table
+  const hkdAmount = isHKD ? amount : convertToHKD(amount, 'CNY').amount;
   
   // Determine type
   let type = '企業';
@@ -165,68 +109,108 @@ function parseDonationFromTitle(title, url) {
     type = '機構'; // Foundations are organizations, not companies
   }
   
-  // Only add note for non-HKD donations with original amount in original currency
-  let note = '';
-  if (!isHKD) {
-    // Format as Chinese style: e.g. "100萬人民幣"
-    const amountInWan = amount / 10000;
-    note = `${amountInWan}萬人民幣`;
-  }
-  
   return createDonationRecord({
     entity: entity,
     group: '',
     totalValue: hkdAmount,
     cashValue: hkdAmount,
     goodsValue: null,
-    capital: '中國',
+    capital: '',
     industry: '',
     type: type,
-    note: note,
+    note: '',
     receiver: '中國紅十字會',
     primarySource: url,
     secondarySource: '',
     verificationLink: url, // Use article link as verification
     dateOfAnnouncement: '',
+    originalCurrency: isHKD ? '' : 'CNY',
+    originalAmount: isHKD ? null : amount,
   });
 }
 
+/**
+ * Parse the donations listed on a news list page, from the article titles
+ * @param {string} html
+ * @param {Object} source - Source entry
+ * @param {string} url - List page the HTML is from
+ * @returns {Object[]} - One record per donor
+ */
+function parse(html, source, url) {
+  const donations = [];
+  const seen = new Set();
+  
+  for (const article of findDonationArticles(html, url)) {
+    // Skip aggregate articles
+    if (article.title.includes('携手各界') || 
+        article.title.includes('1553万') ||
+        article.title.includes('砥砺奋进') ||
+        article.title.includes('爱心企业驰援') ||
+        article.title.includes('法治路')) {
+      continue;
+    }
+    
+    // Only process individual donation articles (must have amount pattern)
+    if (article.title.match(/捐赠?\d+/)) {
+      // Parse directly from title (faster, no need to fetch each article)
+      const donation = parseDonationFromTitle(article.title, article.url);
+      if (donation) {
+        // Deduplicate by entity name
+        const key = donation.entity.toLowerCase();
+        if (!seen.has(key)) {
+          seen.add(key);
+          donations.push(donation);
+        }
+      }
+    }
+  }
+  
+  return donations;
+}
+
 /**
  * Scrape donations from China Red Cross
+ * @param {Object} source - Source entry from sources.json
  * @returns {Promise<Object[]>}
  */
-async function scrape() {
-  console.log(`\n=== Scraping: ${SOURCE_NAME} ===`);
-  console.log(`  URL: ${NEWS_LIST_URL}`);
+async function scrape(source) {
+  console.log(`\n=== Scraping: ${source.name} ===`);
+  console.log(`  URL: ${source.urls.join(', ')}`);
+  console.log('  Fetching news list pages (with JS rendering)...');
+  
+  const pagesToCheck = (source.options || {}).pages || 1;
   
   try {
-    const articles = await findDonationArticles();
     const donations = [];
     const seen = new Set();
     
-    for (const article of articles) {
-      // Skip aggregate articles
-      if (article.title.includes('携手各界') || 
-          article.title.includes('1553万') ||
-          article.title.includes('砥砺奋进') ||
-          article.title.includes('爱心企业驰援') ||
-          article.title.includes('法治路')) {
-        continue;
-      }
-      
-      // Only process individual donation articles (must have amount pattern)
-      if (article.title.match(/捐赠?\d+/)) {
-        // Parse directly from title (faster, no need to fetch each article)
-        const donation = parseDonationFromTitle(article.title, article.url);
-        if (donation) {
-          // Deduplicate by entity name
-          const key = donation.entity.toLowerCase();
-          if (!seen.has(key)) {
-            seen.add(key);
-            donations.push(donation);
-            console.log(`  Found: ${donation.entity} - $${donation.totalValue?.toLocaleString() || 'N/A'} HKD`);
+    for (const listUrl of source.urls) {
+      for (let page = 1; page <= pagesToCheck; page++) {
+        let pageDonations;
+        console.log(`  Loading page ${page}...`);
+        if (page === 1) {
+          // Wait for article links to load
+          pageDonations = parse(await fetchPage(listUrl, source), source, listUrl);
+        } else {
+          // Later pages are loaded via URL parameter; a missing or empty one isn't fatal
+          try {
+            const html = await fetchPage(`${listUrl}&page=${page}`, source, { waitForSelector: null });
+            pageDonations = parse(html, source, listUrl);
+          } catch (error) {
+            console.log(`  Warning: Could not read page ${page}: ${error.message}`);
+            continue;
           }
         }
+        
+        console.log(`  Found ${pageDonations.length} donations on page ${page}`);
+        
+        for (const donation of pageDonations) {
+          const key = donation.entity.toLowerCase();
+          if (seen.has(key)) continue;
+          seen.add(key);
+          donations.push(donation);
+          console.log(`  Found: ${donation.entity} - $${donation.totalValue?.toLocaleString() || 'N/A'} HKD`);
+        }
       }
     }
     
@@ -240,4 +224,4 @@ async function scrape() {
   }
 }
 
-module.exports = { scrape, SOURCE_NAME, SOURCE_URL };
+module.exports = { scrape, parse, validateSource };
@@ -0,0 +1,268 @@
+/**
+ * Scraper Registry
+ *
+ * Loads the sources declared in sources.json and checks each one against the
+ * scraper interface before anything is fetched:
+ *
+ *   scrape(source) -> Promise<Object[]>   required; records from createDonationRecord()
+ *   parse(html, source, url) -> Object[]   required; the same records from one fetched page,
+ *                                          without fetching or logging (see test-scrapers.js)
+ *   validateSource(source) -> string[]     optional; problems with source.options
+ *
+ * A source entry looks like:
+ *   {
+ *     "id": "am730",                        used by --only / --exclude
+ *     "name": "AM730 (餐廳捐款)",            shown in logs and the 自動更新列表 tab
+ *     "module": "am730",                    file in src/scrapers/
+ *     "enabled": true,
+ *     "schedule": "daily",                  daily | weekly (Mondays, HKT) | manual (--only)
+ *     "fetch": "static",                    static (plain HTTP) | rendered (Puppeteer)
+ *     "render": { "waitTime": 4000 },       optional, options for fetchRenderedHtml()
+ *     "urls": ["https://..."],
+ *     "defaults": { "capital": "香港" },     filled in where a record leaves them empty
+ *     "options": {}                         optional, read by the module itself
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCES_FILE = path.join(__dirname, 'sources.json');
+
+const SCHEDULES = ['daily', 'weekly', 'manual'];
+const FETCH_MODES = ['static', 'rendered'];
+const DEFAULT_FIELDS = ['capital', 'industry', 'type'];
+const RENDER_OPTIONS = ['waitTime', 'waitForSelector', 'mobile'];
+
+// Weekly sources run on this day (0 = Sunday), Hong Kong time
+const WEEKLY_DAY = 1;
+const HKT_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Check a source entry's own fields (not its module)
+ * @param {Object} source
+ * @returns {string[]} - Problems, empty if the entry is valid
+ */
+function checkSourceFields(source) {
+  const problems = [];
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!source.id || !/^[a-z0-9-]+$/.test(source.id)) {
+    problems.push('id must be lowercase letters, digits and dashes');
+  }
+  if (!source.name || typeof source.name !== 'string') {
+    problems.push('name is required');
+  }
+  if (!source.module || typeof source.module !== 'string') {
+    problems.push('module is required');
+  }
+  if (typeof source.enabled !== 'boolean') {
+    problems.push('enabled must be true or false');
+  }
+  if (!SCHEDULES.includes(source.schedule)) {
+    problems.push(`schedule must be one of ${SCHEDULES.join(', ')}`);
+  }
+  if (!FETCH_MODES.includes(source.fetch)) {
+    problems.push(`fetch must be one of ${FETCH_MODES.join(', ')}`);
+  }
+
+  if (source.render !== undefined) {
+    if (!isPlainObject(source.render)) {
+      problems.push('render must be an object');
+    } else {
+      Object.keys(source.render)
+        .filter(key => !RENDER_OPTIONS.includes(key))
+        .forEach(key => problems.push(`render.${key} is not one of ${RENDER_OPTIONS.join(', ')}`));
+      if (source.fetch !== 'rendered') {
+        problems.push('render is only used with fetch "rendered"');
+      }
+    }
+  }
+
+  if (!Array.isArray(source.urls) || source.urls.length === 0) {
+    problems.push('urls must list at least one URL');
+  } else {
+    source.urls.forEach(url => {
+      try {
+        if (!/^https?:$/.test(new URL(url).protocol)) throw new Error();
+      } catch (error) {
+        problems.push(`not an http(s) URL: ${url}`);
+      }
+    });
+  }
+
+  if (source.defaults !== undefined) {
+    if (!isPlainObject(source.defaults)) {
+      problems.push('defaults must be an object');
+    } else {
+      Object.keys(source.defaults)
+        .filter(key => !DEFAULT_FIELDS.includes(key))
+        .forEach(key => problems.push(`defaults.${key} is not one of ${DEFAULT_FIELDS.join(', ')}`));
+    }
+  }
+
+  if (source.options !== undefined && !isPlainObject(source.options)) {
+    problems.push('options must be an object');
+  }
+
+  return problems;
+}
+
+/**
+ * Load a source's module and check it implements the scraper interface
+ * @param {Object} source
+ * @returns {{scraper: Object | null, problems: string[]}}
+ */
+function loadScraper(source) {
+  const file = path.join(__dirname, `${source.module}.js`);
+  if (!fs.existsSync(file)) {
+    return { scraper: null, problems: [`module not found: src/scrapers/${source.module}.js`] };
+  }
+
+  const scraper = require(file);
+  const problems = [];
+  if (typeof scraper.scrape !== 'function') {
+    problems.push(`${source.module}.js does not export scrape(source)`);
+  }
+  if (typeof scraper.parse !== 'function') {
+    problems.push(`${source.module}.js does not export parse(html, source, url)`);
+  }
+  if (scraper.validateSource !== undefined) {
+    if (typeof scraper.validateSource !== 'function') {
+      problems.push(`${source.module}.js exports validateSource, but not as a function`);
+    } else {
+      problems.push(...scraper.validateSource(source));
+    }
+  }
+  return { scraper, problems };
+}
+
+/**
+ * Load and validate every source in the config file
+ * Throws one error listing all problems, so a bad config fails before any fetching.
+ * @param {string} [file] - Defaults to src/scrapers/sources.json
+ * @returns {{source: Object, scraper: Object}[]} - In config order
+ */
+function loadSources(file = SOURCES_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read scraper sources from ${file}: ${error.message}`);
+  }
+  if (!config || !Array.isArray(config.sources)) {
+    throw new Error(`${file} must contain a "sources" array`);
+  }
+
+  const problems = [];
+  const seenIds = new Set();
+  const entries = [];
+
+  config.sources.forEach((source, index) => {
+    const label = source && source.id ? source.id : `sources[${index}]`;
+    const fieldProblems = checkSourceFields(source || {});
+    if (source && source.id && seenIds.has(source.id)) {
+      fieldProblems.push('id is used by another source');
+    }
+    if (source && source.id) seenIds.add(source.id);
+
+    // Only load the module once the entry itself is sound
+    const { scraper, problems: moduleProblems } = fieldProblems.length > 0
+      ? { scraper: null, problems: [] }
+      : loadScraper(source);
+
+    [...fieldProblems, ...moduleProblems].forEach(p => problems.push(`${label}: ${p}`));
+    if (scraper) entries.push({ source, scraper });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid scraper sources (${path.basename(file)}):\n  ${problems.join('\n  ')}`);
+  }
+
+  return entries;
+}
+
+/**
+ * Check whether a source is due on a given day
+ * @param {Object} source
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isDue(source, now) {
+  if (source.schedule === 'weekly') {
+    return new Date(now.getTime() + HKT_OFFSET_MS).getUTCDay() === WEEKLY_DAY;
+  }
+  return source.schedule === 'daily';
+}
+
+/**
+ * Pick the sources to run
+ * --only runs exactly the listed sources (even disabled or manual ones);
+ * otherwise enabled sources that are due run, minus --exclude.
+ * @param {{source: Object, scraper: Object}[]} entries - From loadSources()
+ * @param {Object} [options]
+ * @param {string[]} [options.only] - Source ids
+ * @param {string[]} [options.exclude] - Source ids
+ * @param {boolean} [options.all] - Ignore weekly schedules (still skips disabled and manual sources)
+ * @param {Date} [options.now]
+ * @returns {{selected: Object[], skipped: {source: Object, reason: string}[]}}
+ */
+function selectSources(entries, options = {}) {
+  const { only = [], exclude = [], all = false, now = new Date() } = options;
+
+  const knownIds = new Set(entries.map(e => e.source.id));
+  const unknown = [...only, ...exclude].filter(id => !knownIds.has(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scraper source: ${unknown.join(', ')} (known: ${[...knownIds].join(', ')})`);
+  }
+
+  const selected = [];
+  const skipped = [];
+  entries.forEach(entry => {
+    const { source } = entry;
+    let reason = null;
+    if (only.length > 0) {
+      if (!only.includes(source.id)) reason = 'not in --only';
+    } else if (!source.enabled) {
+      reason = 'disabled';
+    } else if (source.schedule === 'manual') {
+      reason = 'manual; run with --only';
+    } else if (!all && !isDue(source, now)) {
+      reason = `not due (${source.schedule})`;
+    }
+    if (!reason && exclude.includes(source.id)) reason = 'excluded';
+
+    if (reason) {
+      skipped.push({ source, reason });
+    } else {
+      selected.push(entry);
+    }
+  });
+
+  return { selected, skipped };
+}
+
+/**
+ * Fill a record's empty capital / industry / type from the source defaults
+ * @param {Object} record - From createDonationRecord()
+ * @param {Object} source
+ * @returns {Object}
+ */
+function applySourceDefaults(record, source) {
+  const defaults = source.defaults || {};
+  const filled = { ...record };
+  DEFAULT_FIELDS.forEach(field => {
+    if (!filled[field] && defaults[field]) filled[field] = defaults[field];
+  });
+  return filled;
+}
+
+module.exports = {
+  SOURCES_FILE,
+  SCHEDULES,
+  FETCH_MODES,
+  loadSources,
+  selectSources,
+  isDue,
+  applySourceDefaults,
+};
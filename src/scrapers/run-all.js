@@ -1,136 +1,340 @@
 /**
  * Run All Scrapers
  * 
- * Main entry point to run all scrapers and aggregate results.
- * Clears the auto-update tab, runs all scrapers, then writes all new entries
- * followed by logs at the bottom.
+ * Main entry point to run the scrapers declared in sources.json and aggregate results.
+ * Runs the selected scrapers, then writes all new entries to the auto-update tab,
+ * followed by amount updates for donors already in 捐款 and logs at the bottom.
+ * 
+ * Usage:
+ *   node src/scrapers/run-all.js                       # enabled sources that are due
+ *   node src/scrapers/run-all.js --only weibo,am730    # just these (even if disabled or manual)
+ *   node src/scrapers/run-all.js --exclude redcross-china
+ *   node src/scrapers/run-all.js --all                 # also weekly sources that aren't due today
+ *   node src/scrapers/run-all.js --concurrency 1       # one source at a time
+ *   node src/scrapers/run-all.js --list                # show sources and exit
+ *   node src/scrapers/run-all.js --cache record        # save every page to .cache/scrapers/
+ *   node src/scrapers/run-all.js --cache replay        # parse saved pages offline (implies --dry-run)
+ *   node src/scrapers/run-all.js --dry-run             # don't read or write the sheet
+ *
+ * Exits non-zero if a source failed or is Degraded (see health.js). Each run
+ * also writes a JSON report to scrape-runs/ (see run-report.js).
  */
 
+const path = require('path');
 const { fetchExistingDonations, writeAllToAutoUpdateTab } = require('./sheet-writer');
 const { findMatch } = require('./entity-matcher');
-const { recordToRow, closeBrowser } = require('./base');
+const { closeBrowser, scheduler } = require('./base');
+const { loadSources, selectSources, applySourceDefaults } = require('./registry');
+const { mapWithConcurrency } = require('./scheduler');
+const { configureCache, getCacheSettings } = require('./http-cache');
+const { STABLE_RUNS, measure, findAnomalies, acceptsNewBaseline, loadHealthHistory, recordRun, saveHealthHistory } = require('./health');
+const { buildRunReport, writeRunReport } = require('./run-report');
+const { SEEN_STATUS, classifyRecords, markSeen, markRejected, loadSeenState, saveSeenState } = require('./seen-state');
+const { compareAmounts } = require('./amount-updates');
 
-// Import all scrapers
-const poleungkuk = require('./poleungkuk');
-const stheadline = require('./stheadline');
-const redcrossChina = require('./redcross-china');
-const whaleagent = require('./whaleagent');
-const weibo = require('./weibo');
-const am730 = require('./am730');
-const ulifestyle = require('./ulifestyle');
+// Sources scraped at once; requests to each host are limited separately (see scheduler.js)
+const SOURCE_CONCURRENCY = 4;
 
-const ALL_SCRAPERS = [
-  { name: 'Po Leung Kuk', module: poleungkuk },
-  { name: 'Sing Tao Headlines', module: stheadline },
-  { name: 'China Red Cross', module: redcrossChina },
-  { name: 'WhaleAgent', module: whaleagent },
-  { name: 'Weibo', module: weibo },
-  { name: 'AM730', module: am730 },
-  { name: 'ULifestyle', module: ulifestyle },
-];
+/**
+ * Read every value of a flag ("--cache record" or "--cache=record")
+ * @param {string[]} argv
+ * @param {string} name - e.g. "--cache"
+ * @returns {string[]}
+ */
+function getArgValues(argv, name) {
+  const values = [];
+  argv.forEach((arg, i) => {
+    if (arg === name && argv[i + 1]) values.push(argv[i + 1]);
+    else if (arg.startsWith(`${name}=`)) values.push(arg.slice(name.length + 1));
+  });
+  return values;
+}
 
 /**
- * Run all scrapers sequentially, aggregate results, and write once
+ * Read a comma-separated list flag ("--only a,b" or "--only=a,b")
+ * @param {string[]} argv
+ * @param {string} name - e.g. "--only"
+ * @returns {string[]}
  */
-async function runAll() {
-  console.log('='.repeat(60));
-  console.log('Tai Po Fire Donations Watcher - Auto-Scraper');
-  console.log('='.repeat(60));
-  console.log(`Time: ${new Date().toISOString()}`);
-  console.log(`Scrapers: ${ALL_SCRAPERS.length}`);
-  console.log('');
+function getListArg(argv, name) {
+  return getArgValues(argv, name).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Print the configured sources and whether they would run
+ * @param {Object} options - As for runAll()
+ */
+function listSources(options = {}) {
+  const { selected, skipped } = selectSources(loadSources(), options);
+  const reasons = new Map(skipped.map(s => [s.source.id, s.reason]));
+  [...selected.map(e => e.source), ...skipped.map(s => s.source)]
+    .forEach(source => {
+      const reason = reasons.get(source.id);
+      console.log(`${reason ? '-' : '✓'} ${source.id.padEnd(16)} ${source.schedule.padEnd(7)} ${source.fetch.padEnd(9)} ${source.name}${reason ? ` (${reason})` : ''}`);
+    });
+}
+
+/**
+ * Scrape one source and compare its records with the sheet
+ * @param {{source: Object, scraper: Object}} entry - From loadSources()
+ * @param {Map} existingDonations - From fetchExistingDonations()
+ * @param {Object[]} history - The source's earlier runs, from loadHealthHistory()
+ * @param {Object} seenState - From loadSeenState()
+ * @returns {Promise<{newDonations: Object[], amountUpdates: Object[], log: Object, result: Object, health: Object, records: Object[], error: Error}>}
+ *   newDonations carry sourceId and seen (from classifyRecords()), including donations
+ *   rejected in review, which the write leaves out unless their row's Review was
+ *   set back; amountUpdates are matched donations whose amount differs
+ *   from 捐款, with sourceId, matchedWith and amountUpdate (from compareAmounts());
+ *   records are the scraped records with their findMatch() result as `match`,
+ *   and `seen` if not matched or `amountUpdate` if matched
+ */
+async function runSource({ source, scraper }, existingDonations, history, seenState) {
+  console.log(`\n${'─'.repeat(50)}`);
+  console.log(`Running: ${source.name}`);
+  console.log('─'.repeat(50));
   
-  // Fetch existing donations once (for comparison across all scrapers)
-  console.log('Fetching existing donations from main sheet...');
-  const existingDonations = await fetchExistingDonations();
-  console.log(`  Found ${existingDonations.size} existing entries\n`);
-  
-  // Collect all new donations and logs
-  const allNewDonations = [];
-  const allLogs = [];
-  const results = [];
-  
-  for (const scraper of ALL_SCRAPERS) {
-    console.log(`\n${'─'.repeat(50)}`);
-    console.log(`Running: ${scraper.name}`);
-    console.log('─'.repeat(50));
+  const startTime = Date.now();
+  const timing = () => ({ durationMs: Date.now() - startTime, ...scheduler.getStats(source.id) });
+  
+  try {
+    // Scrape data, filling capital / industry / type from the source defaults
+    const scrapedDonations = (await scraper.scrape(source))
+      .map(donation => applySourceDefaults(donation, source));
     
-    try {
-      // Scrape data
-      const scrapedDonations = await scraper.module.scrape();
-      
-      // Compare with existing
-      const newDonations = [];
-      const matchedDonations = [];
+    // Compare with existing
+    const newDonations = [];
+    const matchedDonations = [];
+    const amountUpdates = [];
+    const records = [];
+    let rejectedCount = 0;
+    // A donor listed with several amounts is several donations
+    const seenResults = classifyRecords(seenState, source.id, scrapedDonations);
+    
+    for (const [i, donation] of scrapedDonations.entries()) {
+      const matchResult = findMatch(donation.entity, existingDonations);
       
-      for (const donation of scrapedDonations) {
-        const matchResult = findMatch(donation.entity, existingDonations);
-        
-        if (matchResult.matched) {
-          matchedDonations.push({
-            ...donation,
-            matchedWith: matchResult.matchedEntity,
-            matchReason: matchResult.reason,
-          });
-        } else {
-          newDonations.push(donation);
+      if (matchResult.matched) {
+        // Already in 捐款, but maybe with another amount (a top-up, a correction)
+        const existing = existingDonations.get(matchResult.matchedEntity.trim().toLowerCase());
+        const amountUpdate = existing ? compareAmounts(donation, existing.rows || []) : null;
+        records.push({ ...donation, match: matchResult, amountUpdate });
+        matchedDonations.push({
+          ...donation,
+          matchedWith: matchResult.matchedEntity,
+          matchReason: matchResult.reason,
+        });
+        if (amountUpdate) {
+          amountUpdates.push({ ...donation, sourceId: source.id, matchedWith: matchResult.matchedEntity, amountUpdate });
         }
+      } else {
+        // Not in 捐款: has an editor already seen it in 自動更新列表?
+        const seen = seenResults[i];
+        records.push({ ...donation, match: matchResult, seen });
+        newDonations.push({ ...donation, sourceId: source.id, seen });
+        if (seen.status === SEEN_STATUS.REJECTED) rejectedCount++;
       }
-      
-      console.log(`  Found ${scrapedDonations.length} total, ${newDonations.length} NEW, ${matchedDonations.length} already exist`);
-      
-      // Log match details
-      if (matchedDonations.length > 0 && matchedDonations.length <= 15) {
-        console.log('  Matched entries:');
-        for (const m of matchedDonations) {
-          console.log(`    "${m.entity}" → "${m.matchedWith}" (${m.matchReason})`);
-        }
-      } else if (matchedDonations.length > 15) {
-        console.log(`  Matched entries: (showing first 15 of ${matchedDonations.length})`);
-        for (const m of matchedDonations.slice(0, 15)) {
-          console.log(`    "${m.entity}" → "${m.matchedWith}" (${m.matchReason})`);
-        }
+    }
+    
+    const seenCounts = {
+      new: newDonations.filter(d => d.seen.status === SEEN_STATUS.NEW).length,
+      changed: newDonations.filter(d => d.seen.status === SEEN_STATUS.CHANGED).length,
+      seen: newDonations.filter(d => d.seen.status === SEEN_STATUS.SEEN).length,
+      rejected: rejectedCount,
+    };
+    // Rejected ones are only passed on for the write to check their rows
+    const newCount = newDonations.length - rejectedCount;
+    console.log(`  ${source.name}: found ${scrapedDonations.length} total, ${newCount} NEW (${seenCounts.new} not seen before, ${seenCounts.changed} changed amount), ${matchedDonations.length} already exist (${amountUpdates.length} with another amount)${rejectedCount > 0 ? `, ${rejectedCount} rejected in review` : ''}`);
+    
+    // Compare with earlier runs: zero or far fewer rows usually means the site changed
+    const metrics = measure(scrapedDonations);
+    const anomalies = findAnomalies(metrics, history);
+    const status = anomalies.length > 0 ? 'Degraded' : 'Success';
+    anomalies.forEach(a => console.log(`  ⚠ Degraded: ${a}`));
+    if (acceptsNewBaseline(metrics, history)) {
+      console.log(`  ✓ Output steady for ${STABLE_RUNS} runs since it degraded, taken as the new baseline`);
+    }
+    
+    // Log match details
+    if (matchedDonations.length > 0 && matchedDonations.length <= 15) {
+      console.log('  Matched entries:');
+      for (const m of matchedDonations) {
+        console.log(`    "${m.entity}" → "${m.matchedWith}" (${m.matchReason})`);
       }
-      
-      // Add to aggregated lists
-      allNewDonations.push(...newDonations);
-      allLogs.push({
-        sourceName: scraper.name,
-        sourceUrl: scraper.module.SOURCE_URL,
+    } else if (matchedDonations.length > 15) {
+      console.log(`  Matched entries: (showing first 15 of ${matchedDonations.length})`);
+      for (const m of matchedDonations.slice(0, 15)) {
+        console.log(`    "${m.entity}" → "${m.matchedWith}" (${m.matchReason})`);
+      }
+    }
+    if (amountUpdates.length > 0) {
+      console.log('  Amount updates:');
+      for (const u of amountUpdates) {
+        console.log(`    "${u.entity}" → "${u.matchedWith}": ${u.amountUpdate.change} (scraped ${u.amountUpdate.scraped.totalValue}, 捐款 ${u.amountUpdate.existing.totalValue === null ? 'none' : u.amountUpdate.existing.totalValue})`);
+      }
+    }
+    
+    return {
+      newDonations,
+      amountUpdates,
+      log: {
+        sourceName: source.name,
+        sourceUrl: source.urls.join(' '),
         totalScraped: scrapedDonations.length,
-        newCount: newDonations.length,
+        newCount,
         matchedCount: matchedDonations.length,
-        status: 'Success',
-      });
-      
-      results.push({
-        name: scraper.name,
+        amountUpdateCount: amountUpdates.length,
+        seenCounts,
+        status,
+        anomalies,
+      },
+      result: {
+        name: source.name,
         success: true,
-        newCount: newDonations.length,
+        degraded: anomalies.length > 0,
+        anomalies,
+        newCount,
         matchedCount: matchedDonations.length,
-      });
-      
-    } catch (error) {
-      console.error(`  Failed: ${error.message}`);
+        amountUpdateCount: amountUpdates.length,
+        ...timing(),
+      },
+      health: { status, ...metrics, anomalies },
+      records,
+      error: null,
+    };
+    
+  } catch (error) {
+    // The page loaded but the parser didn't find its markup: the site changed
+    if (error.code === 'EMARKUP') {
+      const anomalies = [`selector not found: ${error.message}`];
+      console.log(`  ⚠ Degraded: ${anomalies[0]}`);
       
-      allLogs.push({
-        sourceName: scraper.name,
-        sourceUrl: scraper.module.SOURCE_URL,
+      return {
+        newDonations: [],
+        amountUpdates: [],
+        log: {
+          sourceName: source.name,
+          sourceUrl: source.urls.join(' '),
+          totalScraped: 0,
+          newCount: 0,
+          matchedCount: 0,
+          status: 'Degraded',
+          anomalies,
+        },
+        result: {
+          name: source.name,
+          success: true,
+          degraded: true,
+          anomalies,
+          newCount: 0,
+          matchedCount: 0,
+          ...timing(),
+        },
+        health: { status: 'Degraded', ...measure([]), anomalies },
+        records: [],
+        error,
+      };
+    }
+    
+    console.error(`  ${source.name} failed: ${error.message}`);
+    
+    return {
+      newDonations: [],
+      amountUpdates: [],
+      log: {
+        sourceName: source.name,
+        sourceUrl: source.urls.join(' '),
         totalScraped: 0,
         newCount: 0,
         matchedCount: 0,
         status: 'Error',
         error: error.message,
-      });
-      
-      results.push({
-        name: scraper.name,
+      },
+      result: {
+        name: source.name,
         success: false,
         error: error.message,
-      });
-    }
+        ...timing(),
+      },
+      health: { status: 'Error', ...measure([]), anomalies: [], error: error.message },
+      records: [],
+      error,
+    };
+  }
+}
+
+/**
+ * Describe a source's timing for the summary, e.g. "4.2s, 3 requests, 1 retry"
+ * @param {Object} result
+ * @returns {string}
+ */
+function formatTiming(result) {
+  const parts = [`${(result.durationMs / 1000).toFixed(1)}s`, `${result.requests} request${result.requests === 1 ? '' : 's'}`];
+  if (result.retries > 0) parts.push(`${result.retries} retr${result.retries === 1 ? 'y' : 'ies'}`);
+  return parts.join(', ');
+}
+
+/**
+ * Run the selected scrapers, aggregate results, and write once
+ * @param {Object} [options]
+ * @param {string[]} [options.only] - Source ids to run
+ * @param {string[]} [options.exclude] - Source ids to skip
+ * @param {boolean} [options.all] - Ignore schedules
+ * @param {number} [options.concurrency] - Sources scraped at once (default: SOURCE_CONCURRENCY)
+ * @param {boolean} [options.dryRun] - Compare against nothing and write nothing to the sheet
+ */
+async function runAll(options = {}) {
+  const runStartTime = Date.now();
+  const concurrency = options.concurrency || SOURCE_CONCURRENCY;
+  const cache = getCacheSettings();
+  // Replay is for working offline, so it leaves the sheet alone too
+  const dryRun = options.dryRun || cache.mode === 'replay';
+  // Fails here, before any fetching, if sources.json or a module is invalid
+  const { selected, skipped } = selectSources(loadSources(), options);
+  
+  console.log('='.repeat(60));
+  console.log('Tai Po Fire Donations Watcher - Auto-Scraper');
+  console.log('='.repeat(60));
+  console.log(`Time: ${new Date().toISOString()}`);
+  console.log(`Scrapers: ${selected.length} (${selected.map(e => e.source.id).join(', ') || 'none'})`);
+  if (skipped.length > 0) {
+    console.log(`Skipped: ${skipped.map(s => `${s.source.id} (${s.reason})`).join(', ')}`);
+  }
+  if (cache.mode !== 'off') {
+    console.log(`Page cache: ${cache.mode} (${cache.dir})`);
+  }
+  console.log('');
+  
+  // Fetch existing donations once (for comparison across all scrapers)
+  let existingDonations = new Map();
+  if (dryRun) {
+    console.log('Dry run: not reading the main sheet, every entry counts as new\n');
+  } else {
+    console.log('Fetching existing donations from main sheet...');
+    existingDonations = await fetchExistingDonations();
+    console.log(`  Found ${existingDonations.size} existing entries\n`);
+  }
+  
+  // Run sources concurrently; the shared scheduler keeps per-host limits
+  const history = loadHealthHistory();
+  const seenState = loadSeenState();
+  const startTime = Date.now();
+  const outcomes = await mapWithConcurrency(selected, concurrency,
+    entry => runSource(entry, existingDonations, history[entry.source.id] || [], seenState));
+  const elapsedMs = Date.now() - startTime;
+  
+  // Replayed pages say nothing about the sites today
+  if (cache.mode !== 'replay') {
+    const at = new Date(startTime).toISOString();
+    selected.forEach((entry, i) => recordRun(history, entry.source.id, { at, ...outcomes[i].health }));
+    saveHealthHistory(history);
   }
   
+  // Collect all new donations and logs, in sources.json order
+  const allNewDonations = outcomes.flatMap(o => o.newDonations);
+  const allAmountUpdates = outcomes.flatMap(o => o.amountUpdates);
+  const allLogs = outcomes.map(o => o.log);
+  const results = outcomes.map(o => o.result);
+  
   // Close the browser if it was used
   console.log('\n' + '─'.repeat(50));
   console.log('Cleaning up...');
@@ -138,11 +342,23 @@ async function runAll() {
   await closeBrowser();
   
   // Write all results to sheet at once
-  console.log('\n' + '─'.repeat(50));
-  console.log('Writing to 自動更新列表...');
-  console.log('─'.repeat(50));
-  
-  await writeAllToAutoUpdateTab(allNewDonations, allLogs);
+  if (dryRun) {
+    console.log(`\nDry run: not writing ${allNewDonations.length} entries and ${allAmountUpdates.length} amount updates to 自動更新列表`);
+  } else {
+    console.log('\n' + '─'.repeat(50));
+    console.log('Writing to 自動更新列表...');
+    console.log('─'.repeat(50));
+    
+    const runTime = new Date(runStartTime).toISOString();
+    const { rejected, reviewedRows } = await writeAllToAutoUpdateTab(allNewDonations, allLogs, runTime, allAmountUpdates);
+    
+    // Only once they're in the tab: a failed write surfaces them again next run
+    allNewDonations.forEach(d => markSeen(seenState, d.sourceId, d, runTime, d.seen));
+    // Follow the Review column; rows rejected in the tab stay rejected even if an editor later removes them
+    reviewedRows.forEach(r => markRejected(seenState, r.sourceId, r.entity, r.amount, runTime, r.rejected));
+    rejected.forEach(r => markRejected(seenState, r.sourceId, r.entity, r.amount, runTime));
+    saveSeenState(seenState);
+  }
   
   // Print summary
   console.log('\n' + '='.repeat(60));
@@ -151,47 +367,108 @@ async function runAll() {
   
   let totalNew = 0;
   let totalMatched = 0;
+  let totalAmountUpdates = 0;
   let successCount = 0;
+  let degradedCount = 0;
   let failCount = 0;
   
   for (const result of results) {
-    const status = result.success ? '✓' : '✗';
+    const status = !result.success ? '✗' : result.degraded ? '⚠' : '✓';
     const newCount = result.newCount || 0;
     const matchedCount = result.matchedCount || 0;
+    const amountUpdateCount = result.amountUpdateCount || 0;
     
-    console.log(`${status} ${result.name}: ${newCount} new, ${matchedCount} matched${result.error ? ` (Error: ${result.error})` : ''}`);
-    
-    if (result.success) {
+    console.log(`${status} ${result.name}: ${newCount} new, ${matchedCount} matched${amountUpdateCount > 0 ? ` (${amountUpdateCount} with another amount)` : ''} (${formatTiming(result)})${result.error ? ` (Error: ${result.error})` : ''}`);
+    if (result.degraded) {
+      result.anomalies.forEach(a => console.log(`    Degraded: ${a}`));
+      degradedCount++;
+      totalNew += newCount;
+      totalMatched += matchedCount;
+      totalAmountUpdates += amountUpdateCount;
+    } else if (result.success) {
       successCount++;
       totalNew += newCount;
       totalMatched += matchedCount;
+      totalAmountUpdates += amountUpdateCount;
     } else {
       failCount++;
     }
   }
   
   console.log('─'.repeat(60));
-  console.log(`Total: ${totalNew} new entries, ${totalMatched} already exist`);
-  console.log(`Scrapers: ${successCount} succeeded, ${failCount} failed`);
+  console.log(`Total: ${totalNew} new entries, ${totalMatched} already exist, ${totalAmountUpdates} of them with another amount`);
+  console.log(`Scrapers: ${successCount} succeeded, ${degradedCount} degraded, ${failCount} failed in ${(elapsedMs / 1000).toFixed(1)}s (${concurrency} at a time)`);
+  
+  const summary = {
+    totalNew,
+    totalMatched,
+    totalAmountUpdates,
+    successCount,
+    degradedCount,
+    failCount,
+    elapsedMs,
+  };
+  
+  // A report that can't be written shouldn't fail a run that otherwise worked
+  try {
+    const reportFile = writeRunReport(buildRunReport({
+      startTime: runStartTime,
+      endTime: Date.now(),
+      options: {
+        only: options.only || [],
+        exclude: options.exclude || [],
+        all: Boolean(options.all),
+        concurrency,
+        dryRun,
+        cache: cache.mode,
+      },
+      skipped,
+      selected,
+      outcomes,
+      summary,
+    }));
+    console.log(`Run report: ${path.relative(process.cwd(), reportFile)}`);
+  } catch (error) {
+    console.log(`⚠ Could not write the run report: ${error.message}`);
+  }
   console.log('='.repeat(60));
   
   return {
-    success: failCount === 0,
+    success: failCount === 0 && degradedCount === 0,
     results,
-    summary: {
-      totalNew,
-      totalMatched,
-      successCount,
-      failCount,
-    },
+    summary,
   };
 }
 
 // Allow running directly
 if (require.main === module) {
-  const clearFirst = process.argv.includes('--clear');
+  const argv = process.argv.slice(2);
+  const options = {
+    only: getListArg(argv, '--only'),
+    exclude: getListArg(argv, '--exclude'),
+    all: argv.includes('--all'),
+    concurrency: parseInt(getArgValues(argv, '--concurrency')[0], 10) || undefined,
+    dryRun: argv.includes('--dry-run'),
+  };
+  
+  try {
+    configureCache({ mode: getArgValues(argv, '--cache')[0], dir: getArgValues(argv, '--cache-dir')[0] });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  
+  if (argv.includes('--list')) {
+    try {
+      listSources(options);
+      process.exit(0);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+  }
   
-  runAll({ clearFirst })
+  runAll(options)
     .then(result => {
       console.log('\nDone!');
       process.exit(result.success ? 0 : 1);
@@ -202,5 +479,5 @@ if (require.main === module) {
     });
 }
 
-module.exports = { runAll, ALL_SCRAPERS };
+module.exports = { runAll };
 
@@ -0,0 +1,264 @@
+/**
+ * Run Reports
+ *
+ * Each run-all.js run writes a JSON report to scrape-runs/ (SCRAPE_RUNS_DIR):
+ * start and end time, each source's status and timing, every scraped record
+ * with the match decision from findMatch() (and, if matched, whether its amount
+ * differs from 捐款), and errors with their stack.
+ * scrape-runs/index.html is rebuilt after every run to browse the last
+ * MAX_RUNS runs without opening the sheet.
+ *
+ * Usage:
+ *   node src/scrapers/run-report.js    # rebuild index.html from the saved reports
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RUNS_DIR = process.env.SCRAPE_RUNS_DIR || path.join(__dirname, '..', '..', 'scrape-runs');
+const MAX_RUNS = 30;
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {*} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+  if (str === null || str === undefined) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Keep what's useful from an error; Error objects don't survive JSON.stringify()
+ * @param {Error} error
+ * @returns {{message: string, code: string | null, statusCode: number | null, stack: string} | null}
+ */
+function serializeError(error) {
+  if (!error) return null;
+  return {
+    message: error.message,
+    code: error.code || null,
+    statusCode: error.statusCode || null,
+    stack: error.stack || '',
+  };
+}
+
+/**
+ * Build the report of a run
+ * @param {Object} run
+ * @param {number} run.startTime - ms
+ * @param {number} run.endTime - ms
+ * @param {Object} run.options - {only, exclude, all, concurrency, dryRun, cache}
+ * @param {{source: Object, reason: string}[]} run.skipped - From selectSources()
+ * @param {{source: Object}[]} run.selected - From selectSources()
+ * @param {Object[]} run.outcomes - From runSource(), in the same order as selected
+ * @param {Object} run.summary - As returned by runAll()
+ * @returns {Object}
+ */
+function buildRunReport({ startTime, endTime, options, skipped, selected, outcomes, summary }) {
+  const startedAt = new Date(startTime).toISOString();
+  return {
+    // Sorts by time and is safe in file names
+    id: startedAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-'),
+    startedAt,
+    finishedAt: new Date(endTime).toISOString(),
+    durationMs: endTime - startTime,
+    options,
+    summary,
+    skipped: skipped.map(s => ({ id: s.source.id, reason: s.reason })),
+    sources: selected.map(({ source }, i) => {
+      const { result, log, records, error } = outcomes[i];
+      return {
+        id: source.id,
+        name: source.name,
+        urls: source.urls,
+        status: log.status,
+        durationMs: result.durationMs,
+        requests: result.requests,
+        retries: result.retries,
+        failures: result.failures,
+        scraped: log.totalScraped,
+        newCount: log.newCount,
+        matchedCount: log.matchedCount,
+        amountUpdateCount: log.amountUpdateCount || 0,
+        anomalies: log.anomalies || [],
+        error: serializeError(error),
+        records,
+      };
+    }),
+  };
+}
+
+/**
+ * Read the saved reports, newest first
+ * @param {string} [dir]
+ * @returns {Object[]}
+ */
+function loadRunReports(dir = RUNS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => /^\d{4}-.*\.json$/.test(file))
+    .sort()
+    .reverse()
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+}
+
+/**
+ * Render one source of a run
+ * @param {Object} source - From buildRunReport()
+ * @returns {string}
+ */
+function renderSource(source) {
+  const timing = `${(source.durationMs / 1000).toFixed(1)}s, ${source.requests} requests${source.retries ? `, ${source.retries} retries` : ''}`;
+  const anomalies = source.anomalies.map(a => `<li>${escapeHtml(a)}</li>`).join('');
+  const error = source.error
+    ? `<pre class="error">${escapeHtml(source.error.stack || source.error.message)}</pre>`
+    : '';
+
+  const rows = source.records.map(r => {
+    const link = r.primarySource || r.secondarySource;
+    const amountUpdate = r.amountUpdate
+      ? ` <strong>${escapeHtml(r.amountUpdate.change)}</strong> <span class="code">捐款 ${r.amountUpdate.existing.totalValue !== null ? r.amountUpdate.existing.totalValue.toLocaleString('en-US') : 'none'}</span>`
+      : '';
+    const decision = r.match.matched
+      ? `Matched <em>${escapeHtml(r.match.matchedEntity)}</em> <span class="code">${escapeHtml(r.match.reason)}</span>${amountUpdate}`
+      : `<strong>${escapeHtml(r.seen ? r.seen.status : 'New')}</strong>${r.seen && r.seen.previousAmount ? ` <span class="code">was ${r.seen.previousAmount.toLocaleString('en-US')}</span>` : ''}`;
+    return `
+          <tr>
+            <td>${escapeHtml(r.entity)}</td>
+            <td class="num">${r.totalValue !== null ? r.totalValue.toLocaleString('en-US') : ''}${r.originalCurrency && r.originalAmount ? ` <span class="code">(${r.originalAmount.toLocaleString('en-US')} ${r.originalCurrency})</span>` : ''}</td>
+            <td>${escapeHtml([r.capital, r.industry, r.type].filter(Boolean).join(' / '))}</td>
+            <td>${escapeHtml(r.receiver)}</td>
+            <td>${decision}</td>
+            <td>${link ? `<a href="${escapeHtml(link)}" target="_blank" rel="noopener">link</a>` : ''}</td>
+          </tr>`;
+  }).join('');
+
+  const table = source.records.length > 0 ? `
+        <table>
+          <thead><tr><th>Entity</th><th>Amount (HKD)</th><th>Capital / Industry / Type</th><th>Receiver</th><th>Decision</th><th>Source</th></tr></thead>
+          <tbody>${rows}
+          </tbody>
+        </table>` : '';
+
+  return `
+      <h3 class="${source.status.toLowerCase()}">${escapeHtml(source.name)}: ${source.status}</h3>
+      <p>${source.scraped} scraped, ${source.newCount} new, ${source.matchedCount} matched${source.amountUpdateCount ? ` (${source.amountUpdateCount} with another amount)` : ''} (${timing})<br>
+      ${source.urls.map(url => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(url)}</a>`).join('<br>')}</p>
+      ${anomalies ? `<ul class="degraded">${anomalies}</ul>` : ''}${error}${table}`;
+}
+
+/**
+ * Render the viewer page
+ * @param {Object[]} reports - Newest first
+ * @returns {string}
+ */
+function renderViewer(reports) {
+  const statusCounts = report => {
+    const count = status => report.sources.filter(s => s.status === status).length;
+    return `${count('Success')} ✓ ${count('Degraded')} ⚠ ${count('Error')} ✗`;
+  };
+
+  const index = reports.map(report => `
+      <tr>
+        <td><a href="#run-${report.id}">${escapeHtml(report.startedAt)}</a></td>
+        <td>${(report.durationMs / 1000).toFixed(1)}s</td>
+        <td>${statusCounts(report)}</td>
+        <td class="num">${report.summary.totalNew}</td>
+        <td class="num">${report.summary.totalMatched}</td>
+        <td>${report.options.dryRun ? 'dry run' : ''}${report.options.cache !== 'off' ? ` cache: ${escapeHtml(report.options.cache)}` : ''}</td>
+      </tr>`).join('');
+
+  const runs = reports.map(report => `
+    <details id="run-${report.id}">
+      <summary>${escapeHtml(report.startedAt)}: ${statusCounts(report)}, ${report.summary.totalNew} new</summary>
+      <p>Finished ${escapeHtml(report.finishedAt)}.${report.skipped.length > 0 ? ` Skipped: ${escapeHtml(report.skipped.map(s => `${s.id} (${s.reason})`).join(', '))}.` : ''}</p>
+      ${report.sources.map(renderSource).join('')}
+    </details>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>Scrape runs</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 20px; color: #333; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 20px; font-size: 0.9em; }
+    th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f8f9fa; }
+    td.num { text-align: right; white-space: nowrap; }
+    details { border-top: 1px solid #ddd; padding: 8px 0; }
+    summary { cursor: pointer; font-weight: 600; }
+    pre.error { background: #fdf2f2; padding: 8px; overflow-x: auto; font-size: 0.85em; }
+    .code { color: #888; font-size: 0.85em; }
+    h3.success { color: #1e8449; }
+    h3.degraded, ul.degraded { color: #b9770e; }
+    h3.error { color: #c0392b; }
+  </style>
+</head>
+<body>
+  <h1>Scrape runs</h1>
+  <p>The last ${reports.length} runs of <code>npm run scrape</code>, newest first. The JSON reports are next to this page.</p>
+  <table>
+    <thead><tr><th>Started (UTC)</th><th>Took</th><th>Sources</th><th>New</th><th>Matched</th><th></th></tr></thead>
+    <tbody>${index}
+    </tbody>
+  </table>${runs}
+</body>
+</html>
+`;
+}
+
+/**
+ * Rebuild index.html from the saved reports
+ * @param {string} [dir]
+ * @returns {string} - Path of the page
+ */
+function writeViewer(dir = RUNS_DIR) {
+  const file = path.join(dir, 'index.html');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, renderViewer(loadRunReports(dir)));
+  return file;
+}
+
+/**
+ * Save a run's report, drop reports beyond MAX_RUNS and rebuild the viewer
+ * @param {Object} report - From buildRunReport()
+ * @param {string} [dir]
+ * @returns {string} - Path of the report
+ */
+function writeRunReport(report, dir = RUNS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${report.id}.json`);
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+
+  fs.readdirSync(dir)
+    .filter(name => /^\d{4}-.*\.json$/.test(name))
+    .sort()
+    .slice(0, -MAX_RUNS)
+    .forEach(name => fs.unlinkSync(path.join(dir, name)));
+
+  writeViewer(dir);
+  return file;
+}
+
+// Allow running directly
+if (require.main === module) {
+  const file = writeViewer();
+  console.log(`✓ ${file}`);
+}
+
+module.exports = {
+  RUNS_DIR,
+  buildRunReport,
+  writeRunReport,
+  loadRunReports,
+  writeViewer,
+};
@@ -0,0 +1,193 @@
+/**
+ * Fetch Scheduler
+ *
+ * Runs fetches so that sources can be scraped concurrently without hammering
+ * any one site:
+ * - at most `perHost` requests in flight per host, started at least
+ *   `hostDelayMs` apart
+ * - timeouts, connection resets, 429 and 5xx are retried with exponential
+ *   backoff, waiting as long as the server's Retry-After asks
+ * - requests, retries and failures are counted per source for the run summary
+ */
+
+// Not base.sleep(): base.js requires this module
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const DEFAULTS = {
+  perHost: 2,
+  hostDelayMs: 1000,
+  retries: 3,
+  backoffMs: 2000,
+  // Give up rather than wait longer than this for one retry
+  maxWaitMs: 60000,
+};
+
+// Network errors worth another attempt (DNS failures and refused connections aren't)
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Read a Retry-After header (seconds or an HTTP date) as milliseconds
+ * @param {string} value
+ * @param {number} [now]
+ * @returns {number | null}
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Check whether a failed fetch is worth retrying
+ * @param {Error} error - With statusCode / code set by fetchHtml() or fetchRenderedHtml()
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.statusCode) return error.statusCode === 429 || error.statusCode >= 500;
+  return RETRYABLE_CODES.includes(error.code) || error.name === 'TimeoutError';
+}
+
+/**
+ * Describe a failed fetch for the log
+ * @param {Error} error
+ * @returns {string}
+ */
+function describeError(error) {
+  if (error.statusCode) return `HTTP ${error.statusCode}`;
+  return error.code || error.message;
+}
+
+/**
+ * Create a scheduler
+ * @param {Object} [options] - Overrides for DEFAULTS
+ * @returns {{run: Function, getStats: Function}}
+ */
+function createScheduler(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const hosts = new Map();
+  const stats = new Map();
+
+  const hostState = (host) => {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, queue: [], nextStart: 0 });
+    return hosts.get(host);
+  };
+
+  const sourceStats = (key) => {
+    if (!stats.has(key)) stats.set(key, { requests: 0, retries: 0, failures: 0 });
+    return stats.get(key);
+  };
+
+  // Wait for a free slot on the host, then for the politeness delay
+  async function acquire(host) {
+    const state = hostState(host);
+    if (state.active < config.perHost) {
+      state.active++;
+    } else {
+      // release() hands its slot straight to the next waiter
+      await new Promise(resolve => state.queue.push(resolve));
+    }
+
+    const now = Date.now();
+    const wait = state.nextStart - now;
+    state.nextStart = Math.max(now, state.nextStart) + config.hostDelayMs;
+    if (wait > 0) await sleep(wait);
+  }
+
+  function release(host) {
+    const state = hostState(host);
+    const next = state.queue.shift();
+    if (next) {
+      next();
+    } else {
+      state.active--;
+    }
+  }
+
+  /**
+   * How long to wait before retrying, or null to give up
+   * @param {Error} error
+   * @param {number} attempt - 1 for the first attempt
+   * @returns {number | null}
+   */
+  function retryDelay(error, attempt) {
+    if (attempt > config.retries || !isRetryable(error)) return null;
+    const backoff = config.backoffMs * 2 ** (attempt - 1);
+    // Jitter so concurrent retries don't land together
+    const wait = error.retryAfterMs != null
+      ? error.retryAfterMs
+      : Math.round(backoff * (0.75 + Math.random() * 0.5));
+    return wait <= config.maxWaitMs ? wait : null;
+  }
+
+  /**
+   * Run a fetch for a URL under the host's limits, retrying when it fails transiently
+   * @param {string} url
+   * @param {Function} task - () => Promise, makes one attempt
+   * @param {string} [key] - Source id the request is counted against
+   * @returns {Promise<*>} - The task's result
+   */
+  async function run(url, task, key = '') {
+    const host = new URL(url).host;
+    const counts = sourceStats(key);
+
+    for (let attempt = 1; ; attempt++) {
+      let wait;
+      await acquire(host);
+      counts.requests++;
+      try {
+        return await task();
+      } catch (error) {
+        wait = retryDelay(error, attempt);
+        if (wait === null) {
+          counts.failures++;
+          throw error;
+        }
+        counts.retries++;
+        console.log(`  ⚠ ${host}: ${describeError(error)}, retrying in ${(wait / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${config.retries + 1})`);
+      } finally {
+        release(host);
+      }
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Request counts for a source
+   * @param {string} key
+   * @returns {{requests: number, retries: number, failures: number}}
+   */
+  function getStats(key) {
+    return { ...sourceStats(key) };
+  }
+
+  return { run, getStats };
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping the input order
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  DEFAULTS,
+  createScheduler,
+  mapWithConcurrency,
+  parseRetryAfter,
+  isRetryable,
+};
@@ -0,0 +1,189 @@
+/**
+ * Seen State
+ *
+ * Remembers, per source, the donations earlier runs put in 自動更新列表, so a
+ * run only surfaces what editors haven't seen yet:
+ * - New: not seen before
+ * - Changed amount: the donor's only donation, seen before with another amount
+ *   (rejected amounts aside)
+ * - Previously seen: seen before with the same amount; not added again if an
+ *   editor has removed its row
+ * - Rejected: rejected or merged into another donor in the review (see
+ *   promote.js), with the same amount; not surfaced again while its row stays
+ *   rejected. A new amount from the donor, e.g. a top-up, is New.
+ *
+ * Donations are keyed by entity and amount, so a donor a source lists twice
+ * with different amounts is two donations. Entities are normalised and
+ * converted to Traditional Chinese so the same donor written either way
+ * matches. The state is kept in .cache/scraper-seen.json (SCRAPER_SEEN_FILE).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeEntityName } = require('./base');
+const { s2t } = require('./entity-matcher');
+
+const SEEN_FILE = process.env.SCRAPER_SEEN_FILE
+  || path.join(__dirname, '..', '..', '.cache', 'scraper-seen.json');
+
+const SEEN_STATUS = {
+  NEW: 'New',
+  SEEN: 'Previously seen',
+  CHANGED: 'Changed amount',
+  REJECTED: 'Rejected',
+};
+
+/**
+ * Key a donation by its donor
+ * @param {string} entity
+ * @returns {string}
+ */
+function seenKey(entity) {
+  return normalizeEntityName(s2t(entity || ''));
+}
+
+/**
+ * Compare a donation with the donor's entries in the state
+ * @param {{amount: number | null, firstSeen: string, rejected?: boolean}[]} entries - From findSeen()
+ * @param {Object} record - From createDonationRecord()
+ * @param {number} [donorCount] - The source's donations by this donor in this run;
+ *   with more than one, a new amount is a new donation rather than a change
+ * @returns {{status: string, previousAmount: number | null, firstSeen: string | null}}
+ */
+function classify(entries, record, donorCount = 1) {
+  const amount = record.totalValue || null;
+  const same = entries.find(e => (e.amount || null) === amount);
+  if (same) {
+    return { status: same.rejected ? SEEN_STATUS.REJECTED : SEEN_STATUS.SEEN, previousAmount: null, firstSeen: same.firstSeen || null };
+  }
+  // A rejected amount isn't one a new amount changes from
+  const live = entries.filter(e => !e.rejected);
+  if (live.length === 1 && donorCount === 1) {
+    return { status: SEEN_STATUS.CHANGED, previousAmount: live[0].amount, firstSeen: live[0].firstSeen || null };
+  }
+  return { status: SEEN_STATUS.NEW, previousAmount: null, firstSeen: null };
+}
+
+/**
+ * Look up a donor's entries in the state
+ * @param {Object} state - From loadSeenState()
+ * @param {string} sourceId
+ * @param {string} entity
+ * @returns {Object[]} - Empty if not seen
+ */
+function findSeen(state, sourceId, entity) {
+  return (state[sourceId] || {})[seenKey(entity)] || [];
+}
+
+/**
+ * Classify a source's donations against the state
+ * @param {Object} state - From loadSeenState()
+ * @param {string} sourceId
+ * @param {Object[]} records
+ * @returns {Object[]} - classify() results, in the same order
+ */
+function classifyRecords(state, sourceId, records) {
+  const donorCounts = new Map();
+  records.forEach(r => donorCounts.set(seenKey(r.entity), (donorCounts.get(seenKey(r.entity)) || 0) + 1));
+  return records.map(r => classify(findSeen(state, sourceId, r.entity), r, donorCounts.get(seenKey(r.entity))));
+}
+
+/**
+ * Record that a donation was seen
+ * @param {Object} state - Updated in place
+ * @param {string} sourceId
+ * @param {Object} record
+ * @param {string} at - ISO time of the run
+ * @param {Object} [seen] - From classify(); a Changed amount replaces the entry it changed from
+ */
+function markSeen(state, sourceId, record, at, seen = null) {
+  const entries = state[sourceId] || (state[sourceId] = {});
+  const key = seenKey(record.entity);
+  const amount = record.totalValue || null;
+  const list = entries[key] || (entries[key] = []);
+
+  const replaced = seen && seen.status === SEEN_STATUS.CHANGED
+    ? list.findIndex(e => (e.amount || null) === (seen.previousAmount || null))
+    : -1;
+  const existing = list.find(e => (e.amount || null) === amount) || (replaced >= 0 ? list[replaced] : null);
+
+  const entry = {
+    entity: record.entity,
+    amount,
+    firstSeen: existing ? existing.firstSeen : at,
+    lastSeen: at,
+    ...(existing && existing.rejected ? { rejected: true } : {}),
+  };
+  entries[key] = [...list.filter(e => e !== existing), entry];
+}
+
+/**
+ * Record whether editors rejected a donation, so runs no longer surface it
+ * Only the donation with that amount: the donor's other amounts still surface.
+ * @param {Object} state - Updated in place
+ * @param {string} sourceId
+ * @param {string} entity
+ * @param {number | null} amount
+ * @param {string} at - ISO time
+ * @param {boolean} [rejected] - false when its row's Review was set back, e.g. to pending
+ */
+function markRejected(state, sourceId, entity, amount, at, rejected = true) {
+  const entries = state[sourceId] || (state[sourceId] = {});
+  const key = seenKey(entity);
+  const list = entries[key] || [];
+  const existing = list.find(e => (e.amount || null) === (amount || null));
+  if (!existing && !rejected) return;
+
+  const entry = existing
+    ? { ...existing }
+    : { entity, amount: amount || null, firstSeen: at, lastSeen: at };
+  if (rejected) entry.rejected = true;
+  else delete entry.rejected;
+  entries[key] = [...list.filter(e => e !== existing), entry];
+}
+
+/**
+ * Read the seen state
+ * State written before donations were keyed by amount (one entry per donor)
+ * is read as a list of one.
+ * @param {string} [file]
+ * @returns {Object} - Lists of entries by source id, then by seenKey()
+ */
+function loadSeenState(file = SEEN_FILE) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    const sources = JSON.parse(fs.readFileSync(file, 'utf8')).sources || {};
+    Object.values(sources).forEach(entries => {
+      Object.keys(entries).forEach(key => {
+        if (!Array.isArray(entries[key])) entries[key] = [entries[key]];
+      });
+    });
+    return sources;
+  } catch (error) {
+    console.log(`⚠ Could not read the seen state (${error.message}), every donation counts as new`);
+    return {};
+  }
+}
+
+/**
+ * Write the seen state
+ * @param {Object} state
+ * @param {string} [file]
+ */
+function saveSeenState(state, file = SEEN_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ updatedAt: new Date().toISOString(), sources: state }, null, 2));
+}
+
+module.exports = {
+  SEEN_FILE,
+  SEEN_STATUS,
+  seenKey,
+  classify,
+  classifyRecords,
+  findSeen,
+  markSeen,
+  markRejected,
+  loadSeenState,
+  saveSeenState,
+};
@@ -2,16 +2,97 @@
  * Sheet Writer
  * 
  * Writes scraped data to the 自動更新列表 tab and logs below the data.
+ * 
+ * Rows stay where they are from run to run: a donation already in the tab has
+ * its scraper columns (A-U) updated in place, new ones are added below, and
+ * the review columns (V-W) and columns editors add after them are never
+ * rewritten.
+ *
+ * Editors review rows by setting Review (see REVIEW_STATUS);
+ * promoteReviewedRows() then copies accepted rows into 捐款 (npm run promote).
+ *
+ * Below the rows, each run rewrites the amount updates (donors already in 捐款
+ * scraped with another amount, see amount-updates.js) and its log.
  */
 
 const { google } = require('googleapis');
 const { loadEnv, loadServiceAccount } = require('../sheets-api');
-const { recordToRow } = require('./base');
+const { createDonationRecord, recordToRow } = require('./base');
 const { findMatch, s2t } = require('./entity-matcher');
+const { SEEN_STATUS, seenKey, classify } = require('./seen-state');
+const { buildColumnMap, parseAmount } = require('../data-processor');
 
 const AUTO_UPDATE_TAB = '自動更新列表';
 const DONATIONS_TAB = '捐款';
 
+// Columns of recordToRow(), named as in the 捐款 tab
+const RECORD_HEADERS = [
+  'Entity', 'Group', 'Promised Donation Value', 'Promised Cash', 'Promised Goods',
+  'Capital (Country)', 'Industry', 'Type', 'Note', 'Through',
+  'Primary Source', 'Secondary Source', 'Verification Link', 'Date of Announcement',
+  'Original Currency', 'Original Amount',
+];
+// Written by the scraper after the record; see seen-state.js
+const TRACKING_HEADERS = ['Scrape Status', 'Scraper', 'First Seen', 'Last Seen', 'Previous Amount'];
+const SCRAPER_HEADERS = [...RECORD_HEADERS, ...TRACKING_HEADERS];
+// Filled in by editors; new rows start as pending
+const REVIEW_HEADERS = ['Review', 'Merge Into'];
+const TAB_HEADERS = [...SCRAPER_HEADERS, ...REVIEW_HEADERS];
+
+// Fields of createDonationRecord(), in recordToRow() order
+const RECORD_FIELDS = [
+  'entity', 'group', 'totalValue', 'cashValue', 'goodsValue',
+  'capital', 'industry', 'type', 'note', 'receiver',
+  'primarySource', 'secondarySource', 'verificationLink', 'dateOfAnnouncement',
+  'originalCurrency', 'originalAmount',
+];
+// The same fields as named by buildColumnMap()
+const DONATIONS_COLUMN_KEYS = RECORD_FIELDS.map(field => (field === 'receiver' ? 'through' : field));
+
+/**
+ * Review values editors set in the Review column
+ * promoted and merged are set by promoteReviewedRows() once a row is done.
+ */
+const REVIEW_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  MERGED_INTO: 'merged-into',
+  PROMOTED: 'promoted',
+  MERGED: 'merged',
+};
+
+const COL = Object.fromEntries(TAB_HEADERS.map((header, i) => [header, i]));
+// Updated when a donation's amount changes
+const AMOUNT_COLUMNS = ['Promised Donation Value', 'Promised Cash', 'Promised Goods', 'Original Currency', 'Original Amount'];
+
+/**
+ * Convert a 0-based column index to its letter(s)
+ * @param {number} index
+ * @returns {string} - e.g. 0 → "A", 26 → "AA"
+ */
+function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Columns of the amount updates section
+const AMOUNT_UPDATE_HEADERS = [
+  'Entity', 'In 捐款 As', '捐款 Rows', 'Change',
+  'Scraped Total', '捐款 Total', 'Scraped Cash', '捐款 Cash', 'Scraped Goods', '捐款 Goods',
+  'Source', 'Scraper',
+];
+
+const LAST_COLUMN = columnLetter(SCRAPER_HEADERS.length - 1);
+const TAB_LAST_COLUMN = columnLetter(TAB_HEADERS.length - 1);
+// The scraper's columns of 自動更新列表; editor columns come after them
+const TAB_RANGE = `${AUTO_UPDATE_TAB}!A:${TAB_LAST_COLUMN}`;
+
+const HKT_OFFSET_MS = 8 * 60 * 60 * 1000;
+
 /**
  * Create authenticated Google Sheets client with WRITE permissions
  */
@@ -32,45 +113,43 @@ async function createWriteClient() {
 
 /**
  * Fetch existing donations from 捐款 tab for comparison
- * @returns {Promise<Map<string, Object>>} Map of normalized entity name to donation data
+ * Columns are found by their headers (see buildColumnMap()). A donor on several
+ * rows, e.g. pledges in tranches, has them all in `rows`.
+ * @returns {Promise<Map<string, Object>>} Map of normalized entity name to donation data,
+ *   the donor's last row plus rows: [{rowNumber, totalValue, cashValue, goodsValue, originalCurrency, originalAmount}]
  */
 async function fetchExistingDonations() {
   const { sheets, sheetId } = await createWriteClient();
   
   const response = await sheets.spreadsheets.values.get({
     spreadsheetId: sheetId,
-    range: `${DONATIONS_TAB}!A:N`,
+    range: `${DONATIONS_TAB}!A:Z`,
   });
   
   const rows = response.data.values || [];
   if (rows.length < 2) return new Map();
   
-  const headers = rows[0];
-  const entityIdx = 0; // Entity is first column
+  const columnMap = buildColumnMap(rows[0]);
+  const cell = (row, key) => (columnMap[key] >= 0 ? row[columnMap[key]] || '' : '');
   
   const donations = new Map();
   
   for (let i = 1; i < rows.length; i++) {
     const row = rows[i];
-    if (!row[entityIdx]) continue;
+    if (!cell(row, 'entity')) continue;
     
-    const entityName = row[entityIdx].trim().toLowerCase();
-    donations.set(entityName, {
-      entity: row[0] || '',
-      group: row[1] || '',
-      totalValue: row[2] || '',
-      cashValue: row[3] || '',
-      goodsValue: row[4] || '',
-      capital: row[5] || '',
-      industry: row[6] || '',
-      type: row[7] || '',
-      note: row[8] || '',
-      receiver: row[9] || '',
-      primarySource: row[10] || '',
-      secondarySource: row[11] || '',
-      verificationLink: row[12] || '',
-      dateOfAnnouncement: row[13] || '',
-    });
+    const entityName = cell(row, 'entity').trim().toLowerCase();
+    const donation = Object.fromEntries(RECORD_FIELDS.map((field, j) => [field, cell(row, DONATIONS_COLUMN_KEYS[j])]));
+    const amounts = {
+      rowNumber: i + 1,
+      totalValue: donation.totalValue,
+      cashValue: donation.cashValue,
+      goodsValue: donation.goodsValue,
+      originalCurrency: donation.originalCurrency,
+      originalAmount: donation.originalAmount,
+    };
+    const earlier = donations.get(entityName);
+    donations.set(entityName, { ...donation, rows: [...(earlier ? earlier.rows : []), amounts] });
   }
   
   return donations;
@@ -85,7 +164,7 @@ async function clearAutoUpdateTab() {
   // Get current data to find the range to clear
   const response = await sheets.spreadsheets.values.get({
     spreadsheetId: sheetId,
-    range: `${AUTO_UPDATE_TAB}!A:Z`,
+    range: TAB_RANGE,
   });
   
   const rows = response.data.values || [];
@@ -94,7 +173,7 @@ async function clearAutoUpdateTab() {
   // Clear everything below header
   await sheets.spreadsheets.values.clear({
     spreadsheetId: sheetId,
-    range: `${AUTO_UPDATE_TAB}!A2:Z${rows.length + 100}`, // +100 for safety
+    range: `${AUTO_UPDATE_TAB}!A2:${TAB_LAST_COLUMN}${rows.length + 100}`, // +100 for safety
   });
   
   console.log(`  Cleared ${AUTO_UPDATE_TAB} tab (kept header)`);
@@ -161,40 +240,331 @@ function convertToTraditional(donation) {
   };
 }
 
+/**
+ * Format a run time for the sheet, in Hong Kong time
+ * @param {string} iso
+ * @returns {string} - e.g. "2025-11-28 06:00"
+ */
+function formatSheetTime(iso) {
+  return new Date(new Date(iso).getTime() + HKT_OFFSET_MS).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Find the donation rows of the tab, above the log block
+ * @param {string[][]} rows - Values of the whole tab, header first
+ * @returns {{rowNumber: number, values: string[]}[]} - rowNumber is the sheet row (1-based)
+ */
+function findDataRows(rows) {
+  const logStart = rows.findIndex((row, i) => i > 0 && String(row[0] || '').startsWith('═'));
+  return rows
+    .slice(1, logStart === -1 ? rows.length : logStart)
+    .map((values, i) => ({ rowNumber: i + 2, values }))
+    .filter(row => row.values[0]);
+}
+
+/**
+ * Check whether a tab's header row is the current layout
+ * @param {string[]} headers
+ * @returns {boolean}
+ */
+function isCurrentLayout(headers) {
+  return TAB_HEADERS.every((header, i) => String(headers[i] || '').trim() === header);
+}
+
+/**
+ * Move a tab written with another layout into TAB_HEADERS order
+ * Earlier versions wrote fewer scraper columns (14, then 21), so editor columns
+ * sit where later scraper columns go. Columns are matched by header name; the
+ * rest are editor columns and move, in order, after Merge Into. Only the
+ * header and the rows above the amount updates and log are moved.
+ * @param {string[][]} rows - The whole tab, header first
+ * @returns {string[][] | null} - The moved rows, each as wide as the widest
+ *   old or new row so that old cells are cleared; null if the layout is current
+ */
+function migrateTabRows(rows) {
+  const headers = (rows[0] || []).map(h => String(h || '').trim());
+  if (headers.length === 0 || isCurrentLayout(headers)) return null;
+
+  const logStart = rows.findIndex((row, i) => i > 0 && String(row[0] || '').startsWith('═'));
+  const moved = rows.slice(0, logStart === -1 ? rows.length : logStart);
+  const oldWidth = Math.max(...moved.map(row => row.length));
+
+  const byName = new Map(TAB_HEADERS.map((header, i) => [header.toLowerCase(), i]));
+  const used = new Set();
+  let next = TAB_HEADERS.length;
+  const target = [];
+  for (let i = 0; i < oldWidth; i++) {
+    const column = byName.get((headers[i] || '').toLowerCase());
+    if (column !== undefined && !used.has(column)) {
+      used.add(column);
+      target.push(column);
+    } else if (headers[i] || moved.some(row => row[i])) {
+      target.push(next++);
+    } else {
+      target.push(-1);
+    }
+  }
+
+  const width = Math.max(oldWidth, next);
+  return moved.map((row, r) => {
+    const values = new Array(width).fill('');
+    if (r === 0) TAB_HEADERS.forEach((header, i) => { values[i] = header; });
+    target.forEach((column, i) => {
+      if (column >= 0 && row[i] !== undefined && row[i] !== null && row[i] !== '') values[column] = row[i];
+    });
+    return values;
+  });
+}
+
+/**
+ * Move 自動更新列表 into the current layout if it was written with another
+ * @param {Object} sheets - From createWriteClient()
+ * @param {string} sheetId
+ * @returns {Promise<void>}
+ */
+async function migrateAutoUpdateTab(sheets, sheetId) {
+  const header = await sheets.spreadsheets.values.get({ spreadsheetId: sheetId, range: `${AUTO_UPDATE_TAB}!1:1` });
+  const headers = (header.data.values || [])[0] || [];
+  if (headers.length === 0 || isCurrentLayout(headers)) return;
+
+  const response = await sheets.spreadsheets.values.get({ spreadsheetId: sheetId, range: AUTO_UPDATE_TAB });
+  const rows = migrateTabRows(response.data.values || []);
+  if (!rows) return;
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId: sheetId,
+    resource: { valueInputOption: 'RAW', data: [{ range: `${AUTO_UPDATE_TAB}!A1`, values: rows }] },
+  });
+  console.log(`  Moved ${AUTO_UPDATE_TAB} into the current column layout (${rows.length - 1} rows); editor columns now start after ${TAB_LAST_COLUMN}`);
+}
+
+/**
+ * Read a row's Promised Donation Value, as editors may have formatted it
+ * @param {string[]} values - A row of the tab
+ * @returns {number | null}
+ */
+function rowAmount(values) {
+  return parseAmount(String(values[COL['Promised Donation Value']] || ''));
+}
+
+/**
+ * Work out how this run's donations change the tab
+ * A donation already in the tab (same scraper, entity and amount) updates its
+ * row; a Changed amount updates the row with its previous amount, and rows
+ * from before the Scraper column existed match without it. A donor's only
+ * donation falls back to their only row not rejected, e.g. when an editor
+ * corrected the amount or the seen state was lost. Other donations are added
+ * unless they were seen before with the same amount, i.e. an editor removed
+ * the row. Rows editors rejected or merged are left alone, and returned as
+ * rejected. So are donations the seen state has as Rejected, unless their
+ * row's Review was set back: then the row is updated as Previously seen.
+ * @param {{rowNumber: number, values: string[]}[]} dataRows - From findDataRows()
+ * @param {Object[]} donations - Records with sourceId and seen ({status, previousAmount, firstSeen})
+ * @param {string} runTime - ISO time of the run
+ * @returns {{updates: {rowNumber: number, values: string[]}[], added: string[][], skipped: number, rejected: {sourceId: string, entity: string, amount: number | null}[]}}
+ *   updates hold columns A-U; added rows also have the review columns
+ */
+function mergeAutoUpdateRows(dataRows, donations, runTime) {
+  const byKey = new Map();
+  const byDonor = new Map();
+  const addRow = (map, key, row) => map.set(key, [...(map.get(key) || []), row]);
+  dataRows.forEach(row => {
+    const donor = `${row.values[COL.Scraper] || ''}|${seenKey(row.values[COL.Entity])}`;
+    addRow(byKey, `${donor}|${rowAmount(row.values)}`, row);
+    addRow(byDonor, donor, row);
+  });
+
+  const donorCounts = new Map();
+  donations.forEach(d => {
+    const donor = `${d.sourceId}|${seenKey(d.entity)}`;
+    donorCounts.set(donor, (donorCounts.get(donor) || 0) + 1);
+  });
+
+  const used = new Set();
+  const unused = rows => (rows || []).filter(row => !used.has(row.rowNumber));
+  const findRow = (donation, key) => {
+    const amounts = [donation.totalValue || null];
+    if (donation.seen.status === SEEN_STATUS.CHANGED) amounts.push(donation.seen.previousAmount);
+    for (const amount of amounts) {
+      const row = unused(byKey.get(`${donation.sourceId}|${key}|${amount}`))[0]
+        || unused(byKey.get(`|${key}|${amount}`))[0];
+      if (row) return row;
+    }
+    // A rejected amount is only its own row
+    if (donation.seen.status === SEEN_STATUS.REJECTED || donorCounts.get(`${donation.sourceId}|${key}`) > 1) return null;
+    // Not a rejected row: its rejection was for that amount
+    const rows = [...unused(byDonor.get(`${donation.sourceId}|${key}`)), ...unused(byDonor.get(`|${key}`))]
+      .filter(row => ![REVIEW_STATUS.REJECTED, REVIEW_STATUS.MERGED].includes(getReviewStatus(row.values)));
+    return rows.length === 1 ? rows[0] : null;
+  };
+
+  const now = formatSheetTime(runTime);
+  const updates = [];
+  const added = [];
+  const rejected = [];
+  let skipped = 0;
+
+  for (const donation of donations) {
+    const record = convertToTraditional(donation);
+    const row = findRow(donation, seenKey(record.entity));
+    const recordValues = recordToRow(record);
+
+    if (!row) {
+      if (donation.seen.status === SEEN_STATUS.REJECTED) {
+        rejected.push({ sourceId: donation.sourceId, entity: record.entity, amount: record.totalValue || null });
+        continue;
+      }
+      if (donation.seen.status === SEEN_STATUS.SEEN) {
+        skipped++;
+        continue;
+      }
+      added.push([
+        ...recordValues,
+        donation.seen.status,
+        donation.sourceId,
+        donation.seen.firstSeen ? formatSheetTime(donation.seen.firstSeen) : now,
+        now,
+        donation.seen.previousAmount !== null ? String(donation.seen.previousAmount) : '',
+        REVIEW_STATUS.PENDING,
+        '',
+      ]);
+      continue;
+    }
+
+    used.add(row.rowNumber);
+    const review = getReviewStatus(row.values);
+    if (review === REVIEW_STATUS.REJECTED || review === REVIEW_STATUS.MERGED) {
+      rejected.push({ sourceId: donation.sourceId, entity: record.entity, amount: rowAmount(row.values) });
+      continue;
+    }
+
+    // The row is the better record if the seen state was lost or is out of date
+    let seen = donation.seen;
+    if (seen.status === SEEN_STATUS.NEW) {
+      seen = classify([{ amount: rowAmount(row.values) }], record);
+    } else if (seen.status === SEEN_STATUS.REJECTED) {
+      seen = { ...seen, status: SEEN_STATUS.SEEN };
+    }
+
+    // Keep editors' corrections: only amounts are rewritten, and only when they changed
+    const values = SCRAPER_HEADERS.map((header, i) => row.values[i] || '');
+    if (seen.status === SEEN_STATUS.CHANGED) {
+      AMOUNT_COLUMNS.forEach(header => { values[COL[header]] = recordValues[COL[header]]; });
+      values[COL['Previous Amount']] = seen.previousAmount !== null ? String(seen.previousAmount) : '';
+    }
+    values[COL['Scrape Status']] = seen.status;
+    values[COL.Scraper] = donation.sourceId;
+    values[COL['First Seen']] = values[COL['First Seen']] || now;
+    values[COL['Last Seen']] = now;
+    updates.push({ rowNumber: row.rowNumber, values });
+  }
+
+  return { updates, added, skipped, rejected };
+}
+
+/**
+ * List the tab's rows with whether editors rejected or merged them
+ * Read on every run, so the seen state in CI follows the Review column, both
+ * ways, without promote.js writing it; rows from before the Scraper column
+ * existed are left to mergeAutoUpdateRows(), which finds their source when the
+ * donation is scraped again.
+ * @param {{rowNumber: number, values: string[]}[]} dataRows - From findDataRows()
+ * @returns {{sourceId: string, entity: string, amount: number | null, rejected: boolean}[]}
+ */
+function findReviewedRows(dataRows) {
+  return dataRows
+    .filter(row => row.values[COL.Scraper])
+    .map(row => ({
+      sourceId: row.values[COL.Scraper],
+      entity: row.values[COL.Entity],
+      amount: rowAmount(row.values),
+      rejected: [REVIEW_STATUS.REJECTED, REVIEW_STATUS.MERGED].includes(getReviewStatus(row.values)),
+    }));
+}
+
+/**
+ * Build the amount updates section written below the rows
+ * Starts with a '═' line, so findDataRows() stops above it.
+ * @param {Object[]} amountUpdates - Matched records with sourceId, matchedWith and amountUpdate (see run-all.js)
+ * @returns {string[][]} - Empty if there are none
+ */
+function buildAmountUpdateRows(amountUpdates) {
+  if (amountUpdates.length === 0) return [];
+  const amount = value => (value !== null && value !== undefined ? String(value) : '');
+
+  return [
+    [],
+    ['═══════════════════════════════════════════════════════════════════'],
+    [`AMOUNT UPDATES: ${amountUpdates.length} scraped with another amount than in 捐款`],
+    ['═══════════════════════════════════════════════════════════════════'],
+    AMOUNT_UPDATE_HEADERS,
+    ...amountUpdates.map(({ amountUpdate: u, ...donation }) => [
+      s2t(donation.entity || ''),
+      donation.matchedWith,
+      u.rowNumbers.join(', '),
+      u.change,
+      amount(u.scraped.totalValue),
+      amount(u.existing.totalValue),
+      amount(u.scraped.cashValue),
+      amount(u.existing.cashValue),
+      amount(u.scraped.goodsValue),
+      amount(u.existing.goodsValue),
+      donation.primarySource || donation.secondarySource,
+      donation.sourceId,
+    ]),
+  ];
+}
+
 /**
  * Write all scraped data to 自動更新列表 at once
- * Clears the tab first, then writes all new entries, then logs at the bottom
- * @param {Object[]} allNewDonations - Array of all new donation records from all scrapers
+ * Moves a tab written with an older layout first (see migrateTabRows()), then
+ * updates the rows of donations already in the tab, adds the new ones below
+ * them, and rewrites the amount updates and the log block under the data.
+ * @param {Object[]} allNewDonations - Records not in 捐款, with sourceId and seen (see run-all.js),
+ *   including those the seen state has as Rejected
  * @param {Object[]} allLogs - Array of log entries from all scrapers
+ * @param {string} [runTime] - ISO time of the run
+ * @param {Object[]} [amountUpdates] - Records in 捐款 with another amount (see buildAmountUpdateRows())
+ * @returns {Promise<{updated: number, added: number, skipped: number, rejected: Object[], reviewedRows: Object[]}>}
+ *   rejected are this run's donations left out as rejected (see
+ *   mergeAutoUpdateRows()); reviewedRows are all the tab's rows (see findReviewedRows())
  */
-async function writeAllToAutoUpdateTab(allNewDonations, allLogs) {
+async function writeAllToAutoUpdateTab(allNewDonations, allLogs, runTime = new Date().toISOString(), amountUpdates = []) {
   const { sheets, sheetId } = await createWriteClient();
   
-  // Clear the tab first (except header row)
-  await clearAutoUpdateTab();
+  // Before anything is read by position: the header row below is written as TAB_HEADERS
+  await migrateAutoUpdateTab(sheets, sheetId);
   
-  // Convert all donations to Traditional Chinese and prepare data rows
-  const traditionalDonations = allNewDonations.map(d => convertToTraditional(d));
-  const dataRows = traditionalDonations.map(d => recordToRow(d));
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId: sheetId,
+    range: TAB_RANGE,
+  });
+  const rows = response.data.values || [];
+  const dataRows = findDataRows(rows);
+  const { updates, added, skipped, rejected } = mergeAutoUpdateRows(dataRows, allNewDonations, runTime);
+  const amountRows = buildAmountUpdateRows(amountUpdates);
   
   // Prepare log section
-  const timestamp = new Date().toISOString();
   const logRows = [
     [], // Empty row separator
     ['═══════════════════════════════════════════════════════════════════'],
-    [`SCRAPE RUN: ${timestamp}`],
+    [`SCRAPE RUN: ${runTime}`],
     ['═══════════════════════════════════════════════════════════════════'],
     [],
   ];
   
   // Add each source's log
   for (const log of allLogs) {
+    const seen = log.seenCounts || {};
     logRows.push([`--- ${log.sourceName} ---`]);
     logRows.push([`URL: ${log.sourceUrl || 'N/A'}`]);
     logRows.push([`Total scraped: ${log.totalScraped}`]);
-    logRows.push([`New entries: ${log.newCount}`]);
-    logRows.push([`Already in 捐款: ${log.matchedCount}`]);
+    logRows.push([`Not in 捐款: ${log.newCount} (${seen.new || 0} new, ${seen.changed || 0} changed amount, ${seen.seen || 0} previously seen)`]);
+    logRows.push([`Already in 捐款: ${log.matchedCount} (${log.amountUpdateCount || 0} with another amount)`]);
     logRows.push([`Status: ${log.status}`]);
+    (log.anomalies || []).forEach(a => logRows.push([`Anomaly: ${a}`]));
+    if (seen.rejected) {
+      logRows.push([`Rejected in review: ${seen.rejected}`]);
+    }
     if (log.error) {
       logRows.push([`Error: ${log.error}`]);
     }
@@ -202,31 +572,210 @@ async function writeAllToAutoUpdateTab(allNewDonations, allLogs) {
   }
   
   // Add summary
-  const totalNew = allLogs.reduce((sum, l) => sum + (l.newCount || 0), 0);
-  const totalMatched = allLogs.reduce((sum, l) => sum + (l.matchedCount || 0), 0);
   logRows.push(['───────────────────────────────────────────────────────────────────']);
-  logRows.push([`TOTAL: ${totalNew} new entries, ${totalMatched} already exist`]);
+  logRows.push([`TOTAL: ${added.length} rows added, ${updates.length} updated, ${skipped} previously seen and removed by an editor, ${rejected.length} rejected in review, ${amountUpdates.length} amount updates`]);
   logRows.push(['═══════════════════════════════════════════════════════════════════']);
   
-  // Combine data and logs
-  const allRows = [...dataRows, ...logRows];
-  
-  if (allRows.length === 0) {
-    console.log('  No data to write');
-    return;
-  }
+  // Rewrite everything from the first free row down: new rows, amount updates, then the log
+  const firstFreeRow = dataRows.length > 0 ? dataRows[dataRows.length - 1].rowNumber + 1 : 2;
+  const lastUsedRow = Math.max(rows.length, firstFreeRow);
+  await sheets.spreadsheets.values.clear({
+    spreadsheetId: sheetId,
+    range: `${AUTO_UPDATE_TAB}!A${firstFreeRow}:${TAB_LAST_COLUMN}${lastUsedRow}`,
+  });
   
-  // Write to sheet
-  await sheets.spreadsheets.values.update({
+  await sheets.spreadsheets.values.batchUpdate({
     spreadsheetId: sheetId,
-    range: `${AUTO_UPDATE_TAB}!A2`,
-    valueInputOption: 'RAW',
     resource: {
-      values: allRows,
+      valueInputOption: 'RAW',
+      data: [
+        { range: `${AUTO_UPDATE_TAB}!A1:${TAB_LAST_COLUMN}1`, values: [TAB_HEADERS] },
+        ...updates.map(u => ({ range: `${AUTO_UPDATE_TAB}!A${u.rowNumber}:${LAST_COLUMN}${u.rowNumber}`, values: [u.values] })),
+        { range: `${AUTO_UPDATE_TAB}!A${firstFreeRow}`, values: [...added, ...amountRows, ...logRows] },
+      ],
     },
   });
   
-  console.log(`\n  Wrote ${dataRows.length} new entries + ${logRows.length} log rows to ${AUTO_UPDATE_TAB}`);
+  console.log(`\n  ${AUTO_UPDATE_TAB}: added ${added.length} rows, updated ${updates.length}, skipped ${skipped} previously seen and ${rejected.length} rejected; wrote ${amountUpdates.length} amount updates and ${logRows.length} log rows`);
+  return { updated: updates.length, added: added.length, skipped, rejected, reviewedRows: findReviewedRows(dataRows) };
+}
+
+/**
+ * Read a row's Review value
+ * @param {string[]} values - A row of the tab
+ * @returns {string} - Lowercase; blank (rows from before the column existed) counts as pending
+ */
+function getReviewStatus(values) {
+  return String(values[COL.Review] || '').trim().toLowerCase() || REVIEW_STATUS.PENDING;
+}
+
+/**
+ * Read the record of a 自動更新列表 row, with the corrections editors made there
+ * @param {string[]} values
+ * @returns {Object} - As createDonationRecord(); amounts stay as written
+ */
+function rowToRecord(values) {
+  return createDonationRecord(Object.fromEntries(
+    RECORD_FIELDS.map((field, i) => [field, String(values[i] || '').trim()])
+  ));
+}
+
+/**
+ * Find the 捐款 row a merged-into row names in Merge Into
+ * @param {string} target - A sheet row number ("12" or "#12") or the donor's name
+ * @param {{rowNumber: number, values: string[]}[]} donationRows - Rows of 捐款 with an entity
+ * @param {Object} columnMap - From buildColumnMap()
+ * @returns {{row: Object} | {error: string}}
+ */
+function findMergeTarget(target, donationRows, columnMap) {
+  const value = String(target || '').trim();
+  if (!value) return { error: 'Merge Into is empty; give the 捐款 row number or donor name' };
+
+  const rowNumber = value.match(/^#?(\d+)$/);
+  if (rowNumber) {
+    const row = donationRows.find(r => r.rowNumber === parseInt(rowNumber[1], 10));
+    return row ? { row } : { error: `捐款 row ${rowNumber[1]} has no donor` };
+  }
+
+  const matches = donationRows.filter(r => seenKey(r.values[columnMap.entity]) === seenKey(value));
+  if (matches.length === 1) return { row: matches[0] };
+  if (matches.length === 0) return { error: `no donor named "${value}" in 捐款` };
+  return { error: `${matches.length} donors named "${value}" in 捐款 (rows ${matches.map(r => r.rowNumber).join(', ')}); use a row number` };
+}
+
+/**
+ * Work out what promoting the reviewed rows changes
+ * - accepted: a new 捐款 row, its columns placed by the 捐款 headers
+ * - merged-into: the row's source link added to the target donor's Primary
+ *   Source, or Secondary Source if that is taken
+ * - rejected: the row left as it is
+ * Promoted and merged rows get their Review set so they aren't promoted twice.
+ * Rejected and merged rows stay in the tab: scrape runs read them to keep
+ * those donations out (see findReviewedRows()).
+ * @param {{rowNumber: number, values: string[]}[]} dataRows - From findDataRows()
+ * @param {string[][]} donationValues - Values of the 捐款 tab, header first
+ * @returns {{appends: string[][], cellUpdates: {range: string, value: string}[], reviewUpdates: {rowNumber: number, status: string}[], rejected: {sourceId: string, entity: string}[], actions: Object[], problems: Object[], missingColumns: string[]}}
+ *   actions and problems are {rowNumber, entity, message} for the console
+ */
+function planPromotion(dataRows, donationValues) {
+  const headers = donationValues[0] || [];
+  const columnMap = buildColumnMap(headers);
+  const donationRows = donationValues.slice(1)
+    .map((values, i) => ({ rowNumber: i + 2, values }))
+    .filter(r => r.values[columnMap.entity]);
+  // Copies, so several rows merged into one donor see each other's links
+  const targetValues = new Map(donationRows.map(r => [r.rowNumber, [...r.values]]));
+  const existingKeys = new Set(donationRows.map(r => seenKey(r.values[columnMap.entity])));
+
+  const missingColumns = DONATIONS_COLUMN_KEYS
+    .filter(key => columnMap[key] === -1)
+    .map(key => RECORD_HEADERS[DONATIONS_COLUMN_KEYS.indexOf(key)]);
+  const width = Math.max(headers.length, ...DONATIONS_COLUMN_KEYS.map(key => columnMap[key] + 1));
+
+  const plan = { appends: [], cellUpdates: [], reviewUpdates: [], rejected: [], actions: [], problems: [], missingColumns };
+  const problem = (row, entity, message) => plan.problems.push({ rowNumber: row.rowNumber, entity, message });
+
+  for (const row of dataRows) {
+    const review = getReviewStatus(row.values);
+    const record = rowToRecord(row.values);
+    const entity = record.entity;
+
+    if (review === REVIEW_STATUS.ACCEPTED) {
+      if (existingKeys.has(seenKey(entity))) {
+        problem(row, entity, 'already in 捐款; set Review to merged-into to add its source instead');
+        continue;
+      }
+      const values = new Array(width).fill('');
+      recordToRow(record).forEach((value, i) => {
+        const column = columnMap[DONATIONS_COLUMN_KEYS[i]];
+        if (column >= 0) values[column] = value;
+      });
+      plan.appends.push(values);
+      plan.reviewUpdates.push({ rowNumber: row.rowNumber, status: REVIEW_STATUS.PROMOTED });
+      plan.actions.push({ rowNumber: row.rowNumber, entity, message: 'added to 捐款' });
+      existingKeys.add(seenKey(entity));
+
+    } else if (review === REVIEW_STATUS.MERGED_INTO) {
+      const { row: target, error } = findMergeTarget(row.values[COL['Merge Into']], donationRows, columnMap);
+      if (error) {
+        problem(row, entity, error);
+        continue;
+      }
+      const into = `捐款 row ${target.rowNumber} (${target.values[columnMap.entity]})`;
+      const link = record.primarySource || record.secondarySource;
+      const values = targetValues.get(target.rowNumber);
+      const column = [columnMap.primarySource, columnMap.secondarySource]
+        .find(c => !String(values[c] || '').trim());
+      let message = `merged into ${into}`;
+
+      if (!link || [columnMap.primarySource, columnMap.secondarySource].some(c => String(values[c] || '').trim() === link)) {
+        message += link ? ', which already has its source' : ', no source to add';
+      } else if (column === undefined) {
+        problem(row, entity, `${into} has both sources filled; add ${link} by hand and set Review to merged`);
+        continue;
+      } else {
+        values[column] = link;
+        plan.cellUpdates.push({ range: `${DONATIONS_TAB}!${columnLetter(column)}${target.rowNumber}`, value: link });
+        message += `, source added as ${column === columnMap.primarySource ? 'Primary Source' : 'Secondary Source'}`;
+      }
+      plan.reviewUpdates.push({ rowNumber: row.rowNumber, status: REVIEW_STATUS.MERGED });
+      plan.rejected.push({ sourceId: row.values[COL.Scraper] || '', entity });
+      plan.actions.push({ rowNumber: row.rowNumber, entity, message });
+
+    } else if (review === REVIEW_STATUS.REJECTED) {
+      plan.rejected.push({ sourceId: row.values[COL.Scraper] || '', entity });
+
+    } else if (!Object.values(REVIEW_STATUS).includes(review)) {
+      problem(row, entity, `unknown Review "${row.values[COL.Review]}" (use ${[REVIEW_STATUS.PENDING, REVIEW_STATUS.ACCEPTED, REVIEW_STATUS.REJECTED, REVIEW_STATUS.MERGED_INTO].join(', ')})`);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Promote the reviewed rows of 自動更新列表 into 捐款
+ * Appends accepted rows, adds merged rows' sources to their donors, then marks
+ * the promoted rows in 自動更新列表 (see planPromotion()).
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Work out the changes without writing them
+ * @returns {Promise<Object>} - The plan from planPromotion()
+ */
+async function promoteReviewedRows(options = {}) {
+  const { sheets, sheetId } = await createWriteClient();
+  if (!options.dryRun) await migrateAutoUpdateTab(sheets, sheetId);
+
+  const [autoResponse, donationsResponse] = await Promise.all([
+    sheets.spreadsheets.values.get({ spreadsheetId: sheetId, range: TAB_RANGE }),
+    sheets.spreadsheets.values.get({ spreadsheetId: sheetId, range: `${DONATIONS_TAB}!A:Z` }),
+  ]);
+  // A dry run doesn't move the tab, so plan on the moved rows
+  const autoRows = autoResponse.data.values || [];
+  const plan = planPromotion(findDataRows(migrateTabRows(autoRows) || autoRows), donationsResponse.data.values || []);
+  if (options.dryRun) return plan;
+
+  // 捐款 first: if marking the rows fails, promoting again shows them as already in 捐款
+  if (plan.appends.length > 0) {
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: sheetId,
+      range: `${DONATIONS_TAB}!A1`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values: plan.appends },
+    });
+  }
+  const data = [
+    ...plan.cellUpdates.map(u => ({ range: u.range, values: [[u.value]] })),
+    ...plan.reviewUpdates.map(u => ({ range: `${AUTO_UPDATE_TAB}!${columnLetter(COL.Review)}${u.rowNumber}`, values: [[u.status]] })),
+  ];
+  if (data.length > 0) {
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: sheetId,
+      resource: { valueInputOption: 'RAW', data },
+    });
+  }
+
+  return plan;
 }
 
 /**
@@ -285,11 +834,21 @@ async function appendLogOnly(sourceName, logInfo) {
 }
 
 module.exports = {
+  SCRAPER_HEADERS,
+  REVIEW_HEADERS,
+  REVIEW_STATUS,
   createWriteClient,
   fetchExistingDonations,
   clearAutoUpdateTab,
   writeToAutoUpdateTab,
   writeAllToAutoUpdateTab,
+  findDataRows,
+  migrateTabRows,
+  mergeAutoUpdateRows,
+  findReviewedRows,
+  buildAmountUpdateRows,
+  planPromotion,
+  promoteReviewedRows,
   appendLogOnly,
 };
 
@@ -0,0 +1,155 @@
+/**
+ * Test Amount Updates
+ *
+ * Table-driven checks for compareAmounts() in amount-updates.js: when a donor
+ * already in 捐款 is scraped with another amount, and when the amounts agree.
+ *
+ * Usage: node src/scrapers/test-amount-updates.js
+ */
+
+const { createDonationRecord } = require('./base');
+const { AMOUNT_CHANGE, compareAmounts } = require('./amount-updates');
+
+/**
+ * Make a 捐款 row as fetchExistingDonations() reads it
+ * @param {number} rowNumber
+ * @param {Object} fields - totalValue, cashValue, goodsValue, originalCurrency, originalAmount as in the sheet
+ * @returns {Object}
+ */
+function row(rowNumber, fields) {
+  return { rowNumber, totalValue: '', cashValue: '', goodsValue: '', originalCurrency: '', originalAmount: '', ...fields };
+}
+
+// [name, scraped record fields, 捐款 rows, expected {change, field, rowNumbers} or null]
+const CASES = [
+  [
+    'higher',
+    { entity: '某集團', totalValue: 20000000 },
+    [row(5, { totalValue: '10,000,000' })],
+    { change: AMOUNT_CHANGE.HIGHER, field: 'totalValue', rowNumbers: [5] },
+  ],
+  [
+    'lower',
+    { entity: '某集團', totalValue: 5000000 },
+    [row(5, { totalValue: '1000萬' })],
+    { change: AMOUNT_CHANGE.LOWER, field: 'totalValue', rowNumbers: [5] },
+  ],
+  [
+    'added tranche: a top-up article',
+    { entity: '某集團', totalValue: 5000000, note: '某集團追加捐款500萬' },
+    [row(5, { totalValue: '10000000' })],
+    { change: AMOUNT_CHANGE.TRANCHE, field: 'totalValue', rowNumbers: [5] },
+  ],
+  [
+    'the same amount',
+    { entity: '某集團', totalValue: 10000000 },
+    [row(5, { totalValue: '10000000' })],
+    null,
+  ],
+  [
+    'within the tolerance',
+    { entity: '某集團', totalValue: 10100000 },
+    [row(5, { totalValue: '10000000' })],
+    null,
+  ],
+  [
+    'inside a 捐款 range',
+    { entity: '某集團', totalValue: 15000000 },
+    [row(5, { totalValue: '1000萬至2000萬' })],
+    null,
+  ],
+  [
+    'above a 捐款 range',
+    { entity: '某集團', totalValue: 25000000 },
+    [row(5, { totalValue: '1000萬至2000萬' })],
+    { change: AMOUNT_CHANGE.HIGHER, field: 'totalValue', rowNumbers: [5] },
+  ],
+  [
+    'at a 捐款 minimum',
+    { entity: '某集團', totalValue: 10000000 },
+    [row(5, { totalValue: '逾1000萬' })],
+    null,
+  ],
+  [
+    'above a 捐款 minimum',
+    { entity: '某集團', totalValue: 30000000 },
+    [row(5, { totalValue: '逾1000萬' })],
+    null,
+  ],
+  [
+    'below a 捐款 minimum',
+    { entity: '某集團', totalValue: 8000000 },
+    [row(5, { totalValue: '逾1000萬' })],
+    { change: AMOUNT_CHANGE.LOWER, field: 'totalValue', rowNumbers: [5] },
+  ],
+  [
+    'original currency: the same pledge at another rate',
+    { entity: 'Some Corp', totalValue: 8200000, originalCurrency: 'USD', originalAmount: 1000000 },
+    [row(5, { totalValue: '7,780,000', originalCurrency: 'usd', originalAmount: '1,000,000' })],
+    null,
+  ],
+  [
+    'original currency: another amount',
+    { entity: 'Some Corp', totalValue: 15600000, originalCurrency: 'USD', originalAmount: 2000000 },
+    [row(5, { totalValue: '7,780,000', originalCurrency: 'USD', originalAmount: '1,000,000' })],
+    { change: AMOUNT_CHANGE.HIGHER, field: 'totalValue', rowNumbers: [5] },
+  ],
+  [
+    'several 捐款 rows summed',
+    { entity: '某集團', totalValue: 15000000 },
+    [row(5, { totalValue: '10000000' }), row(9, { totalValue: '5000000' })],
+    null,
+  ],
+  [
+    'several 捐款 rows: one of them',
+    { entity: '某集團', totalValue: 5000000 },
+    [row(5, { totalValue: '10000000' }), row(9, { totalValue: '5000000' })],
+    null,
+  ],
+  [
+    'several 捐款 rows: more than their sum',
+    { entity: '某集團', totalValue: 20000000 },
+    [row(5, { totalValue: '10000000' }), row(9, { totalValue: '5000000' })],
+    { change: AMOUNT_CHANGE.HIGHER, field: 'totalValue', rowNumbers: [5, 9] },
+  ],
+  [
+    'same total, another cash and goods split',
+    { entity: '某集團', totalValue: 10000000, cashValue: 4000000, goodsValue: 6000000 },
+    [row(5, { totalValue: '10000000', cashValue: '10000000' })],
+    { change: AMOUNT_CHANGE.LOWER, field: 'cashValue', rowNumbers: [5] },
+  ],
+  [
+    'no scraped amount',
+    { entity: '某集團', totalValue: null },
+    [row(5, { totalValue: '10000000' })],
+    null,
+  ],
+];
+
+console.log('Amount Updates Test');
+console.log('='.repeat(70));
+console.log('');
+
+let passed = 0;
+let failed = 0;
+
+for (const [name, fields, rows, expected] of CASES) {
+  const update = compareAmounts(createDonationRecord(fields), rows);
+  const got = update ? { change: update.change, field: update.field, rowNumbers: update.rowNumbers } : null;
+  if (JSON.stringify(got) === JSON.stringify(expected)) {
+    passed++;
+    console.log(`✓ PASS: ${name}`);
+  } else {
+    failed++;
+    console.log(`✗ FAIL: ${name}`);
+    console.log(`        Expected: ${JSON.stringify(expected)}`);
+    console.log(`        Got:      ${JSON.stringify(got)}`);
+  }
+}
+
+console.log('');
+console.log('='.repeat(70));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('='.repeat(70));
+
+process.exit(failed > 0 ? 1 : 0);
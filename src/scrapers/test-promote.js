@@ -0,0 +1,198 @@
+/**
+ * Test Promotion
+ *
+ * Table-driven checks for planPromotion() in sheet-writer.js: what each Review
+ * value in 自動更新列表 does to 捐款.
+ *
+ * Usage: node src/scrapers/test-promote.js
+ */
+
+const { createDonationRecord, recordToRow } = require('./base');
+const { SCRAPER_HEADERS, REVIEW_STATUS, planPromotion } = require('./sheet-writer');
+
+// The record columns, named as in 捐款
+const HEADERS = SCRAPER_HEADERS.slice(0, SCRAPER_HEADERS.indexOf('Scrape Status'));
+
+/**
+ * Make a 自動更新列表 row as the scraper writes it, reviewed
+ * @param {string} entity
+ * @param {string} review
+ * @param {string} [mergeInto]
+ * @returns {string[]}
+ */
+function tabRow(entity, review, mergeInto = '') {
+  const record = createDonationRecord({ entity, totalValue: 1000000, primarySource: `https://news.example/${entity}` });
+  return [...recordToRow(record), 'New', 'am730', '', '', '', review, mergeInto];
+}
+
+/**
+ * Make a 捐款 row
+ * @param {string[]} headers
+ * @param {Object} fields - Values by header
+ * @returns {string[]}
+ */
+function donationRow(headers, fields) {
+  return headers.map(header => fields[header] || '');
+}
+
+const DONATIONS = [
+  HEADERS,
+  donationRow(HEADERS, { Entity: '中國紅十字會', 'Primary Source': 'https://redcross.example' }),
+  donationRow(HEADERS, { Entity: '某集團' }),
+  donationRow(HEADERS, { Entity: '劉亦菲', 'Primary Source': 'https://a.example', 'Secondary Source': 'https://b.example' }),
+  donationRow(HEADERS, { Entity: '同名基金' }),
+  donationRow(HEADERS, { Entity: '同名基金' }),
+];
+
+// [name, tab rows, 捐款 values, expected summary (see summarize())]
+const CASES = [
+  [
+    'accepted: added to 捐款',
+    [tabRow('新捐款者', REVIEW_STATUS.ACCEPTED)],
+    DONATIONS,
+    {
+      appends: [{ Entity: '新捐款者', 'Promised Donation Value': '1000000', 'Primary Source': 'https://news.example/新捐款者' }],
+      reviewUpdates: ['2: promoted'],
+    },
+  ],
+  [
+    'accepted: placed by the 捐款 headers',
+    [tabRow('新捐款者', REVIEW_STATUS.ACCEPTED)],
+    [['ID', ...HEADERS]],
+    {
+      appends: [{ Entity: '新捐款者', 'Promised Donation Value': '1000000', 'Primary Source': 'https://news.example/新捐款者' }],
+      reviewUpdates: ['2: promoted'],
+    },
+  ],
+  [
+    'accepted: already in 捐款, written in Simplified Chinese',
+    [tabRow('中国红十字会', REVIEW_STATUS.ACCEPTED)],
+    DONATIONS,
+    { problems: ['2: already in 捐款; set Review to merged-into to add its source instead'] },
+  ],
+  [
+    'accepted twice in the tab: added once',
+    [tabRow('新捐款者', REVIEW_STATUS.ACCEPTED), tabRow('新捐款者', REVIEW_STATUS.ACCEPTED)],
+    DONATIONS,
+    {
+      appends: [{ Entity: '新捐款者', 'Promised Donation Value': '1000000', 'Primary Source': 'https://news.example/新捐款者' }],
+      reviewUpdates: ['2: promoted'],
+      problems: ['3: already in 捐款; set Review to merged-into to add its source instead'],
+    },
+  ],
+  [
+    'merged-into by row number: Secondary Source when Primary is taken',
+    [tabRow('紅十字會', REVIEW_STATUS.MERGED_INTO, '#2')],
+    DONATIONS,
+    {
+      cellUpdates: ['捐款!L2: https://news.example/紅十字會'],
+      reviewUpdates: ['2: merged'],
+      rejected: ['am730: 紅十字會'],
+    },
+  ],
+  [
+    'merged-into by name: Primary Source when empty',
+    [tabRow('某集团', REVIEW_STATUS.MERGED_INTO, '某集團')],
+    DONATIONS,
+    {
+      cellUpdates: ['捐款!K3: https://news.example/某集团'],
+      reviewUpdates: ['2: merged'],
+      rejected: ['am730: 某集团'],
+    },
+  ],
+  [
+    'merged-into: both sources full',
+    [tabRow('劉亦菲女士', REVIEW_STATUS.MERGED_INTO, '4')],
+    DONATIONS,
+    { problems: ['2: 捐款 row 4 (劉亦菲) has both sources filled; add https://news.example/劉亦菲女士 by hand and set Review to merged'] },
+  ],
+  [
+    'merged-into: two rows into one donor fill its sources in turn',
+    [tabRow('集團A', REVIEW_STATUS.MERGED_INTO, '3'), tabRow('集團B', REVIEW_STATUS.MERGED_INTO, '3'), tabRow('集團C', REVIEW_STATUS.MERGED_INTO, '3')],
+    DONATIONS,
+    {
+      cellUpdates: ['捐款!K3: https://news.example/集團A', '捐款!L3: https://news.example/集團B'],
+      reviewUpdates: ['2: merged', '3: merged'],
+      rejected: ['am730: 集團A', 'am730: 集團B'],
+      problems: ['4: 捐款 row 3 (某集團) has both sources filled; add https://news.example/集團C by hand and set Review to merged'],
+    },
+  ],
+  [
+    'merged-into: target not found, ambiguous or missing',
+    [tabRow('甲', REVIEW_STATUS.MERGED_INTO, '無此人'), tabRow('乙', REVIEW_STATUS.MERGED_INTO, '同名基金'), tabRow('丙', REVIEW_STATUS.MERGED_INTO, '99'), tabRow('丁', REVIEW_STATUS.MERGED_INTO, '')],
+    DONATIONS,
+    {
+      problems: [
+        '2: no donor named "無此人" in 捐款',
+        '3: 2 donors named "同名基金" in 捐款 (rows 5, 6); use a row number',
+        '4: 捐款 row 99 has no donor',
+        '5: Merge Into is empty; give the 捐款 row number or donor name',
+      ],
+    },
+  ],
+  [
+    'rejected: left as it is',
+    [tabRow('無關捐款', REVIEW_STATUS.REJECTED)],
+    DONATIONS,
+    { rejected: ['am730: 無關捐款'] },
+  ],
+  [
+    'pending, blank and done rows: nothing to do',
+    [tabRow('甲', REVIEW_STATUS.PENDING), tabRow('乙', ''), tabRow('丙', REVIEW_STATUS.PROMOTED), tabRow('丁', REVIEW_STATUS.MERGED)],
+    DONATIONS,
+    {},
+  ],
+  [
+    'unknown Review value',
+    [tabRow('新捐款者', 'acepted')],
+    DONATIONS,
+    { problems: ['2: unknown Review "acepted" (use pending, accepted, rejected, merged-into)'] },
+  ],
+];
+
+/**
+ * Reduce a plan to what the cases compare, leaving out empty parts
+ * @param {Object} plan - From planPromotion()
+ * @param {string[]} headers - 捐款 headers
+ * @returns {Object}
+ */
+function summarize(plan, headers) {
+  const summary = {
+    appends: plan.appends.map(values => Object.fromEntries(
+      values.map((value, i) => [headers[i], value]).filter(([, value]) => value)
+    )),
+    cellUpdates: plan.cellUpdates.map(u => `${u.range}: ${u.value}`),
+    reviewUpdates: plan.reviewUpdates.map(u => `${u.rowNumber}: ${u.status}`),
+    rejected: plan.rejected.map(r => `${r.sourceId}: ${r.entity}`),
+    problems: plan.problems.map(p => `${p.rowNumber}: ${p.message}`),
+  };
+  return Object.fromEntries(Object.entries(summary).filter(([, list]) => list.length > 0));
+}
+
+console.log('Promotion Test');
+console.log('='.repeat(70));
+console.log('');
+
+let passed = 0;
+let failed = 0;
+
+for (const [name, rows, donationValues, expected] of CASES) {
+  const dataRows = rows.map((values, i) => ({ rowNumber: i + 2, values }));
+  const got = summarize(planPromotion(dataRows, donationValues), donationValues[0]);
+  if (JSON.stringify(got) === JSON.stringify(expected)) {
+    passed++;
+    console.log(`✓ PASS: ${name}`);
+  } else {
+    failed++;
+    console.log(`✗ FAIL: ${name}`);
+    console.log(`        Expected: ${JSON.stringify(expected)}`);
+    console.log(`        Got:      ${JSON.stringify(got)}`);
+  }
+}
+
+console.log('');
+console.log('='.repeat(70));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('='.repeat(70));
+
+process.exit(failed > 0 ? 1 : 0);
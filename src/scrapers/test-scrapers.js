@@ -0,0 +1,231 @@
+/**
+ * Test Scrapers
+ *
+ * Feeds saved pages through each scraper's parse() and compares the records
+ * (after source defaults) with the expected ones, so a layout change on a
+ * site shows up as a field-by-field diff instead of a quiet run with zero rows.
+ *
+ * Fixtures live in src/scrapers/fixtures/<source id>/ as pairs:
+ *   <name>.html   the page as fetched
+ *   <name>.json   {url, capturedAt, note, expected: [records]}
+ * Fixtures are captured from the site (--capture); one with capturedAt null
+ * wasn't, so it can't show a real layout change and fails. Sources without
+ * fixtures yet are listed, not failed.
+ *
+ * Usage:
+ *   node src/scrapers/test-scrapers.js                  # check every fixture
+ *   node src/scrapers/test-scrapers.js --only weibo     # one source
+ *   node src/scrapers/test-scrapers.js --update         # rewrite expected records from the current parsers
+ *   node src/scrapers/test-scrapers.js --capture am730  # copy am730's pages from the page cache into fixtures
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSources, applySourceDefaults } = require('./registry');
+const { configureCache, readEntry } = require('./http-cache');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const argv = process.argv.slice(2);
+const argValue = (name) => {
+  const i = argv.indexOf(name);
+  return i >= 0 ? argv[i + 1] : null;
+};
+
+/**
+ * List a source's fixtures
+ * @param {string} sourceId
+ * @returns {{name: string, htmlFile: string, jsonFile: string}[]}
+ */
+function listFixtures(sourceId) {
+  const dir = path.join(FIXTURES_DIR, sourceId);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.html'))
+    .sort()
+    .map(file => {
+      const name = file.slice(0, -'.html'.length);
+      return { name, htmlFile: path.join(dir, file), jsonFile: path.join(dir, `${name}.json`) };
+    });
+}
+
+/**
+ * Parse a fixture page the way run-all.js would
+ * @param {Object} entry - {source, scraper} from loadSources()
+ * @param {string} html
+ * @param {string} url
+ * @returns {Object[]}
+ */
+function parseFixture({ source, scraper }, html, url) {
+  return scraper.parse(html, source, url).map(record => applySourceDefaults(record, source));
+}
+
+/**
+ * Describe how the parsed records differ from the expected ones
+ * Records are paired by entity, so one missing row doesn't shift every later diff.
+ * @param {Object[]} expected
+ * @param {Object[]} actual
+ * @returns {string[]} - Empty if they match
+ */
+function diffRecords(expected, actual) {
+  const lines = [];
+  const show = value => JSON.stringify(value === undefined ? null : value);
+
+  if (actual.length === 0 && expected.length > 0) {
+    lines.push(`parsed 0 records, expected ${expected.length}: the page layout has probably changed`);
+    return lines;
+  }
+
+  const actualByEntity = new Map(actual.map(r => [r.entity, r]));
+  const expectedEntities = new Set(expected.map(r => r.entity));
+
+  expected.forEach(want => {
+    const got = actualByEntity.get(want.entity);
+    if (!got) {
+      lines.push(`missing: "${want.entity}"`);
+      return;
+    }
+    const fields = new Set([...Object.keys(want), ...Object.keys(got)]);
+    fields.forEach(field => {
+      if (show(want[field]) !== show(got[field])) {
+        lines.push(`"${want.entity}" ${field}: expected ${show(want[field])}, got ${show(got[field])}`);
+      }
+    });
+  });
+
+  actual
+    .filter(r => !expectedEntities.has(r.entity))
+    .forEach(r => lines.push(`unexpected: "${r.entity}" (${show(r.totalValue)})`));
+
+  if (lines.length === 0 && expected.map(r => r.entity).join('\n') !== actual.map(r => r.entity).join('\n')) {
+    lines.push('same records in a different order');
+  }
+
+  return lines;
+}
+
+/**
+ * Copy a source's saved pages from the page cache into its fixtures
+ * The expected records are the current parser output: check them by hand before committing.
+ * @param {Object} entry - {source, scraper} from loadSources()
+ * @returns {number} - Fixtures written
+ */
+function captureFixtures(entry) {
+  const { source } = entry;
+  // As fetchPage() saves them
+  const variant = source.fetch === 'rendered'
+    ? (source.render && source.render.mobile ? 'rendered-mobile' : 'rendered')
+    : 'static';
+  const dir = path.join(FIXTURES_DIR, source.id);
+  let written = 0;
+
+  source.urls.forEach((url, i) => {
+    const saved = readEntry(url, variant);
+    if (!saved) {
+      console.log(`⚠ ${source.id}: no saved page for ${url} (run: npm run scrape:record -- --only ${source.id} --dry-run)`);
+      return;
+    }
+    const date = saved.meta.fetchedAt.slice(0, 10);
+    const name = source.urls.length > 1 ? `${date}-${i + 1}` : date;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${name}.html`), saved.body);
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({
+      url,
+      capturedAt: saved.meta.fetchedAt,
+      note: '',
+      expected: parseFixture(entry, saved.body, url),
+    }, null, 2) + '\n');
+    console.log(`✓ ${source.id}: captured ${url} as fixtures/${source.id}/${name}.html`);
+    written++;
+  });
+
+  return written;
+}
+
+// Main
+const entries = loadSources();
+const only = (argValue('--only') || '').split(',').filter(Boolean);
+const captureId = argValue('--capture');
+const update = argv.includes('--update');
+
+if (captureId) {
+  const entry = entries.find(e => e.source.id === captureId);
+  if (!entry) {
+    console.error(`Unknown scraper source: ${captureId}`);
+    process.exit(1);
+  }
+  configureCache({ dir: argValue('--cache-dir') });
+  process.exit(captureFixtures(entry) > 0 ? 0 : 1);
+}
+
+console.log('='.repeat(70));
+console.log('Scraper Fixture Test');
+console.log('='.repeat(70));
+console.log('');
+
+let passed = 0;
+let failed = 0;
+const withoutFixtures = [];
+
+for (const entry of entries) {
+  const { source } = entry;
+  if (only.length > 0 && !only.includes(source.id)) continue;
+
+  const fixtures = listFixtures(source.id);
+  if (fixtures.length === 0) {
+    withoutFixtures.push(source.id);
+    continue;
+  }
+
+  for (const fixture of fixtures) {
+    const label = `${source.id}/${fixture.name}`;
+    if (!fs.existsSync(fixture.jsonFile)) {
+      failed++;
+      console.log(`✗ FAIL: ${label}: missing ${fixture.name}.json (run with --update to create it)`);
+      continue;
+    }
+
+    const spec = JSON.parse(fs.readFileSync(fixture.jsonFile, 'utf8'));
+    if (!spec.capturedAt) {
+      failed++;
+      console.log(`✗ FAIL: ${label}: not captured from the site (capturedAt is null); capture it with --capture ${source.id}`);
+      continue;
+    }
+    let actual;
+    try {
+      actual = parseFixture(entry, fs.readFileSync(fixture.htmlFile, 'utf8'), spec.url);
+    } catch (error) {
+      failed++;
+      console.log(`✗ FAIL: ${label}: parse() threw: ${error.message}`);
+      continue;
+    }
+
+    if (update) {
+      fs.writeFileSync(fixture.jsonFile, JSON.stringify({ ...spec, expected: actual }, null, 2) + '\n');
+      console.log(`✓ UPDATED: ${label} (${actual.length} records)`);
+      continue;
+    }
+
+    const diff = diffRecords(spec.expected || [], actual);
+    if (diff.length === 0) {
+      passed++;
+      console.log(`✓ PASS: ${label} (${actual.length} records)`);
+    } else {
+      failed++;
+      console.log(`✗ FAIL: ${label}`);
+      diff.forEach(line => console.log(`        ${line}`));
+    }
+  }
+}
+
+if (withoutFixtures.length > 0) {
+  console.log('');
+  console.log(`No fixtures yet: ${withoutFixtures.join(', ')} (see docs/scrapers.md#fixture-tests)`);
+}
+
+console.log('');
+console.log('='.repeat(70));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('='.repeat(70));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,180 @@
+/**
+ * Test Seen State
+ *
+ * Runs a source several times against an in-memory 自動更新列表, as run-all.js
+ * does (classifyRecords(), mergeAutoUpdateRows(), markSeen(), markRejected()),
+ * and checks each run's Scrape Status and the rows it updates, adds, skips or
+ * leaves out as rejected. Between runs, a case can change the tab as an
+ * editor would.
+ *
+ * Usage: node src/scrapers/test-seen-state.js
+ */
+
+const { createDonationRecord } = require('./base');
+const { SEEN_STATUS, classifyRecords, markSeen, markRejected } = require('./seen-state');
+const { SCRAPER_HEADERS, REVIEW_STATUS, findDataRows, mergeAutoUpdateRows, findReviewedRows } = require('./sheet-writer');
+
+const SOURCE = 'test-source';
+const STATUS = SCRAPER_HEADERS.indexOf('Scrape Status');
+const REVIEW = SCRAPER_HEADERS.length;
+
+/**
+ * Make a scraped donation
+ * @param {string} entity
+ * @param {number} totalValue
+ * @returns {Object}
+ */
+function donation(entity, totalValue) {
+  return createDonationRecord({ entity, totalValue, cashValue: totalValue, primarySource: SOURCE });
+}
+
+/**
+ * Make an editor's change: set a row's Review
+ * @param {number} rowNumber
+ * @param {string} status
+ * @returns {Function} - Changes the tab in place
+ */
+function review(rowNumber, status) {
+  return tab => { tab[rowNumber - 1][REVIEW] = status; };
+}
+
+/**
+ * Make an editor's change: remove a row
+ * @param {number} rowNumber
+ * @returns {Function} - Changes the tab in place
+ */
+function removeRow(rowNumber) {
+  return tab => { tab.splice(rowNumber - 1, 1); };
+}
+
+/**
+ * Run the source once and apply the result to the tab
+ * @param {Object} state - Seen state, updated in place
+ * @param {string[][]} tab - Tab rows with the header, updated in place
+ * @param {Object[]} records - What the source lists this run
+ * @param {string} at - ISO time of the run
+ * @returns {{statuses: string[], updated: number, added: number, skipped: number, rejected: number}}
+ *   statuses are the tab's Scrape Status column after the run
+ */
+function run(state, tab, records, at) {
+  const seen = classifyRecords(state, SOURCE, records);
+  const donations = records.map((r, i) => ({ ...r, sourceId: SOURCE, seen: seen[i] }));
+  const dataRows = findDataRows(tab);
+  const { updates, added, skipped, rejected } = mergeAutoUpdateRows(dataRows, donations, at);
+
+  updates.forEach(u => { tab[u.rowNumber - 1] = [...u.values, ...tab[u.rowNumber - 1].slice(u.values.length)]; });
+  tab.push(...added);
+  donations.forEach(d => markSeen(state, SOURCE, d, at, d.seen));
+  findReviewedRows(dataRows).forEach(r => markRejected(state, r.sourceId, r.entity, r.amount, at, r.rejected));
+  rejected.forEach(r => markRejected(state, r.sourceId, r.entity, r.amount, at));
+
+  return {
+    statuses: tab.slice(1).map(row => row[STATUS]),
+    updated: updates.length,
+    added: added.length,
+    skipped,
+    rejected: rejected.length,
+  };
+}
+
+// [name, runs: [records, expected run(), editor's change before the run]]; each case
+// starts with an empty tab and state
+const CASES = [
+  [
+    'same donor listed twice with different amounts',
+    [
+      [[donation('某集團', 10000000), donation('某集團', 5000000)],
+        { statuses: [SEEN_STATUS.NEW, SEEN_STATUS.NEW], updated: 0, added: 2, skipped: 0, rejected: 0 }],
+      [[donation('某集團', 10000000), donation('某集團', 5000000)],
+        { statuses: [SEEN_STATUS.SEEN, SEEN_STATUS.SEEN], updated: 2, added: 0, skipped: 0, rejected: 0 }],
+      [[donation('某集团', 5000000), donation('某集團', 10000000)],
+        { statuses: [SEEN_STATUS.SEEN, SEEN_STATUS.SEEN], updated: 2, added: 0, skipped: 0, rejected: 0 }],
+    ],
+  ],
+  [
+    'a donor\'s only donation changes amount',
+    [
+      [[donation('某基金會', 1000000)],
+        { statuses: [SEEN_STATUS.NEW], updated: 0, added: 1, skipped: 0, rejected: 0 }],
+      [[donation('某基金會', 2000000)],
+        { statuses: [SEEN_STATUS.CHANGED], updated: 1, added: 0, skipped: 0, rejected: 0 }],
+      [[donation('某基金會', 2000000)],
+        { statuses: [SEEN_STATUS.SEEN], updated: 1, added: 0, skipped: 0, rejected: 0 }],
+    ],
+  ],
+  [
+    'a donor listed twice adds a second donation',
+    [
+      [[donation('某基金會', 1000000)],
+        { statuses: [SEEN_STATUS.NEW], updated: 0, added: 1, skipped: 0, rejected: 0 }],
+      [[donation('某基金會', 1000000), donation('某基金會', 3000000)],
+        { statuses: [SEEN_STATUS.SEEN, SEEN_STATUS.NEW], updated: 1, added: 1, skipped: 0, rejected: 0 }],
+    ],
+  ],
+  [
+    'rejected row: its amount stays out, a top-up doesn\'t, and setting Review back undoes it',
+    [
+      [[donation('某商會', 1000000)],
+        { statuses: [SEEN_STATUS.NEW], updated: 0, added: 1, skipped: 0, rejected: 0 }],
+      [[donation('某商會', 1000000)],
+        { statuses: [SEEN_STATUS.NEW], updated: 0, added: 0, skipped: 0, rejected: 1 },
+        review(2, REVIEW_STATUS.REJECTED)],
+      [[donation('某商會', 1000000)],
+        { statuses: [SEEN_STATUS.NEW], updated: 0, added: 0, skipped: 0, rejected: 1 }],
+      [[donation('某商會', 3000000)],
+        { statuses: [SEEN_STATUS.NEW, SEEN_STATUS.NEW], updated: 0, added: 1, skipped: 0, rejected: 0 }],
+      [[donation('某商會', 1000000), donation('某商會', 3000000)],
+        { statuses: [SEEN_STATUS.SEEN, SEEN_STATUS.SEEN], updated: 2, added: 0, skipped: 0, rejected: 0 },
+        review(2, REVIEW_STATUS.PENDING)],
+      // No longer rejected in the seen state: a removed row is skipped as seen
+      [[donation('某商會', 1000000), donation('某商會', 3000000)],
+        { statuses: [SEEN_STATUS.SEEN], updated: 1, added: 0, skipped: 1, rejected: 0 },
+        removeRow(2)],
+    ],
+  ],
+  [
+    'rejected row removed: stays out',
+    [
+      [[donation('某商會', 1000000)],
+        { statuses: [SEEN_STATUS.NEW], updated: 0, added: 1, skipped: 0, rejected: 0 }],
+      [[donation('某商會', 1000000)],
+        { statuses: [SEEN_STATUS.NEW], updated: 0, added: 0, skipped: 0, rejected: 1 },
+        review(2, REVIEW_STATUS.MERGED)],
+      [[donation('某商會', 1000000)],
+        { statuses: [], updated: 0, added: 0, skipped: 0, rejected: 1 },
+        removeRow(2)],
+    ],
+  ],
+];
+
+console.log('Seen State Test');
+console.log('='.repeat(70));
+console.log('');
+
+let passed = 0;
+let failed = 0;
+
+for (const [name, runs] of CASES) {
+  const state = {};
+  const tab = [SCRAPER_HEADERS];
+  runs.forEach(([records, expected, edit], i) => {
+    if (edit) edit(tab);
+    const got = run(state, tab, records, new Date(Date.UTC(2026, 0, 1 + i)).toISOString());
+    if (JSON.stringify(got) === JSON.stringify(expected)) {
+      passed++;
+      console.log(`✓ PASS: ${name}, run ${i + 1}`);
+    } else {
+      failed++;
+      console.log(`✗ FAIL: ${name}, run ${i + 1}`);
+      console.log(`        Expected: ${JSON.stringify(expected)}`);
+      console.log(`        Got:      ${JSON.stringify(got)}`);
+    }
+  });
+}
+
+console.log('');
+console.log('='.repeat(70));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('='.repeat(70));
+
+process.exit(failed > 0 ? 1 : 0);
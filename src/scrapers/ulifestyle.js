@@ -2,68 +2,42 @@
  * ULifestyle Donations Scraper
  * 
  * Scrapes donation list from ULifestyle article about celebrity donations.
- * URL: https://hk.ulifestyle.com.hk/topic/detail/20082848
+ * Source: "ulifestyle" in sources.json
  * 
  * The page contains HTML tables with donor names and amounts.
  */
 
-const { fetchHtml, parseHtml, createDonationRecord } = require('./base');
-
-const SOURCE_URL = 'https://hk.ulifestyle.com.hk/topic/detail/20082848';
-const SOURCE_NAME = 'ULifestyle (港生活)';
+const { fetchPage, parseHtml, findAmounts, createDonationRecord, markupError } = require('./base');
+const { detectCurrency, convertToHKD } = require('../currency');
 
 /**
  * Parse amount string to number
  * @param {string} amountStr - e.g., "100萬港元", "2000萬港元", "50萬港幣", "5億韓幣"
- * @returns {{ amount: number, originalNote: string }|null}
+ * @returns {{ amount: number, originalCurrency: string, originalAmount: number|null }|null}
  */
 function parseAmount(amountStr) {
   if (!amountStr || typeof amountStr !== 'string') return null;
   
-  // Determine currency
-  let currency = 'HKD';
-  if (amountStr.includes('人民幣') || amountStr.includes('RMB')) {
-    currency = 'RMB';
-  } else if (amountStr.includes('韓幣') || amountStr.includes('韓元') || amountStr.includes('韓圜')) {
-    currency = 'KRW';
-  } else if (amountStr.includes('台幣') || amountStr.includes('台元')) {
-    currency = 'TWD';
-  }
-  
-  // Extract number with unit using regex
-  // Pattern: number followed by optional unit (萬/億/百萬)
-  const match = amountStr.match(/(\d+(?:,\d{3})*(?:\.\d+)?)\s*(萬|億|百萬)?/);
-  if (!match) return null;
-  
-  let num = parseFloat(match[1].replace(/,/g, ''));
-  if (isNaN(num)) return null;
-  
-  const unit = match[2] || '';
-  let multiplier = 1;
-  if (unit === '萬') multiplier = 10000;
-  else if (unit === '億') multiplier = 100000000;
-  else if (unit === '百萬') multiplier = 1000000;
+  // First amount in the cell, e.g. "100萬港元" in "100萬港元（首期）"
+  const [parsed] = findAmounts(amountStr);
+  if (!parsed) return null;
   
-  let amount = num * multiplier;
+  // Determine currency (amounts without one are in HKD)
+  const currency = parsed.currency || detectCurrency(amountStr) || 'HKD';
+  const amount = parsed.value;
   
-  // Convert to HKD if needed
-  let hkdAmount = amount;
-  let originalNote = '';
-  
-  if (currency === 'RMB') {
-    hkdAmount = Math.round(amount * 1.1); // Approximate RMB to HKD
-    originalNote = `${num}${unit}人民幣`;
-  } else if (currency === 'KRW') {
-    hkdAmount = Math.round(amount * 0.0059); // Approximate KRW to HKD
-    originalNote = `${num}${unit}韓元`;
-  } else if (currency === 'TWD') {
-    hkdAmount = Math.round(amount * 0.24); // Approximate TWD to HKD
-    originalNote = `${num}${unit}台幣`;
+  if (currency === 'HKD') {
+    return { amount, originalCurrency: '', originalAmount: null };
   }
   
+  // Convert to HKD with the shared FX table
+  const converted = convertToHKD(amount, currency);
+  if (!converted) return null;
+  
   return {
-    amount: hkdAmount,
-    originalNote: originalNote,
+    amount: converted.amount,
+    originalCurrency: currency,
+    originalAmount: amount,
   };
 }
 
@@ -109,92 +83,121 @@ function determineCapital(name, sectionTitle) {
   return '香港';
 }
 
+/**
+ * Parse the donor tables of a ULifestyle article
+ * @param {string} html
+ * @param {Object} source - Source entry
+ * @param {string} url - Article the HTML is from
+ * @returns {Object[]} - One record per donor
+ */
+function parse(html, source, url) {
+  const $ = parseHtml(html);
+  const donations = [];
+  const seen = new Set();
+  
+  let currentSection = '香港藝人'; // Default section
+  
+  // Track section headers
+  $('h2').each((i, el) => {
+    const text = $(el).text().trim();
+    if (text.includes('韓國')) currentSection = '韓國藝人';
+    else if (text.includes('中國')) currentSection = '中國藝人';
+    else if (text.includes('台灣')) currentSection = '台灣藝人';
+    else if (text.includes('香港')) currentSection = '香港藝人';
+  });
+  
+  // Parse tables - the article has multiple tables with donor info
+  if (!$('table').length) {
+    throw markupError('Could not find any donor tables in the article', 'table');
+  }
+  
+  $('table').each((tableIdx, table) => {
+    // Get section context from nearby h2
+    let sectionContext = '香港';
+    $(table).prevAll('h2').first().each((i, h2) => {
+      const h2Text = $(h2).text().trim();
+      if (h2Text.includes('韓國')) sectionContext = '韓國';
+      else if (h2Text.includes('中國')) sectionContext = '中國';
+      else if (h2Text.includes('台灣')) sectionContext = '台灣';
+    });
+    
+    $(table).find('tr').each((rowIdx, row) => {
+      const cells = $(row).find('td');
+      if (cells.length >= 2) {
+        const entityText = $(cells[0]).text().trim();
+        const amountText = $(cells[1]).text().trim();
+        
+        // Skip header rows
+        if (entityText.includes('捐贈藝人') || entityText.includes('捐贈金額') ||
+            entityText.includes('公司') && amountText.includes('金額')) {
+          return;
+        }
+        
+        // Skip non-monetary entries like "首場收益" or "演唱會收益"
+        if (amountText.includes('收益') || amountText.includes('盈利') || 
+            amountText.includes('產品') && !amountText.match(/\d/)) {
+          return;
+        }
+        
+        if (entityText && amountText) {
+          const parsed = parseAmount(amountText);
+          if (parsed && parsed.amount > 0) {
+            const key = entityText.toLowerCase().replace(/\s+/g, '');
+            if (!seen.has(key)) {
+              seen.add(key);
+              
+              const type = determineType(entityText);
+              const capital = determineCapital(entityText, sectionContext);
+              
+              const donation = createDonationRecord({
+                entity: entityText,
+                totalValue: parsed.amount,
+                cashValue: parsed.amount,
+                capital: capital,
+                type: type,
+                originalCurrency: parsed.originalCurrency,
+                originalAmount: parsed.originalAmount,
+                primarySource: '',
+                secondarySource: url,
+                verificationLink: '',
+              });
+              
+              donations.push(donation);
+            }
+          }
+        }
+      }
+    });
+  });
+  
+  return donations;
+}
+
 /**
  * Scrape donations from ULifestyle
+ * @param {Object} source - Source entry from sources.json
  * @returns {Promise<Object[]>}
  */
-async function scrape() {
-  console.log(`\n=== Scraping: ${SOURCE_NAME} ===`);
-  console.log(`  URL: ${SOURCE_URL}`);
+async function scrape(source) {
+  console.log(`\n=== Scraping: ${source.name} ===`);
   
   try {
-    const html = await fetchHtml(SOURCE_URL);
-    const $ = parseHtml(html);
-    
     const donations = [];
     const seen = new Set();
     
-    let currentSection = '香港藝人'; // Default section
-    
-    // Track section headers
-    $('h2').each((i, el) => {
-      const text = $(el).text().trim();
-      if (text.includes('韓國')) currentSection = '韓國藝人';
-      else if (text.includes('中國')) currentSection = '中國藝人';
-      else if (text.includes('台灣')) currentSection = '台灣藝人';
-      else if (text.includes('香港')) currentSection = '香港藝人';
-    });
-    
-    // Parse tables - the article has multiple tables with donor info
-    $('table').each((tableIdx, table) => {
-      // Get section context from nearby h2
-      let sectionContext = '香港';
-      $(table).prevAll('h2').first().each((i, h2) => {
-        const h2Text = $(h2).text().trim();
-        if (h2Text.includes('韓國')) sectionContext = '韓國';
-        else if (h2Text.includes('中國')) sectionContext = '中國';
-        else if (h2Text.includes('台灣')) sectionContext = '台灣';
-      });
+    for (const url of source.urls) {
+      console.log(`  URL: ${url}`);
+      const html = await fetchPage(url, source);
       
-      $(table).find('tr').each((rowIdx, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 2) {
-          const entityText = $(cells[0]).text().trim();
-          const amountText = $(cells[1]).text().trim();
-          
-          // Skip header rows
-          if (entityText.includes('捐贈藝人') || entityText.includes('捐贈金額') ||
-              entityText.includes('公司') && amountText.includes('金額')) {
-            return;
-          }
-          
-          // Skip non-monetary entries like "首場收益" or "演唱會收益"
-          if (amountText.includes('收益') || amountText.includes('盈利') || 
-              amountText.includes('產品') && !amountText.match(/\d/)) {
-            return;
-          }
-          
-          if (entityText && amountText) {
-            const parsed = parseAmount(amountText);
-            if (parsed && parsed.amount > 0) {
-              const key = entityText.toLowerCase().replace(/\s+/g, '');
-              if (!seen.has(key)) {
-                seen.add(key);
-                
-                const type = determineType(entityText);
-                const capital = determineCapital(entityText, sectionContext);
-                
-                const donation = createDonationRecord({
-                  entity: entityText,
-                  totalValue: parsed.amount,
-                  cashValue: parsed.amount,
-                  capital: capital,
-                  industry: '娛樂',
-                  type: type,
-                  note: parsed.originalNote || '',
-                  primarySource: '',
-                  secondarySource: SOURCE_URL,
-                  verificationLink: '',
-                });
-                
-                donations.push(donation);
-                console.log(`  Found: ${entityText} - $${parsed.amount?.toLocaleString() || 'N/A'} (${capital})`);
-              }
-            }
-          }
-        }
-      });
-    });
+      for (const donation of parse(html, source, url)) {
+        // Deduplicate across articles
+        const key = donation.entity.toLowerCase().replace(/\s+/g, '');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        donations.push(donation);
+        console.log(`  Found: ${donation.entity} - $${donation.totalValue?.toLocaleString() || 'N/A'} (${donation.capital})`);
+      }
+    }
     
     console.log(`  Total parsed: ${donations.length} donations`);
     
@@ -206,5 +209,4 @@ async function scrape() {
   }
 }
 
-module.exports = { scrape, SOURCE_NAME, SOURCE_URL };
-
+module.exports = { scrape, parse };
@@ -3,67 +3,43 @@
  * 
  * Scrapes donation posts from Weibo accounts (using mobile site m.weibo.cn).
  * Mobile site doesn't require login and shows full post content.
+ *
+ * Source: "weibo" in sources.json. Each URL is an account page
+ * (https://m.weibo.cn/u/<id>); options.accountNames maps it to the account's
+ * name, which is recorded as the receiver.
  */
 
-const { fetchRenderedHtml, parseHtml, createDonationRecord } = require('./base');
+const { fetchPage, parseHtml, findAmounts, createDonationRecord, markupError } = require('./base');
+const { convertToHKD } = require('../currency');
 
-const SOURCE_NAME = 'Weibo (微博)';
-const SOURCE_URL = 'https://m.weibo.cn';
-
-// Weibo accounts to scrape
-const WEIBO_ACCOUNTS = [
-  {
-    id: '7747325954',
-    name: '上海復星公益基金會',
-    url: 'https://m.weibo.cn/u/7747325954',
-  },
-  // Add more accounts here as needed
-];
+/**
+ * Check every account URL has a name
+ * @param {Object} source
+ * @returns {string[]}
+ */
+function validateSource(source) {
+  const names = (source.options || {}).accountNames || {};
+  return source.urls
+    .filter(url => !names[url])
+    .map(url => `options.accountNames has no name for ${url}`);
+}
 
 /**
  * Parse amount from Weibo post text
  * @param {string} text 
- * @returns {{amount: number, isHKD: boolean}|null}
+ * @returns {{amount: number, currency: string}|null}
  */
 function parseAmount(text) {
   // Match patterns like: 30万元人民币, 50万人民币, 60万人民币, 100万港元, 捐赠350万人民币
-  // Must have 万/億/百万 followed by 元 or currency to be a valid donation amount
-  // This prevents matching like counts (1.8万) or other numbers
-  const amountMatch = text.match(/捐[赠款]\s*(\d+(?:\.\d+)?)\s*(万|億|百万)\s*(?:元)?\s*(人民币|港[币元])?/);
-  
-  if (!amountMatch) {
-    // Try alternative pattern: 捐款100万元人民币
-    const altMatch = text.match(/(\d+(?:\.\d+)?)\s*(万|億|百万)\s*元?\s*(人民币|港[币元])/);
-    if (!altMatch) return null;
-    
-    const num = parseFloat(altMatch[1]);
-    const unit = altMatch[2];
-    const currency = altMatch[3];
-    
-    let multiplier = 1;
-    if (unit === '万') multiplier = 10000;
-    else if (unit === '億') multiplier = 100000000;
-    else if (unit === '百万') multiplier = 1000000;
-    
-    const amount = num * multiplier;
-    const isHKD = currency && (currency.includes('港'));
-    
-    return { amount, isHKD };
-  }
-  
-  const num = parseFloat(amountMatch[1]);
-  const unit = amountMatch[2];
-  const currency = amountMatch[3];
-  
-  let multiplier = 1;
-  if (unit === '万') multiplier = 10000;
-  else if (unit === '億') multiplier = 100000000;
-  else if (unit === '百万') multiplier = 1000000;
-  
-  const amount = num * multiplier;
-  const isHKD = currency && (currency.includes('港'));
-  
-  return { amount, isHKD };
+  // Must have a unit (万/億/百万) and follow 捐赠/捐款 or name a currency to be a
+  // valid donation amount. This prevents matching like counts (1.8万) or other numbers
+  const amounts = findAmounts(text).filter(a => a.hasUnit);
+  const amount = amounts.find(a => /捐[赠款]\s*$/.test(text.slice(0, a.index)))
+    || amounts.find(a => a.currency);
+  if (!amount) return null;
+  
+  // Posts without a currency are in RMB
+  return { amount: amount.value, currency: amount.currency || 'CNY' };
 }
 
 /**
@@ -96,23 +72,23 @@ function extractEntityName(text) {
 }
 
 /**
- * Scrape a single Weibo account
- * @param {Object} account 
- * @returns {Promise<Object[]>}
+ * Parse the donation posts on a rendered account page
+ * @param {string} html
+ * @param {Object} source - Source entry (options.accountNames gives the receiver)
+ * @param {string} url - Account page the HTML is from
+ * @returns {Object[]} - One record per donor
  */
-async function scrapeAccount(account) {
-  console.log(`  Scraping: ${account.name} (${account.id})`);
-  
-  const html = await fetchRenderedHtml(account.url, {
-    waitTime: 4000,
-    mobile: true,
-  });
-  
+function parse(html, source, url) {
+  const account = { name: source.options.accountNames[url], url };
   const $ = parseHtml(html);
   const bodyText = $('body').text();
   
   // Split into potential posts (by date patterns or newlines)
   const posts = bodyText.split(/\d{1,2}-\d{1,2}\s+\d{1,2}:\d{1,2}/).filter(p => p.length > 50);
+  if (posts.length === 0) {
+    // A login wall or an empty render has no timestamped posts
+    throw markupError('Could not find any posts (no "MM-DD hh:mm" timestamps)', 'post timestamps');
+  }
   
   const donations = [];
   const seen = new Set();
@@ -141,18 +117,11 @@ async function scrapeAccount(account) {
     if (seen.has(key)) continue;
     seen.add(key);
     
-    // Convert RMB to HKD if needed
-    const hkdAmount = amountInfo.isHKD 
-      ? amountInfo.amount 
-      : Math.round(amountInfo.amount * 1.1);
-    
-    // Only add note for non-HKD donations with original amount in original currency
-    let note = '';
-    if (!amountInfo.isHKD) {
-      // Format as Chinese style: e.g. "30萬人民幣"
-      const amountInWan = amountInfo.amount / 10000;
-      note = `${amountInWan}萬人民幣`;
-    }
+    // Convert to HKD, keeping the original currency and amount
+    const isHKD = amountInfo.currency === 'HKD';
+    const hkdAmount = isHKD
+      ? amountInfo.amount
+      : convertToHKD(amountInfo.amount, amountInfo.currency).amount;
     
     const donation = createDonationRecord({
       entity: entity,
@@ -160,47 +129,72 @@ async function scrapeAccount(account) {
       totalValue: hkdAmount,
       cashValue: hkdAmount,
       goodsValue: null,
-      capital: '中國',
-      industry: '娛樂',
-      type: '藝人',
-      note: note,
+      capital: '',
+      industry: '',
+      type: '',
+      note: '',
       receiver: account.name,
       primarySource: account.url,
       secondarySource: '',
       verificationLink: account.url,
       dateOfAnnouncement: '',
+      originalCurrency: isHKD ? '' : amountInfo.currency,
+      originalAmount: isHKD ? null : amountInfo.amount,
     });
     
     donations.push(donation);
-    console.log(`    Found: ${entity} - $${hkdAmount.toLocaleString()} HKD`);
   }
   
   return donations;
 }
 
+/**
+ * Scrape a single Weibo account
+ * @param {{name: string, url: string}} account 
+ * @param {Object} source - Source entry
+ * @returns {Promise<Object[]>}
+ */
+async function scrapeAccount(account, source) {
+  console.log(`  Scraping: ${account.name} (${account.url})`);
+  
+  const html = await fetchPage(account.url, source);
+  const donations = parse(html, source, account.url);
+  donations.forEach(d => console.log(`    Found: ${d.entity} - $${d.totalValue.toLocaleString()} HKD`));
+  
+  return donations;
+}
+
 /**
  * Scrape all configured Weibo accounts
+ * @param {Object} source - Source entry from sources.json
  * @returns {Promise<Object[]>}
  */
-async function scrape() {
-  console.log(`\n=== Scraping: ${SOURCE_NAME} ===`);
-  console.log(`  Accounts: ${WEIBO_ACCOUNTS.length}`);
+async function scrape(source) {
+  console.log(`\n=== Scraping: ${source.name} ===`);
+  console.log(`  Accounts: ${source.urls.length}`);
   
+  const accounts = source.urls.map(url => ({ name: source.options.accountNames[url], url }));
   const allDonations = [];
+  const errors = [];
   
-  for (const account of WEIBO_ACCOUNTS) {
+  for (const account of accounts) {
     try {
-      const donations = await scrapeAccount(account);
+      const donations = await scrapeAccount(account, source);
       allDonations.push(...donations);
     } catch (error) {
       console.error(`  Error scraping ${account.name}: ${error.message}`);
+      errors.push(error);
     }
   }
   
+  // One unreadable account is logged; none readable is a failed source, not an empty one
+  if (errors.length === accounts.length) {
+    throw errors[0];
+  }
+  
   console.log(`  Total parsed: ${allDonations.length} donations`);
   
   return allDonations;
 }
 
-module.exports = { scrape, SOURCE_NAME, SOURCE_URL, WEIBO_ACCOUNTS };
-
+module.exports = { scrape, parse, validateSource };
@@ -153,11 +153,75 @@ async function fetchSeoPages() {
   }
 }
 
+/**
+ * Fetch the disbursement ledger from the 撥款 sheet (if exists)
+ * Each row records one tranche paid out against a pledge.
+ * @returns {Promise<{headers: string[], rows: string[][]} | null>}
+ */
+async function fetchDisbursements() {
+  try {
+    const { sheets, sheetId } = await createSheetsClient();
+    
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: '撥款!A:Z',
+    });
+    
+    const allRows = response.data.values || [];
+    
+    if (allRows.length === 0) {
+      return null;
+    }
+    
+    return {
+      headers: allRows[0],
+      rows: allRows.slice(1),
+    };
+  } catch (error) {
+    // Sheet might not exist yet
+    console.log('撥款 sheet not found, skipping disbursement ledger');
+    return null;
+  }
+}
+
+/**
+ * Fetch recipient fund info from the 收款機構 sheet (if exists)
+ * Each row links a receiving fund to its own disclosures.
+ * @returns {Promise<{headers: string[], rows: string[][]} | null>}
+ */
+async function fetchRecipientInfo() {
+  try {
+    const { sheets, sheetId } = await createSheetsClient();
+    
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: '收款機構!A:Z',
+    });
+    
+    const allRows = response.data.values || [];
+    
+    if (allRows.length === 0) {
+      return null;
+    }
+    
+    return {
+      headers: allRows[0],
+      rows: allRows.slice(1),
+    };
+  } catch (error) {
+    // Sheet might not exist yet
+    console.log('收款機構 sheet not found, skipping recipient disclosure links');
+    return null;
+  }
+}
+
 module.exports = {
   loadEnv,
   loadServiceAccount,
   createSheetsClient,
   fetchDonations,
   fetchSeoPages,
+  fetchDisbursements,
+  fetchRecipientInfo,
 };
 
@@ -0,0 +1,191 @@
+/**
+ * Test Amount Parser
+ *
+ * Table-driven checks for src/amount-parser.js, using amounts and headlines
+ * as the scrapers and the sheet see them. Add a case here whenever a new
+ * format turns up.
+ *
+ * Usage: node src/test-amount-parser.js
+ */
+
+const { findAmounts, parseAmountText } = require('./amount-parser');
+
+// Single amounts: [text, value, currency, confidence] (value null: not an amount)
+const TEXT_CASES = [
+  // Sheet cells
+  ['30000000', 30000000, null, 'high'],
+  ['$30,000,000', 30000000, null, 'high'],
+  ['$1,500,000.50', 1500000.5, null, 'high'],
+  ['HKD 1,000,000', 1000000, 'HKD', 'high'],
+  ['HK$500,000', 500000, 'HKD', 'high'],
+  ['-5000', -5000, null, 'high'],
+  ['1,000,000元', 1000000, null, 'high'],
+  ['0', 0, null, 'high'],
+
+  // 萬 / 億 / 百萬 with digits
+  ['1000萬', 10000000, null, 'high'],
+  ['3億', 300000000, null, 'high'],
+  ['1.5億', 150000000, null, 'high'],
+  ['30萬元', 300000, null, 'high'],
+  ['500万', 5000000, null, 'high'],
+  ['2亿', 200000000, null, 'high'],
+  ['2百萬', 2000000, null, 'high'],
+  ['1.5百萬', 1500000, null, 'high'],
+  ['3千萬', 30000000, null, 'high'],
+  ['5千', 5000, null, 'high'],
+
+  // Mixed forms
+  ['1億2000萬', 120000000, null, 'high'],
+  ['1億2千萬', 120000000, null, 'high'],
+  ['2億零500萬', 205000000, null, 'high'],
+
+  // Chinese numerals
+  ['三千萬', 30000000, null, 'medium'],
+  ['一億二千萬', 120000000, null, 'medium'],
+  ['兩百萬', 2000000, null, 'medium'],
+  ['两百万', 2000000, null, 'medium'],
+  ['十萬', 100000, null, 'medium'],
+  ['五十萬', 500000, null, 'medium'],
+  ['一千零五十萬', 10500000, null, 'medium'],
+  ['千萬', 10000000, null, 'medium'],
+  ['一億', 100000000, null, 'medium'],
+  ['伍佰萬', 5000000, null, 'medium'],
+  ['三千萬港元', 30000000, 'HKD', 'medium'],
+
+  // Full-width digits
+  ['１０００萬', 10000000, null, 'high'],
+  ['３．５億', 350000000, null, 'high'],
+  ['＄２００，０００', 200000, null, 'high'],
+
+  // English units
+  ['1.5 million', 1500000, null, 'high'],
+  ['HK$2bn', 2000000000, 'HKD', 'high'],
+  ['HK$1.2m', 1200000, 'HKD', 'high'],
+  ['US$5 million', 5000000, 'USD', 'high'],
+  ['RMB 3m', 3000000, 'CNY', 'high'],
+  ['500k', 500000, null, 'high'],
+  ['2 billion', 2000000000, null, 'high'],
+  ['HKD 10 Million', 10000000, 'HKD', 'high'],
+  ['30 thousand', 30000, null, 'high'],
+
+  // Currencies before or after
+  ['100萬港元', 1000000, 'HKD', 'high'],
+  ['50萬港幣', 500000, 'HKD', 'high'],
+  ['港幣1,000,000元', 1000000, 'HKD', 'high'],
+  ['1000万元人民币', 10000000, 'CNY', 'high'],
+  ['人民幣100萬', 1000000, 'CNY', 'high'],
+  ['500万元港币', 5000000, 'HKD', 'high'],
+  ['5億韓幣', 500000000, 'KRW', 'high'],
+  ['1000萬日圓', 10000000, 'JPY', 'high'],
+  ['100萬新台幣', 1000000, 'TWD', 'high'],
+  ['US$1,000,000', 1000000, 'USD', 'high'],
+  ['€50,000', 50000, 'EUR', 'high'],
+
+  // Not a single amount
+  ['', null],
+  ['unclear', null],
+  ['abc', null],
+  ['30000abc', null],
+  ['一', null],
+  ['第一', null],
+  ['二〇二五', null],
+  ['100萬及50萬', null],
+  ['逾1000萬', null],
+  ['1000萬至2000萬', null],
+  ['5 metres', null],
+];
+
+// Amounts in running text: [text, [value, currency][]] in order of appearance,
+// with at least 'medium' confidence (bare numbers in text are usually dates or counts)
+const HEADLINE_CASES = [
+  // 星島頭條
+  ['李嘉誠捐3000萬 基金會額外5000萬後續支援', [[30000000, null], [50000000, null]]],
+  ['公益金撥款5000萬成立援助基金', [[50000000, null]]],
+  ['霍英東基金會捐贈3000萬', [[30000000, null]]],
+  ['DFI集團捐1000萬及500萬物資', [[10000000, null], [5000000, null]]],
+  ['恒基兆業捐一億 李家傑：盡力協助災民', [[100000000, null]]],
+  ['新鴻基地產捐1億2000萬支援重建', [[120000000, null]]],
+  ['港鐵捐三千萬元 另設熱線', [[30000000, null]]],
+
+  // am730
+  ['Bakehouse捐20萬賑災', [[200000, null]]],
+  ['香港區Mister Donut捐100萬', [[1000000, null]]],
+  ['華御結捐300萬現金及餐飲券', [[3000000, null]]],
+  ['某商會捐出100萬，再捐200萬物資', [[1000000, null], [2000000, null]]],
+  ['韓印紅捐贈20萬現金券＋韓國水及韓國蛋', [[200000, null]]],
+
+  // 港生活
+  ['騰訊捐5000萬港元', [[50000000, 'HKD']]],
+  ['三星捐5億韓幣（約265萬港元）', [[500000000, 'KRW'], [2650000, 'HKD']]],
+
+  // 中國紅十字會
+  ['杭州灵隐寺捐赠1000万元人民币紧急驰援香港大埔火灾救援', [[10000000, 'CNY']]],
+  ['刘亦菲女士捐赠150万元人民币紧急驰援香港大埔火灾救援', [[1500000, 'CNY']]],
+  ['得力集团有限公司捐赠500万元港币紧急驰援香港大埔火灾救援', [[5000000, 'HKD']]],
+
+  // 保良局
+  ['(1) 某有限公司捐出港幣1,000,000元', [[1000000, 'HKD']]],
+  ['(12）某基金會通過保良局捐出共港幣2,500,000元', [[2500000, 'HKD']]],
+
+  // 微博
+  ['上海复星公益基金会捐赠30万元人民币 阅读1.8万', [[300000, 'CNY'], [18000, null]]],
+  ['11月27日 复星捐款100万港元', [[1000000, 'HKD']]],
+
+  // English
+  ['HSBC pledges HK$30 million to Tai Po fire victims', [[30000000, 'HKD']]],
+  ['Jockey Club commits HK$2bn, plus US$5 million from partners', [[2000000000, 'HKD'], [5000000, 'USD']]],
+  ['Firm donates 1.5 million to relief fund', [[1500000, null]]],
+
+  // Nothing to find
+  ['大埔宏福苑五級火機構捐助一覽', []],
+  ['第一時間免費堂食 11月27日至30日', []],
+  ['萬眾一心', []],
+];
+
+console.log('='.repeat(70));
+console.log('Amount Parser Test');
+console.log('='.repeat(70));
+console.log('');
+
+let passed = 0;
+let failed = 0;
+
+const check = (ok, label, expected, got) => {
+  if (ok) {
+    passed++;
+    console.log(`✓ PASS: ${label}`);
+  } else {
+    failed++;
+    console.log(`✗ FAIL: ${label}`);
+    console.log(`        Expected: ${expected}`);
+    console.log(`        Got:      ${got}`);
+  }
+};
+
+console.log('Single amounts:');
+for (const [text, value, currency, confidence] of TEXT_CASES) {
+  const result = parseAmountText(text);
+  const ok = value === null
+    ? result === null
+    : result !== null && result.value === value && result.currency === currency && result.confidence === confidence;
+  check(ok, JSON.stringify(text),
+    value === null ? 'null' : `${value} ${currency} ${confidence}`,
+    result === null ? 'null' : `${result.value} ${result.currency} ${result.confidence}`);
+}
+
+console.log('');
+console.log('Amounts in headlines:');
+for (const [text, expected] of HEADLINE_CASES) {
+  const found = findAmounts(text)
+    .filter(a => a.confidence !== 'low')
+    .map(a => [a.value, a.currency]);
+  check(JSON.stringify(found) === JSON.stringify(expected), JSON.stringify(text),
+    JSON.stringify(expected), JSON.stringify(found));
+}
+
+console.log('');
+console.log('='.repeat(70));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('='.repeat(70));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,98 @@
+/**
+ * Test Donation IDs
+ *
+ * Table-driven checks for assignDonationIds() in src/data-processor.js: which
+ * rows share an id and get a suffix, and that re-sorting the sheet keeps
+ * every row's id. Each case runs in sheet order and reversed.
+ *
+ * Usage: node src/test-donation-ids.js
+ */
+
+const { getDonationHash, assignDonationIds } = require('./data-processor');
+
+/**
+ * Make a donation as processDonations() would, with just the fields ids use
+ * @param {number} sheetRow
+ * @param {string} entity
+ * @param {Object} [fields] - id, through, date, amountRaw, note, primarySource, ...
+ * @returns {Object}
+ */
+function donation(sheetRow, entity, fields = {}) {
+  return { sheetRow, id: '', entity, through: '', date: '2025-11-27', amountRaw: 1000000, note: '', primarySource: '', ...fields };
+}
+
+// [name, donations in sheet order, expected [sheetRow, suffix after the row's own id or hash]]
+const CASES = [
+  [
+    'different donors whose names normalise alike',
+    [donation(357, 'BNI Foundation （HK）'), donation(358, 'BNI HK')],
+    [[357, ''], [358, '']],
+  ],
+  [
+    'surrounding spaces don\'t change the id',
+    [donation(10, ' 某集團 ', { note: 'a' }), donation(11, '某集團', { note: 'b' })],
+    [[10, ''], [11, '-2']],
+  ],
+  [
+    'identical donor, date and amount: ordered by note',
+    [donation(20, '某集團', { note: '第二筆' }), donation(21, '某集團', { note: '第一筆' })],
+    [[20, '-2'], [21, '']],
+  ],
+  [
+    'identical but for the source',
+    [donation(30, '某集團', { primarySource: 'https://b.example' }), donation(31, '某集團', { primarySource: 'https://a.example' }), donation(32, '某集團', { primarySource: 'https://c.example' })],
+    [[30, '-2'], [31, ''], [32, '-3']],
+  ],
+  [
+    'repeated explicit id',
+    [donation(40, '甲', { id: 'gift-1', note: 'b' }), donation(41, '乙', { id: 'gift-1', note: 'a' })],
+    [[40, '-2'], [41, '']],
+  ],
+  [
+    'a suffix another row already uses as its id',
+    [donation(50, '某集團', { note: 'b' }), donation(51, '某集團', { note: 'a' }), donation(52, '甲', { id: `${getDonationHash(donation(0, '某集團'))}-2` })],
+    [[50, '-3'], [51, ''], [52, '']],
+  ],
+];
+
+/**
+ * Assign ids and map them back to sheet rows
+ * @param {Object[]} donations
+ * @returns {Object} - Ids by sheet row
+ */
+function idsByRow(donations) {
+  return Object.fromEntries(assignDonationIds(donations).donations.map(d => [d.sheetRow, d.id]));
+}
+
+console.log('Donation IDs Test');
+console.log('='.repeat(70));
+console.log('');
+
+let passed = 0;
+let failed = 0;
+
+for (const [name, donations, expectedSuffixes] of CASES) {
+  const expected = Object.fromEntries(expectedSuffixes.map(([sheetRow, suffix]) => {
+    const d = donations.find(row => row.sheetRow === sheetRow);
+    return [sheetRow, `${d.id || getDonationHash(d)}${suffix}`];
+  }));
+  [['sheet order', donations], ['reversed', [...donations].reverse()]].forEach(([order, rows]) => {
+    const got = idsByRow(rows);
+    if (JSON.stringify(got) === JSON.stringify(expected)) {
+      passed++;
+      console.log(`✓ PASS: ${name}, ${order}`);
+    } else {
+      failed++;
+      console.log(`✗ FAIL: ${name}, ${order}`);
+      console.log(`        Expected: ${JSON.stringify(expected)}`);
+      console.log(`        Got:      ${JSON.stringify(got)}`);
+    }
+  });
+}
+
+console.log('');
+console.log('='.repeat(70));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('='.repeat(70));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,132 @@
+/**
+ * Test Transfers
+ *
+ * Table-driven checks for resolveTransfers() in src/data-processor.js: which
+ * rows a "Transfer Of" value selects and how much is subtracted as pass-through.
+ *
+ * Usage: node src/test-transfers.js
+ */
+
+const { resolveTransfers } = require('./data-processor');
+
+/**
+ * Make a donation as processDonations() would, with just the fields transfers use
+ * @param {string} entity
+ * @param {number | null} amountRaw - Cash unless goods is given
+ * @param {Object} [fields] - through, transferOf, goodsAmountRaw
+ * @returns {Object}
+ */
+function donation(entity, amountRaw, fields = {}) {
+  const goods = fields.goodsAmountRaw || null;
+  return {
+    entity,
+    through: '',
+    transferOf: '',
+    amountRaw,
+    cashAmountRaw: amountRaw === null ? null : amountRaw - (goods || 0),
+    goodsAmountRaw: goods,
+    ...fields,
+  };
+}
+
+// [name, donations, transfer row entity, expected {passThroughRaw, netAmountRaw, transferredFrom}]
+const CASES = [
+  [
+    'donor names',
+    [
+      donation('劉亦菲', 1500000),
+      donation('得力集團', 5000000),
+      donation('中國紅十字會', 10000000, { transferOf: '劉亦菲、得力集團' }),
+    ],
+    '中國紅十字會',
+    { passThroughRaw: 6500000, netAmountRaw: 3500000, transferredFrom: ['劉亦菲', '得力集團'] },
+  ],
+  [
+    'through:<receiver>',
+    [
+      donation('杭州靈隱寺', 10000000, { through: '中國紅十字會' }),
+      donation('劉亦菲', 1500000, { through: '中國紅十字會' }),
+      donation('某基金會', 2000000, { through: '香港紅十字會' }),
+      donation('中國紅十字會', 20000000, { transferOf: 'through:中國紅十字會' }),
+    ],
+    '中國紅十字會',
+    { passThroughRaw: 11500000, netAmountRaw: 8500000, transferredFrom: ['杭州靈隱寺', '劉亦菲'] },
+  ],
+  [
+    '"*" selects rows given to the transfer row\'s entity',
+    [
+      donation('劉亦菲', 1500000, { through: '中國紅十字會' }),
+      donation('中國紅十字會', 20000000, { transferOf: '*' }),
+    ],
+    '中國紅十字會',
+    { passThroughRaw: 1500000, netAmountRaw: 18500000, transferredFrom: ['劉亦菲'] },
+  ],
+  [
+    'split receiver: only the share given through the receiver',
+    [
+      donation('某集團', 10000000, { through: '中國紅十字會（50%）\n大埔宏福苑援助基金（50%）' }),
+      donation('中國紅十字會', 20000000, { transferOf: 'through:中國紅十字會' }),
+    ],
+    '中國紅十字會',
+    { passThroughRaw: 5000000, netAmountRaw: 15000000, transferredFrom: ['某集團'] },
+  ],
+  [
+    'split receiver named as a donor: the whole row',
+    [
+      donation('某集團', 10000000, { through: '中國紅十字會（50%）\n大埔宏福苑援助基金（50%）' }),
+      donation('中國紅十字會', 20000000, { transferOf: '某集團' }),
+    ],
+    '中國紅十字會',
+    { passThroughRaw: 10000000, netAmountRaw: 10000000, transferredFrom: ['某集團'] },
+  ],
+  [
+    'several receivers without shares: the whole row',
+    [
+      donation('某集團', 10000000, { through: '中國紅十字會、樂善堂' }),
+      donation('中國紅十字會', 20000000, { transferOf: 'through:中國紅十字會' }),
+    ],
+    '中國紅十字會',
+    { passThroughRaw: 10000000, netAmountRaw: 10000000, transferredFrom: ['某集團'] },
+  ],
+  [
+    'capped at the transfer row\'s amount',
+    [
+      donation('杭州靈隱寺', 10000000, { through: '中國紅十字會' }),
+      donation('中國紅十字會', 4000000, { transferOf: 'through:中國紅十字會' }),
+    ],
+    '中國紅十字會',
+    { passThroughRaw: 4000000, netAmountRaw: 0, transferredFrom: ['杭州靈隱寺'] },
+  ],
+];
+
+console.log('Transfers Test');
+console.log('='.repeat(70));
+console.log('');
+
+let passed = 0;
+let failed = 0;
+
+for (const [name, donations, entity, expected] of CASES) {
+  const parent = resolveTransfers(donations).find(d => d.entity === entity);
+  const got = {
+    passThroughRaw: parent.passThroughRaw,
+    netAmountRaw: parent.netAmountRaw,
+    transferredFrom: parent.transferredFrom,
+  };
+  if (JSON.stringify(got) === JSON.stringify(expected)) {
+    passed++;
+    console.log(`✓ PASS: ${name}`);
+  } else {
+    failed++;
+    console.log(`✗ FAIL: ${name}`);
+    console.log(`        Expected: ${JSON.stringify(expected)}`);
+    console.log(`        Got:      ${JSON.stringify(got)}`);
+  }
+}
+
+console.log('');
+console.log('='.repeat(70));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('='.repeat(70));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,223 @@
+/**
+ * Validation Module
+ *
+ * Checks the 捐款 tab for data the build would otherwise silently accept:
+ * amounts that don't parse, cash + goods not adding up, categories without
+ * translations, malformed links and unrecognised dates.
+ *
+ * Issues are classified by severity:
+ * - error: the value is lost or wrong on the site (e.g. an amount read as null)
+ * - warning: the value is shown, but probably not as intended
+ * - info: worth a look, nothing is wrong on the site
+ */
+
+const {
+  buildColumnMap,
+  DEFAULT_COLUMN_MAP,
+  parseAmount,
+  parseAmountRange,
+  isExactAmount,
+  formatAmountRange,
+  toIsoDate,
+  FIRE_DATE,
+} = require('./data-processor');
+const { getCategoryMap } = require('./i18n/categories');
+const { parseAmountText } = require('./amount-parser');
+const { normaliseCurrency, getRate } = require('./currency');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Largest difference between cash + goods and the total treated as rounding
+const SUM_TOLERANCE = 1;
+
+const AMOUNT_COLUMNS = ['totalValue', 'cashValue', 'goodsValue', 'originalAmount'];
+const URL_COLUMNS = ['primarySource', 'secondarySource', 'verificationLink'];
+const CATEGORY_COLUMNS = { capital: 'capital', industry: 'industry', type: 'type' };
+
+/**
+ * Check whether a cell is a plain number
+ * e.g. "$30,000,000" and "1.5" are plain; "3億" and "逾1000萬" are not.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPlainAmount(value) {
+  return /^-?\d+(\.\d+)?$/.test(value.replace(/[$,\s]/g, ''));
+}
+
+/**
+ * Check whether a cell is a single http(s) URL
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidUrl(value) {
+  if (/\s/.test(value)) return false;
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname.includes('.');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate the rows of the 捐款 tab
+ * @param {string[][]} rows - Data rows (without header)
+ * @param {string[]} [headers] - Header row
+ * @param {Object} [options]
+ * @param {string} [options.today] - YYYY-MM-DD, for future-date checks (default: now)
+ * @returns {Object[]} - Issues: {severity, code, sheetRow, entity, column, value, message}
+ */
+function validateDonationRows(rows, headers = null, options = {}) {
+  const columnMap = headers ? buildColumnMap(headers) : DEFAULT_COLUMN_MAP;
+  const today = options.today || new Date().toISOString().slice(0, 10);
+  const columnName = (col) => (headers && headers[columnMap[col]]) || col;
+  const issues = [];
+
+  rows.forEach((row, index) => {
+    const getValue = (col) => {
+      const idx = columnMap[col];
+      return (idx >= 0 && row[idx]) ? row[idx].trim() : '';
+    };
+    const entity = getValue('entity');
+    if (!entity) return; // Skipped by processDonations()
+
+    const sheetRow = index + 2;
+    const report = (severity, code, col, message) => {
+      issues.push({ severity, code, sheetRow, entity, column: col ? columnName(col) : '', value: col ? getValue(col) : '', message });
+    };
+
+    // Amounts
+    AMOUNT_COLUMNS.forEach(col => {
+      const value = getValue(col);
+      if (!value || value.toLowerCase() === 'unclear' || isPlainAmount(value)) return;
+      const range = parseAmountRange(value);
+      const parsed = parseAmountText(value);
+      if (col !== 'originalAmount' && parsed && parsed.currency && parsed.currency !== 'HKD') {
+        report('error', 'amount-currency', col, `Amount in ${parsed.currency}, read as HKD; use the original currency and amount columns`);
+      } else if (!range) {
+        report('error', 'amount-unparseable', col, 'Not a number; the amount is shown as unclear');
+      } else if (!isExactAmount(range)) {
+        report('info', 'amount-range', col, `Read as ${formatAmountRange(range)}; totals count ${range.min.toLocaleString('en-HK')}`);
+      } else {
+        report('info', 'amount-words', col, `Read as ${formatAmountRange(range)}`);
+      }
+    });
+
+    const total = parseAmount(getValue('totalValue'));
+    const cash = parseAmount(getValue('cashValue'));
+    const goods = parseAmount(getValue('goodsValue'));
+    const totalIsExact = isExactAmount(parseAmountRange(getValue('totalValue')));
+    if (totalIsExact && cash !== null && goods !== null && Math.abs(cash + goods - total) > SUM_TOLERANCE) {
+      report('warning', 'amount-sum-mismatch', 'totalValue',
+        `Cash (${cash.toLocaleString('en-HK')}) + goods (${goods.toLocaleString('en-HK')}) doesn't match the total`);
+    }
+    if (total === null && (cash > 0 || goods > 0)) {
+      report('warning', 'amount-total-missing', 'totalValue', 'Cash or goods is filled but the total is not; the amount is shown as unclear');
+    }
+    if (total !== null && total <= 0) {
+      report('warning', 'amount-not-positive', 'totalValue', 'Total is zero or negative');
+    }
+
+    // Original currency
+    const currency = getValue('originalCurrency');
+    const originalAmount = getValue('originalAmount');
+    if (currency) {
+      const code = normaliseCurrency(currency);
+      if (!code) {
+        report('error', 'currency-unknown', 'originalCurrency', 'Unrecognised currency; the amount is not converted');
+      } else if (!getRate(code, toIsoDate(getValue('dateOfAnnouncement')))) {
+        report('error', 'currency-no-rate', 'originalCurrency', `No exchange rate for ${code} in src/data/fx-rates.json`);
+      } else if (!originalAmount && code !== 'HKD') {
+        report('warning', 'currency-amount-missing', 'originalAmount', 'Original currency is filled but the original amount is not');
+      }
+    } else if (originalAmount) {
+      report('warning', 'currency-missing', 'originalCurrency', 'Original amount is filled but the currency is not; it is ignored');
+    }
+
+    // Categories without a translation
+    Object.entries(CATEGORY_COLUMNS).forEach(([category, col]) => {
+      const value = getValue(col);
+      if (!value) {
+        report('info', 'category-missing', col, `No ${category}`);
+      } else if (!getCategoryMap(category)[value]) {
+        report('warning', 'category-unknown', col, 'Not in src/i18n/categories.js; shown untranslated on the English site');
+      }
+    });
+
+    // Links
+    URL_COLUMNS.forEach(col => {
+      const value = getValue(col);
+      if (value && !isValidUrl(value)) {
+        report('error', 'url-invalid', col, 'Not a single http(s) link; the link will be broken');
+      }
+    });
+    if (!getValue('primarySource') && !getValue('secondarySource')) {
+      report('warning', 'source-missing', 'primarySource', 'No source');
+    }
+
+    // Dates
+    const dateValue = getValue('dateOfAnnouncement');
+    if (dateValue) {
+      const date = toIsoDate(dateValue);
+      if (!date) {
+        report('warning', 'date-unrecognised', 'dateOfAnnouncement', 'Unrecognised date format; the pledge is treated as undated');
+      } else if (date < FIRE_DATE) {
+        report('warning', 'date-before-fire', 'dateOfAnnouncement', `Read as ${date}, before the fire`);
+      } else if (date > today) {
+        report('warning', 'date-in-future', 'dateOfAnnouncement', `Read as ${date}, in the future`);
+      }
+    } else {
+      report('info', 'date-missing', 'dateOfAnnouncement', 'No announcement date');
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Turn id collisions (from assignDonationIds()) into issues
+ * @param {Object[]} collisions
+ * @returns {Object[]}
+ */
+function collisionIssues(collisions) {
+  return collisions.flatMap(c => c.rows.slice(1).map(r => ({
+    severity: 'warning',
+    code: c.explicit ? 'id-duplicate' : 'rows-identical',
+    sheetRow: r.sheetRow,
+    entity: r.entity,
+    column: c.explicit ? 'ID' : '',
+    value: c.explicit ? c.id : '',
+    message: c.explicit
+      ? `ID ${c.id} is also used by row ${c.rows[0].sheetRow}`
+      : `Same donor, receiver, date and amount as row ${c.rows[0].sheetRow}`,
+  })));
+}
+
+/**
+ * Summarise issues for the report
+ * @param {Object[]} issues
+ * @param {string} buildTime
+ * @returns {Object} - {buildTime, counts, byCode, issues}, issues sorted by severity then row
+ */
+function buildQualityReport(issues, buildTime) {
+  const counts = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  const byCode = {};
+  issues.forEach(issue => {
+    counts[issue.severity]++;
+    byCode[issue.code] = (byCode[issue.code] || 0) + 1;
+  });
+
+  const sorted = [...issues].sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.sheetRow - b.sheetRow);
+
+  return { buildTime, counts, byCode, issues: sorted };
+}
+
+module.exports = {
+  SEVERITIES,
+  isPlainAmount,
+  isValidUrl,
+  validateDonationRows,
+  collisionIssues,
+  buildQualityReport,
+};
@@ -0,0 +1,216 @@
+/**
+ * XLSX Module
+ *
+ * Writes a single-sheet Excel workbook without dependencies: the sheet XML
+ * is packed into an uncompressed ("stored") zip archive.
+ *
+ * Also runs in the browser (inlined into the page by build.js), so it must
+ * not require() anything and only uses Uint8Array and TextEncoder.
+ */
+
+// Fixed zip timestamp (1980-01-01 00:00), so identical data gives identical files
+const DOS_TIME = 0;
+const DOS_DATE = 0x0021;
+
+let crcTable = null;
+
+/**
+ * CRC-32 checksum of a byte array, as required by the zip format
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into a zip archive without compression
+ * @param {{name: string, content: string}[]} files
+ * @returns {Uint8Array}
+ */
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+    local.setUint16(8, 0, true); // Method: stored
+    local.setUint16(10, DOS_TIME, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, DOS_TIME, true);
+    central.setUint16(14, DOS_DATE, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // Extra field, comment, disk number, attributes: all zero
+    central.setUint32(42, offset, true); // Offset of the local header
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true); // End of central directory signature
+  end.setUint16(8, files.length, true); // Entries on this disk
+  end.setUint16(10, files.length, true); // Total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // Offset of the central directory
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Escape text for XML content
+ * Also drops control characters, which are not allowed in XML 1.0.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get the spreadsheet column letter for an index (0 -> A, 26 -> AA)
+ * @param {number} index
+ * @returns {string}
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+/**
+ * Build the worksheet XML
+ * Numbers are written as numbers so they can be summed; everything else as text.
+ * The first row is treated as a header and frozen.
+ * @param {Array<Array<string | number | null>>} rows
+ * @returns {string}
+ */
+function buildSheetXml(rows) {
+  const rowsXml = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${rowsXml}</sheetData>`
+    + '</worksheet>';
+}
+
+/**
+ * Build an XLSX workbook with one sheet
+ * @param {Array<Array<string | number | null>>} rows - Header row first
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Sheet1'] - Up to 31 characters, no []:*?/\
+ * @returns {Uint8Array} - Contents of the .xlsx file
+ */
+function buildXlsx(rows, options = {}) {
+  const sheetName = (options.sheetName || 'Sheet1').replace(/[[\]:*?/\\]/g, '').slice(0, 31) || 'Sheet1';
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: buildSheetXml(rows),
+    },
+  ]);
+}
+
+module.exports = {
+  crc32,
+  buildZip,
+  buildXlsx,
+};